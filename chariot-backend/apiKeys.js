@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const pool = require('./database');
+
+// API keys let integrations (accounting sync, kiosks...) call the API without a
+// user login. A key belongs to one company, carries a list of scopes and may be
+// restricted to some locations. Only the SHA-256 of the key is stored.
+//
+// Scopes are "<resource>:<level>" where resource is an entry of the permission
+// matrix (or * for all) and level is:
+//   read  - read actions
+//   write - every action (create, update, refund...), reads included
+//   none  - nothing, even when * grants it
+// e.g. ["*:read", "customers:write", "payments:none"]
+
+const KEY_PREFIX = 'chk_';
+const SCOPE_LEVELS = ['none', 'read', 'write'];
+
+// New random key; `key` is shown once, `prefix` identifies it in listings
+const generateApiKey = () => {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  return { key, prefix: key.slice(0, 12), hash: hashApiKey(key) };
+};
+
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+// Look up an active key and record its use; returns the api_key row or null
+const findApiKey = async (key, ip) => {
+  const result = await pool.query(
+    'SELECT * FROM api_key WHERE key_hash = $1 AND revoked_at IS NULL',
+    [hashApiKey(key)]
+  );
+
+  const apiKey = result.rows[0];
+
+  if (!apiKey || (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date())) {
+    return null;
+  }
+
+  await pool.query(
+    'UPDATE api_key SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $1 WHERE id = $2',
+    [ip, apiKey.id]
+  );
+
+  return apiKey;
+};
+
+// Level granted to a resource: the resource's own scope wins over *
+const scopeLevel = (scopes, resource) => {
+  let level = 'none';
+
+  for (const scope of scopes || []) {
+    const [scopeResource, scopeLevelName] = scope.split(':');
+    if (scopeResource === resource) return scopeLevelName;
+    if (scopeResource === '*') level = scopeLevelName;
+  }
+
+  return level;
+};
+
+// Whether a key's scopes allow an action of the permission matrix
+const scopeAllows = (scopes, resource, action) => {
+  const level = scopeLevel(scopes, resource);
+  if (level === 'write') return true;
+  if (level === 'read') return action === 'read';
+  return false;
+};
+
+module.exports = {
+  KEY_PREFIX,
+  SCOPE_LEVELS,
+  generateApiKey,
+  isApiKey,
+  findApiKey,
+  scopeAllows
+};
@@ -0,0 +1,100 @@
+const pool = require('./database');
+
+// Audit trail of data changes: who changed which record, when, and what the
+// fields were before and after. Entity types are table names ("order",
+// "customer", "order_line_item"...).
+
+// Secrets: a change is recorded, the values are not
+const REDACTED_FIELDS = ['password_hash', 'totp_secret', 'totp_last_counter', 'key_hash', 'token_hash', 'refresh_token_hash'];
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Comparable form of a column value (dates and JSON included)
+const comparable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  return JSON.stringify(value);
+};
+
+// { field: { from, to } } for every field that differs between two versions of a row.
+// Only the columns of the newer version are compared, so an UPDATE ... RETURNING
+// a subset of columns does not read as the others being cleared.
+const diffRecords = (before, after) => {
+  const changes = {};
+  const fields = Object.keys(after || before || {});
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (comparable(from) === comparable(to)) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  }
+
+  return changes;
+};
+
+// Current row of an entity, to diff an update or delete against
+const loadForAudit = async (entity, id, companyId) => {
+  const result = await pool.query(
+    `SELECT * FROM "${entity}" WHERE id = $1 AND company_id = $2`,
+    [id, companyId]
+  );
+  return result.rows[0] || null;
+};
+
+// ============================================
+// RECORDING
+// ============================================
+
+// Record one change. `before` is null for creates, `after` is null for deletes.
+// `actor` defaults to the authenticated user (or API key) of the request.
+// Updates that change nothing are not recorded.
+// A failure is logged rather than failing the request: the change itself has
+// already been written by then.
+const recordAudit = async (req, { entity, action, before = null, after = null, actor = req.user, companyId }) => {
+  const changes = diffRecords(before, after);
+
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+
+  const row = after || before;
+
+  try {
+    await pool.query(
+      `INSERT INTO audit_event (
+        company_id, location_id, actor_user_id, actor_api_key_id, actor_name,
+        ip_address, entity_type, entity_id, action, changes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        companyId || row.company_id || actor.company_id,
+        row.location_id || null,
+        actor ? actor.id : null,
+        req.apiKey ? req.apiKey.id : null,
+        actor ? `${actor.first_name} ${actor.last_name}` : null,
+        req.ip,
+        entity,
+        row.id,
+        action,
+        JSON.stringify(changes)
+      ]
+    );
+  } catch (error) {
+    console.error('Audit event error:', error);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  loadForAudit,
+  diffRecords
+};
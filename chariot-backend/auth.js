@@ -4,7 +4,13 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const pool = require('./database');
+const { sendMail } = require('./mailer');
+const { checkLogin, recordLoginFailure, recordLoginSuccess, recordLoginEvent } = require('./loginGuard');
+const totp = require('./totp');
+const { isApiKey, findApiKey } = require('./apiKeys');
+const { recordAudit, loadForAudit } = require('./audit');
 
 const router = express.Router();
 
@@ -42,17 +48,28 @@ const upload = multer({
 // JWT Configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-change-in-production';
 const JWT_EXPIRES_IN = '24h';
-const REFRESH_TOKEN_EXPIRES_IN = '7d';
+const REFRESH_TOKEN_EXPIRES_DAYS = 7;
+
+// Invite / password reset links
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const INVITE_TOKEN_EXPIRES_HOURS = 72;
+const RESET_TOKEN_EXPIRES_HOURS = 1;
+
+// Two-factor login: challenge tokens bridge the password step and the code step
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = { '2fa_login': '5m', '2fa_enroll': '15m' };
+const RECOVERY_CODE_COUNT = 10;
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
-// Generate access token
-const generateAccessToken = (user) => {
+// Generate access token (tied to a session)
+const generateAccessToken = (user, sessionId) => {
   return jwt.sign(
     {
       id: user.id,
+      sid: sessionId,
+      company_id: user.company_id,
       email: user.email,
       role: user.role,
       first_name: user.first_name,
@@ -63,33 +80,308 @@ const generateAccessToken = (user) => {
   );
 };
 
-// Generate refresh token
-const generateRefreshToken = (user) => {
+// Generate refresh token for a given generation of a session
+const generateRefreshToken = (user, sessionId, generation) => {
   return jwt.sign(
-    { id: user.id },
+    { id: user.id, sid: sessionId, gen: generation, type: 'refresh' },
     JWT_SECRET,
-    { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
+    { expiresIn: `${REFRESH_TOKEN_EXPIRES_DAYS}d` }
+  );
+};
+
+// Only the SHA-256 of an emailed or refresh token is stored
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Start a session for a device and return its first token pair
+const createSession = async (user, req, db = pool) => {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(user, sessionId, 1);
+
+  await db.query(
+    `INSERT INTO user_session (id, company_id, user_id, refresh_token_hash, generation, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, 1, $5, $6, CURRENT_TIMESTAMP + INTERVAL '${REFRESH_TOKEN_EXPIRES_DAYS} days')`,
+    [sessionId, user.company_id, user.id, hashToken(refreshToken), req.headers['user-agent'] || null, req.ip]
+  );
+
+  return {
+    accessToken: generateAccessToken(user, sessionId),
+    refreshToken
+  };
+};
+
+// Revoke every active session of a user, optionally keeping one (the caller's)
+const revokeUserSessions = async (userId, reason, db = pool, exceptSessionId = null) => {
+  await db.query(
+    `UPDATE user_session SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id != $3)`,
+    [userId, reason, exceptSessionId]
+  );
+};
+
+// Invalidate every outstanding invite/reset token of a user
+const invalidateUserTokens = async (userId, db = pool) => {
+  await db.query(
+    'UPDATE user_token SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
   );
 };
 
+// Issue a single-use invite or reset token and return the raw value
+// Any earlier token of the same user is invalidated first
+const issueUserToken = async (user, purpose, createdById = null) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = purpose === 'invite' ? INVITE_TOKEN_EXPIRES_HOURS : RESET_TOKEN_EXPIRES_HOURS;
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  await invalidateUserTokens(user.id);
+
+  await pool.query(
+    `INSERT INTO user_token (company_id, user_id, purpose, token_hash, expires_at, created_by_id)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [user.company_id, user.id, purpose, hashToken(token), expiresAt, createdById]
+  );
+
+  return token;
+};
+
+// Email a new staff member a link to set their password
+const sendInvite = async (user, invitedBy) => {
+  const token = await issueUserToken(user, 'invite', invitedBy.id);
+
+  const companyResult = await pool.query('SELECT name FROM company WHERE id = $1', [user.company_id]);
+  const companyName = companyResult.rows[0] ? companyResult.rows[0].name : 'your shop';
+
+  await sendMail({
+    to: user.email,
+    subject: `You've been invited to ${companyName} on Chariot`,
+    text: [
+      `Hi ${user.first_name},`,
+      '',
+      `${invitedBy.first_name} ${invitedBy.last_name} has invited you to join ${companyName} on Chariot.`,
+      'Set your password to get started:',
+      '',
+      `${APP_URL}/reset-password?token=${token}`,
+      '',
+      `This link expires in ${INVITE_TOKEN_EXPIRES_HOURS} hours and can only be used once.`
+    ].join('\n')
+  });
+};
+
+// Email a password reset link
+const sendPasswordReset = async (user) => {
+  const token = await issueUserToken(user, 'reset');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Chariot password',
+    text: [
+      `Hi ${user.first_name},`,
+      '',
+      'We received a request to reset your password. Choose a new one here:',
+      '',
+      `${APP_URL}/reset-password?token=${token}`,
+      '',
+      `This link expires in ${RESET_TOKEN_EXPIRES_HOURS} hour and can only be used once.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+// Short-lived token proving the password step passed
+// purpose: '2fa_login' (enter a code) or '2fa_enroll' (role requires 2FA, not set up yet)
+const generateChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { id: user.id, company_id: user.company_id, type: purpose },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN[purpose] }
+  );
+};
+
+// Does the user's company require 2FA for the user's role?
+// company.settings.two_factor_required_roles lists those roles
+const twoFactorRequiredFor = async (user, db = pool) => {
+  const result = await db.query('SELECT settings FROM company WHERE id = $1', [user.company_id]);
+  const settings = (result.rows[0] && result.rows[0].settings) || {};
+  return (settings.two_factor_required_roles || []).includes(user.role);
+};
+
+// Check a TOTP code, refusing a code (time step) that was already used, even
+// by a request racing this one
+// Returns the accepted time step or null
+const acceptTotpCode = async (user, code) => {
+  if (!user.totp_secret) return null;
+
+  const counter = totp.verifyCode(user.totp_secret, code);
+  if (counter === null) return null;
+
+  const result = await pool.query(
+    `UPDATE "user" SET totp_last_counter = $1
+     WHERE id = $2 AND (totp_last_counter IS NULL OR totp_last_counter < $1) RETURNING id`,
+    [counter, user.id]
+  );
+  if (result.rows.length === 0) return null;
+
+  return counter;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+// Replace a user's recovery codes; returns the new codes (shown once)
+const replaceRecoveryCodes = async (userId, db = pool) => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  await db.query('DELETE FROM user_recovery_code WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_code (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+// Spend a recovery code; true when it was valid and unused
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await pool.query(
+    `UPDATE user_recovery_code SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0;
+};
+
+// Login event fields shared by every outcome of one attempt
+const loginEventFor = (req, email, user) => ({
+  company_id: user && user.company_id,
+  user_id: user && user.id,
+  email,
+  ip_address: req.ip,
+  user_agent: req.headers['user-agent']
+});
+
+// Count and record a failed login, then answer (423 once the account locks)
+const rejectLogin = async (req, res, email, user, reason, message) => {
+  const event = loginEventFor(req, email, user);
+  const { locked, retryAfter } = await recordLoginFailure(email, req.ip);
+
+  await recordLoginEvent({ ...event, event_type: 'failure', reason });
+
+  if (locked) {
+    await recordLoginEvent({ ...event, event_type: 'lockout', reason: 'too_many_failures' });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(423).json({
+      error: 'Account temporarily locked after too many failed login attempts',
+      retry_after: retryAfter
+    });
+  }
+
+  return res.status(401).json({ error: message });
+};
+
+// Final step of every successful login: record it, start a session and answer
+const completeLogin = async (req, res, user, extra = {}) => {
+  await recordLoginSuccess(user.email);
+  await recordLoginEvent({ ...loginEventFor(req, user.email, user), event_type: 'success' });
+
+  // Start a session for this device (other devices stay logged in)
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Update last login
+  await pool.query(
+    'UPDATE "user" SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  res.json({
+    message: 'Login successful',
+    ...extra,
+    user: {
+      id: user.id,
+      company_id: user.company_id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.role,
+      location_ids: user.location_ids,
+      hq_access: user.hq_access
+    },
+    accessToken,
+    refreshToken
+  });
+};
+
 // ============================================
 // AUTH MIDDLEWARE (exported for use in server.js)
 // ============================================
 
+// Request identity of an API key: no user behind it, scoped by the key itself
+const apiKeyUser = (apiKey) => ({
+  id: null,
+  company_id: apiKey.company_id,
+  email: null,
+  role: 'api_key',
+  first_name: apiKey.name,
+  last_name: '(API key)',
+  location_ids: apiKey.location_ids || [],
+  hq_access: apiKey.location_ids === null,
+  active: true
+});
+
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const token = (authHeader && authHeader.split(' ')[1]) || req.headers['x-api-key']; // Bearer TOKEN or X-API-Key
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  // Integrations send an API key instead of a user token
+  if (isApiKey(token)) {
+    try {
+      const apiKey = await findApiKey(token, req.ip);
+
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      req.apiKey = apiKey;
+      req.user = apiKeyUser(apiKey);
+      return next();
+    } catch (error) {
+      console.error('API key error:', error);
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
+  }
+
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
 
+    // Refresh and 2FA challenge tokens are not access tokens
+    if (decoded.type) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    // The session must still be active (not logged out or revoked)
+    const session = await pool.query(
+      'SELECT id FROM user_session WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [decoded.sid, decoded.id]
+    );
+
+    if (session.rows.length === 0) {
+      return res.status(401).json({ error: 'Session expired. Please login again.' });
+    }
+
     // Get fresh user data from database
     const result = await pool.query(
-      'SELECT id, email, role, first_name, last_name, active FROM "user" WHERE id = $1',
+      'SELECT id, company_id, email, role, first_name, last_name, location_ids, hq_access, active FROM "user" WHERE id = $1',
       [decoded.id]
     );
 
@@ -101,7 +393,13 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Account deactivated' });
     }
 
+    // The token must name the user's current company
+    if (decoded.company_id !== result.rows[0].company_id) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
     req.user = result.rows[0];
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -111,6 +409,14 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Account routes act on the logged-in user, which an API key does not have
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'This endpoint requires a user login' });
+  }
+  next();
+};
+
 // Role-based access middleware
 const requireRole = (...allowedRoles) => {
   return (req, res, next) => {
@@ -134,14 +440,21 @@ const requireRole = (...allowedRoles) => {
 // AUTH ROUTES
 // ============================================
 
-// POST /api/auth/register - Create new user account
+// POST /api/auth/register - Sign up a new company and its first admin account
+// Staff accounts for an existing company are created by an admin via POST /api/users
 router.post('/register', async (req, res) => {
-  const { email, password, first_name, last_name, role, company_id, location_ids, phone } = req.body;
+  const { email, password, first_name, last_name, company_name, phone } = req.body;
 
   // Validation
-  if (!email || !password || !first_name || !last_name) {
+  if (!email || !password || !first_name || !last_name || !company_name) {
+    return res.status(400).json({
+      error: 'Email, password, first_name, last_name, and company_name are required'
+    });
+  }
+
+  if (req.body.company_id !== undefined) {
     return res.status(400).json({
-      error: 'Email, password, first_name, and last_name are required'
+      error: 'company_id cannot be supplied. Ask your administrator to create your account.'
     });
   }
 
@@ -151,9 +464,11 @@ router.post('/register', async (req, res) => {
     });
   }
 
+  const client = await pool.connect();
+
   try {
     // Check if email already exists
-    const existingUser = await pool.query(
+    const existingUser = await client.query(
       'SELECT id FROM "user" WHERE email = $1',
       [email.toLowerCase()]
     );
@@ -166,41 +481,49 @@ router.post('/register', async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const password_hash = await bcrypt.hash(password, salt);
 
-    // Create user
-    const result = await pool.query(
+    await client.query('BEGIN');
+
+    // Create company
+    const companyResult = await client.query(
+      'INSERT INTO company (name, email, phone) VALUES ($1, $2, $3) RETURNING id, name',
+      [company_name, email.toLowerCase(), phone]
+    );
+
+    const company = companyResult.rows[0];
+
+    // Create user as the company's admin
+    const result = await client.query(
       `INSERT INTO "user" (
         company_id, email, password_hash, first_name, last_name,
-        phone, role, location_ids, active
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true)
-      RETURNING id, email, first_name, last_name, role, created_at`,
+        phone, role, location_ids, hq_access, active
+      ) VALUES ($1, $2, $3, $4, $5, $6, 'admin', '[]', true, true)
+      RETURNING id, company_id, email, first_name, last_name, role, created_at`,
       [
-        company_id || '550e8400-e29b-41d4-a716-446655440000', // Default company
+        company.id,
         email.toLowerCase(),
         password_hash,
         first_name,
         last_name,
-        phone,
-        role || 'technician', // Default role
-        JSON.stringify(location_ids || [])
+        phone
       ]
     );
 
     const user = result.rows[0];
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Start a session for this device
+    const { accessToken, refreshToken } = await createSession(user, req, client);
 
-    // Save refresh token to database
-    await pool.query(
-      'UPDATE "user" SET refresh_token = $1 WHERE id = $2',
-      [refreshToken, user.id]
-    );
+    await client.query('COMMIT');
+
+    await recordAudit(req, { entity: 'company', action: 'create', after: company, actor: user, companyId: company.id });
+    await recordAudit(req, { entity: 'user', action: 'create', after: user, actor: user });
 
     res.status(201).json({
       message: 'Account created successfully',
+      company,
       user: {
         id: user.id,
+        company_id: user.company_id,
         email: user.email,
         first_name: user.first_name,
         last_name: user.last_name,
@@ -211,8 +534,11 @@ router.post('/register', async (req, res) => {
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Registration failed' });
+  } finally {
+    client.release();
   }
 });
 
@@ -231,54 +557,58 @@ router.post('/login', async (req, res) => {
       [email.toLowerCase()]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    const user = result.rows[0];
+
+    // Throttled or locked out (per account and per IP)?
+    const blocked = await checkLogin(email, req.ip);
+
+    if (blocked) {
+      await recordLoginEvent({ ...loginEventFor(req, email, user), event_type: 'blocked', reason: blocked.reason });
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({ error: blocked.error, retry_after: blocked.retryAfter });
     }
 
-    const user = result.rows[0];
+    if (!user) {
+      return rejectLogin(req, res, email, null, 'unknown_email', 'Invalid email or password');
+    }
 
     // Check if account is active
     if (!user.active) {
-      return res.status(401).json({ error: 'Account is deactivated' });
+      return rejectLogin(req, res, email, user, 'deactivated', 'Account is deactivated');
     }
 
     // Check if user has a password set
     if (!user.password_hash) {
-      return res.status(401).json({
-        error: 'Password not set. Please contact administrator.'
-      });
+      return rejectLogin(req, res, email, user, 'password_not_set',
+        'Password not set. Use the link in your invitation email or request a password reset.');
     }
 
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+      return rejectLogin(req, res, email, user, 'invalid_password', 'Invalid email or password');
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Second step: the user must still enter a code from their authenticator
+    if (user.totp_enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        two_factor_required: true,
+        challengeToken: generateChallengeToken(user, '2fa_login')
+      });
+    }
 
-    // Update refresh token and last login
-    await pool.query(
-      'UPDATE "user" SET refresh_token = $1, last_login = CURRENT_TIMESTAMP WHERE id = $2',
-      [refreshToken, user.id]
-    );
+    // The company requires 2FA for this role: enroll before getting a session
+    if (await twoFactorRequiredFor(user)) {
+      return res.json({
+        message: 'Two-factor authentication must be set up for your role',
+        two_factor_setup_required: true,
+        challengeToken: generateChallengeToken(user, '2fa_enroll')
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        role: user.role,
-        location_ids: user.location_ids
-      },
-      accessToken,
-      refreshToken
-    });
+    await completeLogin(req, res, user);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -286,13 +616,65 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// POST /api/auth/logout - Logout and invalidate refresh token
-router.post('/logout', authenticateToken, async (req, res) => {
+// POST /api/auth/login/2fa - Second login step: TOTP code or recovery code
+router.post('/login/2fa', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'challengeToken and code (or recoveryCode) are required' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: 'Login challenge expired. Please login again.' });
+  }
+
+  if (decoded.type !== '2fa_login') {
+    return res.status(401).json({ error: 'Invalid challenge token' });
+  }
+
+  try {
+    const result = await pool.query('SELECT * FROM "user" WHERE id = $1', [decoded.id]);
+    const user = result.rows[0];
+
+    if (!user || !user.active || !user.totp_enabled || user.company_id !== decoded.company_id) {
+      return res.status(401).json({ error: 'Invalid challenge token' });
+    }
+
+    // Codes are guessable too: same throttling and lockout as passwords
+    const blocked = await checkLogin(user.email, req.ip);
+
+    if (blocked) {
+      await recordLoginEvent({ ...loginEventFor(req, user.email, user), event_type: 'blocked', reason: blocked.reason });
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json({ error: blocked.error, retry_after: blocked.retryAfter });
+    }
+
+    const valid = code
+      ? (await acceptTotpCode(user, code)) !== null
+      : await consumeRecoveryCode(user.id, recoveryCode);
+
+    if (!valid) {
+      return rejectLogin(req, res, user.email, user, code ? 'invalid_2fa_code' : 'invalid_recovery_code', 'Invalid authentication code');
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// POST /api/auth/logout - Logout this device (revokes its session)
+router.post('/logout', authenticateToken, rejectApiKey, async (req, res) => {
   try {
-    // Clear refresh token in database
     await pool.query(
-      'UPDATE "user" SET refresh_token = NULL WHERE id = $1',
-      [req.user.id]
+      `UPDATE user_session SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'logout'
+       WHERE id = $1 AND revoked_at IS NULL`,
+      [req.sessionId]
     );
 
     res.json({ message: 'Logged out successfully' });
@@ -303,9 +685,10 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/auth/refresh - Get new access token using refresh token
+// POST /api/auth/refresh - Rotate the refresh token and get a new access token
+// Each refresh token works once. Replaying an already-rotated token revokes the session.
 router.post('/refresh', async (req, res) => {
-  const { refreshToken } = req.body;
+  const { refreshToken } = req.body || {};
 
   if (!refreshToken) {
     return res.status(400).json({ error: 'Refresh token required' });
@@ -315,10 +698,46 @@ router.post('/refresh', async (req, res) => {
     // Verify refresh token
     const decoded = jwt.verify(refreshToken, JWT_SECRET);
 
-    // Find user and verify refresh token matches
+    if (decoded.type !== 'refresh' || !decoded.sid) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const sessionResult = await pool.query(
+      'SELECT * FROM user_session WHERE id = $1 AND user_id = $2',
+      [decoded.sid, decoded.id]
+    );
+
+    const session = sessionResult.rows[0];
+
+    if (session && session.revoked_reason === '2fa_required') {
+      return res.status(401).json({ error: 'Two-factor authentication is required for your role. Please login again.' });
+    }
+
+    if (!session || session.revoked_at) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // An older token of this session is being replayed: assume it was stolen
+    if (decoded.gen !== session.generation || hashToken(refreshToken) !== session.refresh_token_hash) {
+      await pool.query(
+        `UPDATE user_session SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'reuse_detected'
+         WHERE id = $1 AND revoked_at IS NULL`,
+        [session.id]
+      );
+
+      const owner = await pool.query('SELECT id, email, company_id FROM "user" WHERE id = $1', [session.user_id]);
+      await recordLoginEvent({
+        ...loginEventFor(req, owner.rows[0] && owner.rows[0].email, owner.rows[0]),
+        event_type: 'token_reuse',
+        reason: 'refresh_token_reuse',
+        metadata: { session_id: session.id }
+      });
+      return res.status(401).json({ error: 'Refresh token reuse detected. Please login again.' });
+    }
+
     const result = await pool.query(
-      'SELECT * FROM "user" WHERE id = $1 AND refresh_token = $2 AND active = true',
-      [decoded.id, refreshToken]
+      'SELECT * FROM "user" WHERE id = $1 AND active = true',
+      [decoded.id]
     );
 
     if (result.rows.length === 0) {
@@ -327,11 +746,33 @@ router.post('/refresh', async (req, res) => {
 
     const user = result.rows[0];
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken(user);
+    // 2FA became mandatory for this role: the session must log in again to enroll
+    if (!user.totp_enabled && await twoFactorRequiredFor(user)) {
+      await revokeUserSessions(user.id, '2fa_required');
+      return res.status(401).json({ error: 'Two-factor authentication is required for your role. Please login again.' });
+    }
+
+    // Rotate: the next generation replaces the presented token.
+    // The generation check in the WHERE makes a concurrent refresh of the same token lose.
+    const nextGeneration = session.generation + 1;
+    const newRefreshToken = generateRefreshToken(user, session.id, nextGeneration);
+
+    const rotated = await pool.query(
+      `UPDATE user_session
+       SET refresh_token_hash = $1, generation = $2, last_used_at = CURRENT_TIMESTAMP,
+           expires_at = CURRENT_TIMESTAMP + INTERVAL '${REFRESH_TOKEN_EXPIRES_DAYS} days'
+       WHERE id = $3 AND generation = $4 AND revoked_at IS NULL
+       RETURNING id`,
+      [hashToken(newRefreshToken), nextGeneration, session.id, session.generation]
+    );
+
+    if (rotated.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
 
     res.json({
-      accessToken: newAccessToken
+      accessToken: generateAccessToken(user, session.id),
+      refreshToken: newRefreshToken
     });
 
   } catch (error) {
@@ -343,12 +784,150 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+// POST /api/auth/forgot-password - Email a password reset link
+// Always answers the same way so the endpoint cannot be used to discover accounts
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body || {};
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, company_id, email, first_name, last_name FROM "user" WHERE email = $1 AND active = true',
+      [email.toLowerCase()]
+    );
+
+    if (result.rows.length > 0) {
+      await sendPasswordReset(result.rows[0]);
+    }
+
+    res.json({ message: 'If that email belongs to an account, a reset link has been sent' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+// POST /api/auth/reset-password - Set a password from an invite or reset token
+router.post('/reset-password', async (req, res) => {
+  const { token, newPassword } = req.body || {};
+
+  if (!token || !newPassword) {
+    return res.status(400).json({ error: 'Token and new password are required' });
+  }
+
+  if (newPassword.length < 8) {
+    return res.status(400).json({
+      error: 'New password must be at least 8 characters'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Claim the token; a concurrent request for the same token finds it already used
+    const tokenResult = await client.query(
+      `UPDATE user_token SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL
+       RETURNING user_id, expires_at`,
+      [hashToken(token)]
+    );
+
+    const userToken = tokenResult.rows[0];
+    const userResult = userToken
+      ? await client.query('SELECT * FROM "user" WHERE id = $1', [userToken.user_id])
+      : { rows: [] };
+
+    if (!userToken || new Date(userToken.expires_at) <= new Date() || !userResult.rows[0] || !userResult.rows[0].active) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    const newPasswordHash = await bcrypt.hash(newPassword, salt);
+
+    // Set the password and sign out existing sessions
+    const updated = await client.query(
+      'UPDATE "user" SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [newPasswordHash, userToken.user_id]
+    );
+    await revokeUserSessions(userToken.user_id, 'password_reset', client);
+
+    // This token and any other outstanding one are spent
+    await invalidateUserTokens(userToken.user_id, client);
+
+    await client.query('COMMIT');
+
+    const before = userResult.rows[0];
+    await recordAudit(req, { entity: 'user', action: 'update', before, after: updated.rows[0], actor: before });
+
+    res.json({ message: 'Password has been set. You can now log in.' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/auth/sessions - List the current user's active sessions (devices)
+router.get('/sessions', authenticateToken, rejectApiKey, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_session
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+      [req.user.id]
+    );
+
+    res.json(result.rows.map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    })));
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, rejectApiKey, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE user_session SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'revoked'
+       WHERE id::text = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 // GET /api/auth/me - Get current user info
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', authenticateToken, rejectApiKey, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT id, email, first_name, last_name, role, phone,
-              location_ids, active, created_at, last_login
+      `SELECT id, company_id, email, first_name, last_name, role, phone,
+              location_ids, hq_access, active, totp_enabled, created_at, last_login
        FROM "user" WHERE id = $1`,
       [req.user.id]
     );
@@ -366,7 +945,7 @@ router.get('/me', authenticateToken, async (req, res) => {
 });
 
 // POST /api/auth/change-password - Change password
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/change-password', authenticateToken, rejectApiKey, async (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
   if (!currentPassword || !newPassword) {
@@ -384,7 +963,7 @@ router.post('/change-password', authenticateToken, async (req, res) => {
   try {
     // Get current user with password hash
     const result = await pool.query(
-      'SELECT password_hash FROM "user" WHERE id = $1',
+      'SELECT * FROM "user" WHERE id = $1',
       [req.user.id]
     );
 
@@ -402,11 +981,17 @@ router.post('/change-password', authenticateToken, async (req, res) => {
     const newPasswordHash = await bcrypt.hash(newPassword, salt);
 
     // Update password
-    await pool.query(
-      'UPDATE "user" SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    const updated = await pool.query(
+      'UPDATE "user" SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
       [newPasswordHash, req.user.id]
     );
 
+    await recordAudit(req, { entity: 'user', action: 'update', before: user, after: updated.rows[0] });
+
+    // Outstanding invite/reset links no longer apply, and other devices are signed out
+    await invalidateUserTokens(req.user.id);
+    await revokeUserSessions(req.user.id, 'password_changed', pool, req.sessionId);
+
     res.json({ message: 'Password changed successfully' });
 
   } catch (error) {
@@ -416,7 +1001,7 @@ router.post('/change-password', authenticateToken, async (req, res) => {
 });
 
 // PUT /api/auth/update-profile - Update user profile
-router.put('/update-profile', authenticateToken, async (req, res) => {
+router.put('/update-profile', authenticateToken, rejectApiKey, async (req, res) => {
   const { first_name, last_name, email, phone } = req.body;
 
   if (!first_name || !last_name || !email) {
@@ -436,6 +1021,8 @@ router.put('/update-profile', authenticateToken, async (req, res) => {
       return res.status(409).json({ error: 'Email already in use by another account' });
     }
 
+    const before = await loadForAudit('user', req.user.id, req.user.company_id);
+
     // Update user profile (removed updated_at since column may not exist)
     const result = await pool.query(
       `UPDATE "user"
@@ -449,6 +1036,8 @@ router.put('/update-profile', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await recordAudit(req, { entity: 'user', action: 'update', before, after: result.rows[0] });
+
     res.json({
       message: 'Profile updated successfully',
       user: result.rows[0]
@@ -461,7 +1050,7 @@ router.put('/update-profile', authenticateToken, async (req, res) => {
 });
 
 // POST /api/auth/upload-profile-image - Upload profile image
-router.post('/upload-profile-image', authenticateToken, upload.single('profileImage'), async (req, res) => {
+router.post('/upload-profile-image', authenticateToken, rejectApiKey, upload.single('profileImage'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
@@ -470,6 +1059,8 @@ router.post('/upload-profile-image', authenticateToken, upload.single('profileIm
     // Generate the URL path for the image
     const imageUrl = `/images/profiles/${req.file.filename}`;
 
+    const before = await loadForAudit('user', req.user.id, req.user.company_id);
+
     // Update user's profile_image_url in database
     const result = await pool.query(
       `UPDATE "user"
@@ -483,6 +1074,8 @@ router.post('/upload-profile-image', authenticateToken, upload.single('profileIm
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await recordAudit(req, { entity: 'user', action: 'update', before, after: result.rows[0] });
+
     res.json({
       message: 'Profile image uploaded successfully',
       imageUrl: imageUrl
@@ -494,9 +1087,187 @@ router.post('/upload-profile-image', authenticateToken, upload.single('profileIm
   }
 });
 
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+// Setup and verify accept either a session or, for users whose role requires 2FA
+// and who are not enrolled yet, the enroll challenge token returned by /login
+const authenticateForEnrollment = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+
+  if (!challengeToken) {
+    return authenticateToken(req, res, () => rejectApiKey(req, res, next));
+  }
+
+  try {
+    const decoded = jwt.verify(challengeToken, JWT_SECRET);
+
+    if (decoded.type !== '2fa_enroll') {
+      return res.status(401).json({ error: 'Invalid challenge token' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, company_id, email, role, first_name, last_name, location_ids, hq_access, active FROM "user" WHERE id = $1',
+      [decoded.id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].active || result.rows[0].company_id !== decoded.company_id) {
+      return res.status(401).json({ error: 'Invalid challenge token' });
+    }
+
+    req.user = result.rows[0];
+    req.enrollmentChallenge = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Enrollment challenge expired. Please login again.' });
+  }
+};
+
+// POST /api/auth/2fa/setup - Start enrollment: new secret for the authenticator app
+// 2FA is not active until /2fa/verify confirms a code from it
+router.post('/2fa/setup', authenticateForEnrollment, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT totp_enabled FROM "user" WHERE id = $1', [req.user.id]);
+
+    if (result.rows[0].totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+
+    await pool.query(
+      'UPDATE "user" SET totp_secret = $1, totp_last_counter = NULL WHERE id = $2',
+      [secret, req.user.id]
+    );
+
+    res.json({
+      secret,
+      otpauth_url: totp.otpauthUrl(secret, req.user.email)
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to set up two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/verify - Confirm the first code and turn 2FA on
+// Returns the recovery codes (only time they are shown); during a required
+// enrollment it also completes the login
+router.post('/2fa/verify', authenticateForEnrollment, async (req, res) => {
+  const { code } = req.body || {};
+
+  if (!code) {
+    return res.status(400).json({ error: 'Code is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, totp_secret, totp_enabled, totp_last_counter FROM "user" WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Start with /api/auth/2fa/setup' });
+    }
+
+    if (await acceptTotpCode(user, code) === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const before = await loadForAudit('user', user.id, req.user.company_id);
+
+    const updated = await pool.query(
+      'UPDATE "user" SET totp_enabled = true, totp_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [user.id]
+    );
+
+    await recordAudit(req, { entity: 'user', action: 'update', before, after: updated.rows[0] });
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    if (req.enrollmentChallenge) {
+      return completeLogin(req, res, req.user, { recovery_codes: recoveryCodes });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: 'Failed to verify two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn 2FA off (password and a code or recovery code)
+router.post('/2fa/disable', authenticateToken, rejectApiKey, async (req, res) => {
+  const { password, code, recoveryCode } = req.body || {};
+
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'Password and code (or recoveryCode) are required' });
+  }
+
+  try {
+    if (await twoFactorRequiredFor(req.user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, password_hash, totp_secret, totp_enabled, totp_last_counter FROM "user" WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.password_hash || !(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const valid = code
+      ? (await acceptTotpCode(user, code)) !== null
+      : await consumeRecoveryCode(user.id, recoveryCode);
+
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const before = await loadForAudit('user', user.id, req.user.company_id);
+
+    const updated = await pool.query(
+      `UPDATE "user" SET totp_enabled = false, totp_secret = NULL, totp_enabled_at = NULL,
+       totp_last_counter = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+      [user.id]
+    );
+    await pool.query('DELETE FROM user_recovery_code WHERE user_id = $1', [user.id]);
+
+    await recordAudit(req, { entity: 'user', action: 'update', before, after: updated.rows[0] });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
 // Export router and middleware
 module.exports = {
   router,
   authenticateToken,
-  requireRole
+  requireRole,
+  sendInvite,
+  revokeUserSessions
 };
\ No newline at end of file
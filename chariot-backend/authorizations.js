@@ -0,0 +1,247 @@
+const pool = require('./database');
+const { recalculateOrder } = require('./pricing');
+const { DEFERRED_STATUSES, refreshDeferredWork } = require('./deferred');
+const { syncOrderStock } = require('./inventory');
+
+// Customer authorization of order work. An authorization records the
+// customer's decision on some of the order's line items (approved, declined or
+// deferred), how it was given, who took it and the amount the customer agreed
+// to. The order keeps that amount in authorized_cost_cents: once the order
+// total goes over it, the customer has to authorize again.
+//
+// Changing the work on an approved line puts the line back to pending and marks
+// the order's latest authorization as reset (service_authorization_reset). So
+// does moving it to another order. An approved line deleted or moved away also
+// takes its total off the authorized amount of the order it leaves.
+// Declined and deferred lines become deferred work (see deferred.js).
+
+const AUTHORIZATION_METHODS = ['phone', 'in_person', 'digital'];
+const AUTHORIZATION_DECISIONS = ['approved', 'declined', 'deferred'];
+
+// Line fields that describe the work; changing one resets an approval
+const WORK_FIELDS = [
+  'name', 'description', 'pricing', 'quantity', 'labor_hours', 'labor_rate_cents',
+  'parts_cost_cents', 'fixed_price_cents', 'lump_sum'
+];
+
+const workChanged = (before, after) => {
+  return WORK_FIELDS.some(field => String(before[field]) !== String(after[field]));
+};
+
+// Authorized amount of an order against its current total
+const authorizationState = (order) => {
+  const authorized = order.authorized_cost_cents === null || order.authorized_cost_cents === undefined
+    ? null
+    : Number(order.authorized_cost_cents);
+  const total = Number(order.calculated_total_cents) || 0;
+
+  return {
+    authorized_cost_cents: authorized,
+    total_cents: total,
+    exceeds_authorization: authorized !== null && total > authorized,
+    overage_cents: authorized === null ? 0 : Math.max(0, total - authorized)
+  };
+};
+
+// Validate the decisions of an authorization: [{ id, status, reason }]
+// Returns an error message or null
+const checkDecisions = (decisions) => {
+  if (!Array.isArray(decisions) || decisions.length === 0) {
+    return 'line_items must be a non-empty array of { id, status }';
+  }
+
+  for (const decision of decisions) {
+    if (!decision || !decision.id) return 'Each line item needs an id';
+
+    if (!AUTHORIZATION_DECISIONS.includes(decision.status)) {
+      return `Line item status must be one of: ${AUTHORIZATION_DECISIONS.join(', ')}`;
+    }
+
+    if (decision.reason && String(decision.reason).length > 100) {
+      return 'reason must be at most 100 characters';
+    }
+  }
+
+  if (new Set(decisions.map(decision => decision.id)).size !== decisions.length) {
+    return 'A line item can only be decided once per authorization';
+  }
+
+  return null;
+};
+
+// ============================================
+// RECORDING
+// ============================================
+
+// Record an authorization for an order (a row locked by the caller); `db` must be
+// a client inside a transaction. The line items take their decided status and
+// the order is repriced; the authorized amount defaults to the new order total.
+// Returns the authorization with its services, or { error } when a line item is
+// not on the order.
+const recordAuthorization = async (db, req, order, { method, decisions, authorizedCostCents, serviceWriterId, note, date }) => {
+  const lines = await db.query(
+    'SELECT * FROM order_line_item WHERE order_id = $1 AND id = ANY($2)',
+    [order.id, decisions.map(decision => decision.id)]
+  );
+
+  if (lines.rows.length !== decisions.length) {
+    return { error: 'Every line item must belong to the order' };
+  }
+
+  for (const decision of decisions) {
+    const deferred = DEFERRED_STATUSES.includes(decision.status);
+
+    await db.query(
+      `UPDATE order_line_item SET status = $1, deferred_date = $2, deferred_reason = $3, followed_up_at = NULL,
+       updated_at = CURRENT_TIMESTAMP WHERE id = $4`,
+      [decision.status, deferred ? new Date() : null, deferred ? decision.reason || null : null, decision.id]
+    );
+  }
+
+  await refreshDeferredWork(db, { orderIds: [order.id], vehicleIds: [order.vehicle_id] });
+  await syncOrderStock(db, order.id);
+
+  const totals = await recalculateOrder(order.id, order.company_id, db);
+  const amount = authorizedCostCents === undefined || authorizedCostCents === null
+    ? totals.total_cents
+    : Number(authorizedCostCents);
+
+  const created = await db.query(
+    `INSERT INTO "authorization" (
+      company_id, location_id, order_id, customer_id, authorized_cost_cents, method, date,
+      service_writer_id, note
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+    [
+      order.company_id,
+      order.location_id,
+      order.id,
+      order.customer_id,
+      amount,
+      method,
+      date || new Date(),
+      serviceWriterId || req.user.id,
+      note
+    ]
+  );
+  const authorization = created.rows[0];
+
+  const services = [];
+
+  for (const decision of decisions) {
+    const line = (await db.query('SELECT * FROM order_line_item WHERE id = $1', [decision.id])).rows[0];
+
+    const service = await db.query(
+      `INSERT INTO authorization_service (
+        company_id, location_id, authorization_id, service_id, order_line_item_id, name,
+        authorized_cost_cents, authorization_status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [
+        order.company_id,
+        order.location_id,
+        authorization.id,
+        line.source_service_id,
+        line.id,
+        line.name,
+        decision.status === 'approved' ? line.total_cents : 0,
+        decision.status
+      ]
+    );
+    services.push(service.rows[0]);
+  }
+
+  await db.query(
+    'UPDATE "order" SET authorized_cost_cents = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [amount, order.id]
+  );
+
+  return { ...authorization, services };
+};
+
+// Put approved lines of an order back to pending (all of them, or those in
+// `lineIds`) and mark the latest authorization reset. Returns the number of
+// lines reset.
+const resetAuthorization = async (db, orderId, lineIds) => {
+  const lines = lineIds
+    ? await db.query(
+      `UPDATE order_line_item SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $1 AND status = 'approved' AND id = ANY($2) RETURNING id`,
+      [orderId, lineIds]
+    )
+    : await db.query(
+      `UPDATE order_line_item SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $1 AND status = 'approved' RETURNING id`,
+      [orderId]
+    );
+
+  const latest = await db.query(
+    'SELECT id FROM "authorization" WHERE order_id = $1 ORDER BY date DESC, created_at DESC LIMIT 1',
+    [orderId]
+  );
+
+  if (latest.rows.length > 0) {
+    await db.query(
+      'UPDATE "authorization" SET service_authorization_reset = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [latest.rows[0].id]
+    );
+  }
+
+  return lines.rows.length;
+};
+
+// Approved lines about to leave an order (a row locked by the caller), deleted
+// or moved: the order's authorized amount stops covering them and its latest
+// authorization is reset. Returns the ids of the approved lines.
+const withdrawApprovedLines = async (db, order, lines) => {
+  const approved = lines.filter(line => line.status === 'approved');
+  if (approved.length === 0) return [];
+
+  const { authorized_cost_cents: authorized } = authorizationState(order);
+  if (authorized !== null) {
+    const cents = approved.reduce((total, line) => total + (Number(line.total_cents) || 0), 0);
+    await db.query(
+      'UPDATE "order" SET authorized_cost_cents = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [Math.max(0, authorized - cents), order.id]
+    );
+  }
+
+  const ids = approved.map(line => line.id);
+  await resetAuthorization(db, order.id, ids);
+  return ids;
+};
+
+// Authorizations of an order, newest first, each with its services
+const loadAuthorizations = async (orderId, db = pool) => {
+  const authorizations = await db.query(
+    `SELECT a.*, u.first_name as service_writer_first_name, u.last_name as service_writer_last_name
+     FROM "authorization" a
+     LEFT JOIN "user" u ON a.service_writer_id = u.id
+     WHERE a.order_id = $1
+     ORDER BY a.date DESC, a.created_at DESC`,
+    [orderId]
+  );
+
+  const services = await db.query(
+    `SELECT s.* FROM authorization_service s
+     JOIN "authorization" a ON a.id = s.authorization_id
+     WHERE a.order_id = $1
+     ORDER BY s.created_at`,
+    [orderId]
+  );
+
+  return authorizations.rows.map(authorization => ({
+    ...authorization,
+    services: services.rows.filter(service => service.authorization_id === authorization.id)
+  }));
+};
+
+module.exports = {
+  AUTHORIZATION_METHODS,
+  AUTHORIZATION_DECISIONS,
+  workChanged,
+  authorizationState,
+  checkDecisions,
+  recordAuthorization,
+  resetAuthorization,
+  withdrawApprovedLines,
+  loadAuthorizations
+};
@@ -0,0 +1,164 @@
+const { loadWorkflow, changeOrderStatus } = require('./workflow');
+
+// What is owed on an order, from its "transaction" rows:
+//   payment - money taken for the order, in full or in part
+//   deposit - a payment taken before the work is done
+//   refund  - money given back from a payment or deposit
+//             (original_transaction_id), adding to the balance due
+// Only paid rows count: pending ones are not money yet, failed ones never will
+// be, and disputed ones are held by the card network. A negative balance due
+// is credit the customer has with the shop.
+//
+// An order whose work is done (a completed stage) moves to the workflow's
+// paid stage when nothing is left to pay, through any completed stages on
+// the way (issuing the invoice number on the way if needed). A paid order
+// that owes money again (after a refund) goes back to the stage it was paid
+// from.
+
+const PAYMENT_TYPES = ['payment', 'deposit'];
+
+const PAID_STAGE = 'paid';
+
+// { total_cents, paid_cents, deposit_cents, refunded_cents, pending_cents,
+//   balance_due_cents, payment_status } of an order row
+const orderBalance = async (db, order) => {
+  const result = await db.query(
+    `SELECT transaction_type, status, SUM(amount_cents) AS amount_cents
+     FROM "transaction" WHERE order_id = $1
+     GROUP BY transaction_type, status`,
+    [order.id]
+  );
+
+  const sum = (types, status) => result.rows
+    .filter(row => types.includes(row.transaction_type) && row.status === status)
+    .reduce((total, row) => total + (Number(row.amount_cents) || 0), 0);
+
+  const totalCents = Number(order.calculated_total_cents) || 0;
+  const paidCents = sum(PAYMENT_TYPES, 'paid');
+  const refundedCents = sum(['refund'], 'paid');
+  const balanceDueCents = totalCents - paidCents + refundedCents;
+
+  let paymentStatus = 'unpaid';
+  if (paidCents - refundedCents > 0) paymentStatus = 'partially_paid';
+  if (totalCents > 0 && balanceDueCents === 0) paymentStatus = 'paid';
+  if (balanceDueCents < 0) paymentStatus = 'overpaid';
+
+  return {
+    order_id: order.id,
+    total_cents: totalCents,
+    paid_cents: paidCents,
+    deposit_cents: sum(['deposit'], 'paid'),
+    refunded_cents: refundedCents,
+    pending_cents: sum(PAYMENT_TYPES, 'pending'),
+    balance_due_cents: balanceDueCents,
+    payment_status: paymentStatus
+  };
+};
+
+// Check an amount about to be charged against an order's balance. Deposits are
+// taken before the work is priced, so the balance due does not limit them.
+// Returns null when allowed, or { status, error } to respond with.
+const checkPaymentAmount = (order, balance, amountCents, { deposit = false, allowOverpayment = false } = {}) => {
+  if (!Number.isInteger(amountCents) || amountCents <= 0) {
+    return { status: 400, error: 'amount_cents must be a whole number of cents greater than 0' };
+  }
+
+  if (deposit && order.completed_date) {
+    return { status: 409, error: 'Deposits are taken before the work is done; take a payment instead' };
+  }
+
+  if (!deposit && amountCents > balance.balance_due_cents && !allowOverpayment) {
+    return {
+      status: 409,
+      error: `The payment of ${amountCents} cents is more than the balance due of ${Math.max(balance.balance_due_cents, 0)} cents; send allow_overpayment to take it anyway`,
+      balance_due_cents: balance.balance_due_cents
+    };
+  }
+
+  return null;
+};
+
+// Cents of a payment or deposit row not yet refunded. Pending refunds count
+// as refunded so the same money cannot be refunded twice.
+const refundableCents = async (db, payment) => {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(amount_cents), 0) AS amount_cents FROM "transaction"
+     WHERE original_transaction_id = $1 AND transaction_type = 'refund' AND status IN ('paid', 'pending')`,
+    [payment.id]
+  );
+
+  return (Number(payment.amount_cents) || 0) - Number(result.rows[0].amount_cents);
+};
+
+// Stages from `from` to `to` moving only through completed stages (null when
+// the workflow has no such path)
+const completedPath = (workflow, from, to) => {
+  const completed = workflow.stages.filter(stage => stage.completed).map(stage => stage.key);
+  const queue = [[from]];
+  const seen = new Set([from]);
+
+  while (queue.length > 0) {
+    const path = queue.shift();
+    const last = path[path.length - 1];
+    if (last === to) return path.slice(1);
+
+    for (const next of workflow.transitions[last] || []) {
+      if (seen.has(next) || !completed.includes(next)) continue;
+      seen.add(next);
+      queue.push([...path, next]);
+    }
+  }
+
+  return null;
+};
+
+// Move a paid order (a row locked by the caller) back to the stage it was paid
+// from. Returns the updated order, or null when that stage is gone.
+const reopenOrder = async (db, req, order) => {
+  const history = await db.query(
+    `SELECT from_status FROM order_status_history WHERE order_id = $1 AND to_status = $2
+     ORDER BY created_at DESC LIMIT 1`,
+    [order.id, PAID_STAGE]
+  );
+  const from = history.rows[0] && history.rows[0].from_status;
+
+  const workflow = await loadWorkflow(order.company_id, db);
+  if (!from || from === PAID_STAGE || !workflow.stages.some(stage => stage.key === from)) return null;
+
+  return changeOrderStatus(db, req, order, from, workflow, 'Balance due again');
+};
+
+// Move an order (a row locked by the caller) to the paid stage when its work is
+// done and nothing is left to pay, or out of it when something is owed again;
+// `db` must be a client inside a transaction.
+// Returns the updated order, or null when it stays where it is.
+const settleOrder = async (db, req, order) => {
+  if (!order.completed_date || order.deleted) return null;
+
+  const balance = await orderBalance(db, order);
+
+  if (order.status === PAID_STAGE) {
+    return balance.balance_due_cents > 0 ? reopenOrder(db, req, order) : null;
+  }
+
+  if (balance.total_cents <= 0 || balance.balance_due_cents > 0) return null;
+
+  const workflow = await loadWorkflow(order.company_id, db);
+  const path = completedPath(workflow, order.status, PAID_STAGE);
+  if (!path) return null;
+
+  let current = order;
+  for (const stage of path) {
+    current = await changeOrderStatus(db, req, current, stage, workflow, 'Balance paid');
+  }
+
+  return current;
+};
+
+module.exports = {
+  PAYMENT_TYPES,
+  orderBalance,
+  checkPaymentAmount,
+  refundableCents,
+  settleOrder
+};
@@ -0,0 +1,17 @@
+// Calendar dates (YYYY-MM-DD) as the shop sees them: in the server's time zone,
+// not UTC, so evening work in US time zones stays on its own day. Used for tax
+// dates, business days and estimate expiry.
+
+// The server-local date of a Date (or anything new Date() takes), today by default
+const localDate = (date = new Date()) => {
+  const value = new Date(date);
+  return [
+    value.getFullYear(),
+    String(value.getMonth() + 1).padStart(2, '0'),
+    String(value.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+module.exports = {
+  localDate
+};
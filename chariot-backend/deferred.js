@@ -0,0 +1,113 @@
+const pool = require('./database');
+const { linePrice } = require('./pricing');
+const { copyLineToOrder } = require('./lineItems');
+const { syncOrderStock } = require('./inventory');
+
+// Deferred work: recommended lines the customer declined or put off. They stay
+// on their order (uncharged) and are listed per vessel until they are revived
+// onto a later order. A revived line is a copy with revived = true and
+// revived_from_id pointing at the original, which then drops off the list.
+//
+// Kept in step by refreshDeferredWork():
+//   order.deferred / deferred_date / deferred_reason - the order has deferred
+//     work outstanding, since when (oldest) and why (latest reason)
+//   vehicle.deferred_service_count - outstanding deferred lines of the vessel
+
+const DEFERRED_STATUSES = ['deferred', 'declined'];
+
+// Lines still waiting to be revived (alias li, order o)
+const OUTSTANDING_LINES = `
+  FROM order_line_item li
+  JOIN "order" o ON o.id = li.order_id
+  LEFT JOIN order_line_item revived ON revived.revived_from_id = li.id
+  WHERE li.status = ANY($1) AND o.deleted = false AND revived.id IS NULL`;
+
+// Recompute the deferred columns of some orders and vehicles
+const refreshDeferredWork = async (db, { orderIds = [], vehicleIds = [] }) => {
+  for (const orderId of new Set(orderIds.filter(Boolean))) {
+    const lines = await db.query(
+      `SELECT li.deferred_date, li.deferred_reason ${OUTSTANDING_LINES} AND li.order_id = $2
+       ORDER BY li.deferred_date`,
+      [DEFERRED_STATUSES, orderId]
+    );
+    const oldest = lines.rows[0];
+    const latestReason = lines.rows.map(line => line.deferred_reason).filter(Boolean).pop();
+
+    await db.query(
+      'UPDATE "order" SET deferred = $1, deferred_date = $2, deferred_reason = $3 WHERE id = $4',
+      [Boolean(oldest), oldest ? oldest.deferred_date : null, latestReason || null, orderId]
+    );
+  }
+
+  for (const vehicleId of new Set(vehicleIds.filter(Boolean))) {
+    const count = await db.query(
+      `SELECT COUNT(*) AS count ${OUTSTANDING_LINES} AND o.vehicle_id = $2`,
+      [DEFERRED_STATUSES, vehicleId]
+    );
+
+    await db.query(
+      'UPDATE vehicle SET deferred_service_count = $1 WHERE id = $2',
+      [parseInt(count.rows[0].count), vehicleId]
+    );
+  }
+};
+
+// Deferred lines of a vessel, oldest first, with their order and what they
+// were quoted at (quoted_cents; the line itself is not charged).
+// `locations` limits them to some locations; `includeRevived` adds the lines
+// already revived, with the order they went to.
+const loadDeferredLines = async ({ companyId, vehicleId, locations, includeRevived = false }, db = pool) => {
+  const params = [DEFERRED_STATUSES, companyId, vehicleId];
+  let where = 'li.status = ANY($1) AND o.deleted = false AND li.company_id = $2 AND o.vehicle_id = $3';
+
+  if (locations) {
+    params.push(locations);
+    where += ` AND li.location_id = ANY($${params.length})`;
+  }
+
+  if (!includeRevived) {
+    where += ' AND revived.id IS NULL';
+  }
+
+  const result = await db.query(
+    `SELECT li.*, o.order_number, o.customer_id, o.created_at as order_created_at,
+            revived.id as revived_line_id, revived.order_id as revived_order_id
+     FROM order_line_item li
+     JOIN "order" o ON o.id = li.order_id
+     LEFT JOIN order_line_item revived ON revived.revived_from_id = li.id
+     WHERE ${where}
+     ORDER BY li.deferred_date, li.created_at`,
+    params
+  );
+
+  return result.rows.map(line => ({ ...line, quoted_cents: linePrice(line) }));
+};
+
+// Copy deferred lines onto an order (a row locked by the caller) as pending
+// work, keeping the link to the original line. Returns the new lines.
+const reviveLines = async (db, order, lines) => {
+  const revived = [];
+
+  for (const line of lines) {
+    revived.push(await copyLineToOrder(db, order, line, {
+      recommended: true,
+      revived: true,
+      revived_from_id: line.id
+    }));
+  }
+
+  await refreshDeferredWork(db, {
+    orderIds: lines.map(line => line.order_id),
+    vehicleIds: [order.vehicle_id]
+  });
+  await syncOrderStock(db, order.id);
+
+  return revived;
+};
+
+module.exports = {
+  DEFERRED_STATUSES,
+  refreshDeferredWork,
+  loadDeferredLines,
+  reviveLines
+};
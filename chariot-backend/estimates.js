@@ -0,0 +1,257 @@
+const pool = require('./database');
+const { calculateOrderTotals, loadTaxRates, loadPricingCustomer, recalculateOrder } = require('./pricing');
+const { nextNumber } = require('./numbering');
+const { recordStatusHistory } = require('./workflow');
+const { refreshOnEstimateQuantity, syncOrderStock } = require('./inventory');
+const { LINE_COLUMNS, copyLineToOrder } = require('./lineItems');
+const { localDate } = require('./dates');
+
+// Estimates: quotes for work that is not booked yet.
+//
+// status: draft -> sent -> accepted -> converted, or declined at any point
+// before conversion. Changes are made on the latest revision while the
+// estimate is a draft or sent; a new revision copies the lines of the one
+// before it, which then stays as it was. Past its expires_on date an estimate
+// can no longer be accepted.
+//
+// Converting the accepted revision creates an order with the same lines. The
+// order keeps estimate_id and estimate_revision_id, the estimate keeps order_id.
+
+const ESTIMATE_STATUSES = ['draft', 'sent', 'accepted', 'declined', 'converted'];
+
+// Statuses in which the latest revision can still be edited
+const EDITABLE_STATUSES = ['draft', 'sent'];
+
+// How long an estimate is valid when no expires_on is given
+const DEFAULT_VALID_DAYS = 30;
+
+// Line columns shown as changes when comparing revisions
+const COMPARED_COLUMNS = [
+  'inventory_part_id', 'name', 'description', 'category', 'pricing',
+  'labor_rate_cents', 'labor_hours', 'parts_cost_cents', 'quantity', 'fixed_price_cents', 'lump_sum',
+  'discount_cents', 'discount_percent', 'tax_percent', 'taxable', 'tax_cents', 'total_cents'
+];
+
+const REVISION_TOTALS = [
+  'calculated_discount_cents', 'calculated_subtotal_cents', 'calculated_tax_cents', 'calculated_total_cents'
+];
+
+// expires_on for an estimate created today
+const defaultExpiry = (date = new Date()) => {
+  const expiry = new Date(date);
+  expiry.setDate(expiry.getDate() + DEFAULT_VALID_DAYS);
+  return localDate(expiry);
+};
+
+const isExpired = (estimate, date = new Date()) => {
+  return Boolean(estimate.expires_on) && localDate(estimate.expires_on) < localDate(date);
+};
+
+// Estimate row as returned by the API
+const presentEstimate = (estimate) => ({ ...estimate, expired: isExpired(estimate) });
+
+// ============================================
+// REVISIONS
+// ============================================
+
+const loadRevisionLines = async (revisionId, db = pool) => {
+  const result = await db.query(
+    'SELECT * FROM estimate_line_item WHERE revision_id = $1 ORDER BY ordinal, created_at',
+    [revisionId]
+  );
+  return result.rows;
+};
+
+// Price a revision's lines the way an order would be priced today and save the
+// totals on the lines and the revision; returns the totals
+const priceRevision = async (db, estimate, revisionId) => {
+  const lineItems = await loadRevisionLines(revisionId, db);
+
+  const totals = calculateOrderTotals({
+    order: { location_id: estimate.location_id, discount_percent: estimate.discount_percent },
+    customer: await loadPricingCustomer(estimate.customer_id, db),
+    lineItems,
+    taxRates: await loadTaxRates(estimate.location_id, estimate.company_id, localDate(new Date()), db)
+  });
+
+  for (const line of totals.line_items) {
+    await db.query(
+      'UPDATE estimate_line_item SET tax_cents = $1, total_cents = $2 WHERE id = $3',
+      [line.tax_cents, line.total_cents, line.id]
+    );
+  }
+
+  await db.query(
+    `UPDATE estimate_revision SET
+      calculated_discount_cents = $1, calculated_subtotal_cents = $2, calculated_tax_cents = $3, calculated_total_cents = $4
+     WHERE id = $5`,
+    [totals.discount_cents, totals.subtotal_cents, totals.tax_cents, totals.total_cents, revisionId]
+  );
+
+  return totals;
+};
+
+// Start a new revision of an estimate, copying the lines of `fromRevisionId`
+// (or starting empty). Returns the revision row.
+const createRevision = async (db, req, estimate, { note, fromRevisionId } = {}) => {
+  const latest = await db.query(
+    'SELECT COALESCE(MAX(revision_number), 0) AS number FROM estimate_revision WHERE estimate_id = $1',
+    [estimate.id]
+  );
+
+  const result = await db.query(
+    `INSERT INTO estimate_revision (company_id, estimate_id, revision_number, note, created_by_id)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [estimate.company_id, estimate.id, Number(latest.rows[0].number) + 1, note || '', req.user.id]
+  );
+  const revision = result.rows[0];
+
+  if (fromRevisionId) {
+    const columns = ['line_key', ...LINE_COLUMNS];
+
+    for (const line of await loadRevisionLines(fromRevisionId, db)) {
+      const values = columns.map(column => line[column]);
+
+      await db.query(
+        `INSERT INTO estimate_line_item (company_id, location_id, revision_id, ${columns.join(', ')})
+         VALUES ($1, $2, $3, ${columns.map((column, i) => `$${i + 4}`).join(', ')})`,
+        [estimate.company_id, estimate.location_id, revision.id, ...values]
+      );
+    }
+  }
+
+  await db.query(
+    'UPDATE estimate SET current_revision_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [revision.id, estimate.id]
+  );
+  await priceRevision(db, estimate, revision.id);
+
+  return (await db.query('SELECT * FROM estimate_revision WHERE id = $1', [revision.id])).rows[0];
+};
+
+// Keep on_estimate_quantity of every part quoted on the estimate up to date
+const refreshEstimateParts = async (db, estimateId) => {
+  const parts = await db.query(
+    `SELECT DISTINCT eli.inventory_part_id
+     FROM estimate_line_item eli
+     JOIN estimate_revision er ON er.id = eli.revision_id
+     WHERE er.estimate_id = $1 AND eli.inventory_part_id IS NOT NULL`,
+    [estimateId]
+  );
+
+  await refreshOnEstimateQuantity(db, parts.rows.map(row => row.inventory_part_id));
+};
+
+// Differences between two revisions; lines are matched by line_key
+const compareRevisions = (from, to) => {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const line of to.lines) {
+    const before = from.lines.find(l => l.line_key === line.line_key);
+
+    if (!before) {
+      added.push(line);
+      continue;
+    }
+
+    const changes = {};
+    for (const column of COMPARED_COLUMNS) {
+      if (String(before[column]) !== String(line[column])) {
+        changes[column] = { from: before[column], to: line[column] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ line_key: line.line_key, name: line.name, changes });
+    }
+  }
+
+  for (const line of from.lines) {
+    if (!to.lines.some(l => l.line_key === line.line_key)) removed.push(line);
+  }
+
+  const totals = {};
+  for (const column of REVISION_TOTALS) {
+    const fromValue = Number(from.revision[column]);
+    const toValue = Number(to.revision[column]);
+    totals[column] = { from: fromValue, to: toValue, difference: toValue - fromValue };
+  }
+
+  return {
+    from: from.revision.revision_number,
+    to: to.revision.revision_number,
+    added,
+    removed,
+    changed,
+    totals
+  };
+};
+
+// ============================================
+// CONVERSION
+// ============================================
+
+// Create an order from the accepted revision of an estimate (a row locked by
+// the caller) in workflow stage `status`; `db` must be a client inside a
+// transaction. Returns the order row.
+const convertEstimate = async (db, req, estimate, status) => {
+  const orderNumber = await nextNumber(db, {
+    companyId: estimate.company_id,
+    locationId: estimate.location_id,
+    documentType: 'order'
+  });
+
+  const created = await db.query(
+    `INSERT INTO "order" (
+      company_id, location_id, order_number, customer_id, vehicle_id, service_writer_id, note,
+      priority, status, workflow_status, discount_percent, estimate_id, estimate_revision_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'normal', $8, $8, $9, $10, $11) RETURNING *`,
+    [
+      estimate.company_id,
+      estimate.location_id,
+      orderNumber,
+      estimate.customer_id,
+      estimate.vehicle_id,
+      estimate.service_writer_id,
+      estimate.note || '',
+      status,
+      estimate.discount_percent,
+      estimate.id,
+      estimate.accepted_revision_id
+    ]
+  );
+  const order = created.rows[0];
+
+  for (const line of await loadRevisionLines(estimate.accepted_revision_id, db)) {
+    await copyLineToOrder(db, order, line);
+  }
+
+  await recordStatusHistory(db, req, order, null, `Converted from estimate ${estimate.estimate_number}`);
+  await recalculateOrder(order.id, order.company_id, db);
+  await syncOrderStock(db, order.id);
+
+  await db.query(
+    `UPDATE estimate SET status = 'converted', order_id = $1, converted_at = CURRENT_TIMESTAMP,
+     updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+    [order.id, estimate.id]
+  );
+  await refreshEstimateParts(db, estimate.id);
+
+  return (await db.query('SELECT * FROM "order" WHERE id = $1', [order.id])).rows[0];
+};
+
+module.exports = {
+  ESTIMATE_STATUSES,
+  EDITABLE_STATUSES,
+  defaultExpiry,
+  isExpired,
+  presentEstimate,
+  loadRevisionLines,
+  priceRevision,
+  createRevision,
+  refreshEstimateParts,
+  compareRevisions,
+  convertEstimate
+};
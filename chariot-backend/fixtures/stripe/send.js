@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+const Stripe = require('stripe');
+
+// Send a signed Stripe webhook event to a local server, without Stripe or a
+// network connection:
+//
+//   node fixtures/stripe/send.js <event type> --order <order id> [options]
+//
+//   --amount <cents>   amount of the payment (default: the order total)
+//   --refund <cents>   amount refunded, for charge.refunded (default: --amount)
+//   --intent <pi_...>  payment intent id (default: one derived from the order id)
+//   --event <evt_...>  event id (default: a new one); send an id twice to see
+//                      the event handled once
+//   --url <url>        default http://localhost:$PORT/api/payments/webhook
+//
+// The event is <event type>.json from this directory, filled in with the
+// order's ids and signed with STRIPE_WEBHOOK_SECRET like Stripe would.
+
+const pool = require('../../database');
+
+const EVENT_TYPES = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.json'))
+  .map(file => file.replace(/\.json$/, ''));
+
+const parseArgs = (argv) => {
+  const [type, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i += 2) {
+    options[rest[i].replace(/^--/, '')] = rest[i + 1];
+  }
+
+  return { type, options };
+};
+
+const randomId = (prefix) => `${prefix}_local_${crypto.randomBytes(8).toString('hex')}`;
+
+// Event JSON for an order, from the fixture template
+const buildEvent = (type, order, options) => {
+  const template = fs.readFileSync(path.join(__dirname, `${type}.json`), 'utf8');
+  const amount = Number(options.amount || order.calculated_total_cents);
+  const intentId = options.intent || `pi_local_${order.id.replace(/-/g, '').slice(0, 16)}`;
+
+  const values = {
+    event_id: options.event || randomId('evt'),
+    created: Math.floor(Date.now() / 1000),
+    payment_intent_id: intentId,
+    charge_id: intentId.replace(/^pi_/, 'ch_'),
+    refund_id: randomId('re'),
+    dispute_id: randomId('dp'),
+    amount,
+    refund_amount: Number(options.refund || amount),
+    order_id: order.id,
+    customer_id: order.customer_id,
+    company_id: order.company_id,
+    location_id: order.location_id
+  };
+
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => String(values[name]));
+};
+
+const main = async () => {
+  const { type, options } = parseArgs(process.argv.slice(2));
+
+  if (!EVENT_TYPES.includes(type) || !options.order) {
+    console.error(`Usage: node fixtures/stripe/send.js <${EVENT_TYPES.join('|')}> --order <order id> [--amount cents]`);
+    process.exit(1);
+  }
+
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('STRIPE_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const result = await pool.query('SELECT * FROM "order" WHERE id = $1', [options.order]);
+  if (result.rows.length === 0) {
+    console.error(`Order ${options.order} not found`);
+    process.exit(1);
+  }
+
+  const payload = buildEvent(type, result.rows[0], options);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+  const url = options.url || `http://localhost:${process.env.PORT || 3001}/api/payments/webhook`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'stripe-signature': signature },
+    body: payload
+  });
+
+  console.log(`${type} ${JSON.parse(payload).id} -> ${response.status} ${await response.text()}`);
+};
+
+main()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
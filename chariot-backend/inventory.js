@@ -0,0 +1,150 @@
+const { UNCHARGED_LINE_STATUSES } = require('./pricing');
+const { loadWorkflow } = require('./workflow');
+
+// Stock figures of inventory_part that follow from documents rather than from
+// counting the shelf:
+//   on_estimate_quantity - quantity quoted on open estimates (the accepted
+//                          revision, or else the latest one)
+//   reserved_quantity    - quantity held by the part lines of open orders
+//   available_quantity   - quantity - reserved_quantity
+//
+// A part line holds its quantity as reserved while its order is open, and it
+// is taken off quantity (consumed) when the order is completed. Orders still
+// in the workflow's first stage (quotes) and declined or deferred lines hold
+// nothing. Each line records what it holds, so a change gives back exactly that.
+//
+// All stock changes run inside the caller's transaction with the part rows
+// locked: two service writers cannot both take the last unit.
+
+// Estimates whose quantities count as on estimate
+const ON_ESTIMATE_STATUSES = ['draft', 'sent', 'accepted'];
+
+// Line item fields taken from the part when a line is added for it
+const partLineDefaults = (part) => ({
+  name: part.name,
+  category: 'part',
+  pricing: 'quantity',
+  quantity: 1,
+  parts_cost_cents: part.retail_cost_cents,
+  taxable: part.taxable !== false
+});
+
+// Recount on_estimate_quantity of the given parts
+const refreshOnEstimateQuantity = async (db, partIds) => {
+  const ids = [...new Set(partIds.filter(Boolean))];
+  if (ids.length === 0) return;
+
+  const totals = await db.query(
+    `SELECT eli.inventory_part_id, SUM(eli.quantity) AS quantity
+     FROM estimate_line_item eli
+     JOIN estimate_revision er ON er.id = eli.revision_id
+     JOIN estimate e ON e.id = er.estimate_id
+     WHERE eli.inventory_part_id = ANY($1)
+       AND e.deleted = false AND e.status = ANY($2)
+       AND er.id = COALESCE(e.accepted_revision_id, e.current_revision_id)
+     GROUP BY eli.inventory_part_id`,
+    [ids, ON_ESTIMATE_STATUSES]
+  );
+
+  for (const id of ids) {
+    const row = totals.rows.find(r => r.inventory_part_id === id);
+
+    await db.query(
+      'UPDATE inventory_part SET on_estimate_quantity = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [row ? row.quantity || 0 : 0, id]
+    );
+  }
+};
+
+// ============================================
+// ORDER STOCK
+// ============================================
+
+const toNumber = (value) => Number(value) || 0;
+
+// What a line should hold: { reserved, consumed }
+const stockTarget = (line, order, quoteStage) => {
+  if (order.deleted || order.status === quoteStage || UNCHARGED_LINE_STATUSES.includes(line.status)) {
+    return { reserved: 0, consumed: 0 };
+  }
+
+  const quantity = toNumber(line.quantity);
+  return order.completed_date ? { reserved: 0, consumed: quantity } : { reserved: quantity, consumed: 0 };
+};
+
+// Change a part's reserved and consumed stock. Throws a 409 error (which rolls
+// the transaction back) when that takes more than is available.
+const adjustPart = async (db, partId, reservedChange, consumedChange) => {
+  const result = await db.query('SELECT * FROM inventory_part WHERE id = $1 FOR UPDATE', [partId]);
+  const part = result.rows[0];
+
+  const available = toNumber(part.quantity) - toNumber(part.reserved_quantity);
+  const taking = reservedChange + consumedChange;
+
+  if (taking > 0 && taking > available) {
+    const error = new Error(`Not enough ${part.name} in stock: ${available} available, ${taking} needed`);
+    error.status = 409;
+    throw error;
+  }
+
+  const quantity = toNumber(part.quantity) - consumedChange;
+  const reserved = toNumber(part.reserved_quantity) + reservedChange;
+
+  await db.query(
+    `UPDATE inventory_part SET quantity = $1, reserved_quantity = $2, available_quantity = $3,
+     updated_at = CURRENT_TIMESTAMP WHERE id = $4`,
+    [quantity, reserved, quantity - reserved, partId]
+  );
+};
+
+// Reserve, release or consume stock so every part line of an order holds what
+// it should. Call after any change to the order's lines or status; `db` must be
+// a client inside a transaction.
+const syncOrderStock = async (db, orderId) => {
+  const orderResult = await db.query('SELECT * FROM "order" WHERE id = $1', [orderId]);
+  const order = orderResult.rows[0];
+  const workflow = await loadWorkflow(order.company_id, db);
+
+  // Parts are locked in id order so two orders never wait on each other
+  const lines = await db.query(
+    'SELECT * FROM order_line_item WHERE order_id = $1 AND inventory_part_id IS NOT NULL ORDER BY inventory_part_id, id',
+    [orderId]
+  );
+
+  for (const line of lines.rows) {
+    const target = stockTarget(line, order, workflow.stages[0].key);
+    const reservedChange = target.reserved - toNumber(line.reserved_quantity);
+    const consumedChange = target.consumed - toNumber(line.consumed_quantity);
+
+    if (reservedChange === 0 && consumedChange === 0) continue;
+
+    await adjustPart(db, line.inventory_part_id, reservedChange, consumedChange);
+    await db.query(
+      'UPDATE order_line_item SET reserved_quantity = $1, consumed_quantity = $2 WHERE id = $3',
+      [target.reserved, target.consumed, line.id]
+    );
+  }
+};
+
+// Give back everything a line holds, before it is removed from its order
+const releaseLineStock = async (db, line) => {
+  if (!line.inventory_part_id) return;
+
+  const reserved = toNumber(line.reserved_quantity);
+  const consumed = toNumber(line.consumed_quantity);
+  if (reserved === 0 && consumed === 0) return;
+
+  await adjustPart(db, line.inventory_part_id, -reserved, -consumed);
+  await db.query(
+    'UPDATE order_line_item SET reserved_quantity = 0, consumed_quantity = 0 WHERE id = $1',
+    [line.id]
+  );
+};
+
+module.exports = {
+  ON_ESTIMATE_STATUSES,
+  partLineDefaults,
+  refreshOnEstimateQuantity,
+  syncOrderStock,
+  releaseLineStock
+};
@@ -0,0 +1,111 @@
+// Line items of orders: copying them between documents (estimate revisions,
+// orders), grouping them into jobs and the customer-facing view of them.
+//
+// A line can be grouped under a parent line of the same order (parent_id), so
+// labor, parts and fees show as one job. Groups are one level deep: a parent
+// has no parent. Hidden lines are charged like any other but never itemized
+// for the customer.
+
+// Columns that describe a line's work and price; everything else (ids, totals,
+// status, timestamps) belongs to the document the line is on
+const LINE_COLUMNS = [
+  'source_service_id', 'inventory_part_id', 'name', 'description', 'category', 'pricing', 'ordinal',
+  'labor_rate_cents', 'labor_hours', 'parts_cost_cents', 'quantity', 'fixed_price_cents', 'lump_sum',
+  'discount_cents', 'discount_percent', 'discount_value_type', 'tax_percent', 'taxable', 'note'
+];
+
+// Add a copy of `line` to an order; `extra` sets other columns of the new line
+// (or overrides copied ones). Returns the new row; totals are left to
+// recalculateOrder.
+const copyLineToOrder = async (db, order, line, extra = {}) => {
+  const fields = {};
+  LINE_COLUMNS.forEach(column => { fields[column] = line[column]; });
+  Object.assign(fields, extra);
+
+  const columns = Object.keys(fields);
+  const result = await db.query(
+    `INSERT INTO order_line_item (company_id, location_id, order_id, ${columns.join(', ')})
+     VALUES ($1, $2, $3, ${columns.map((column, i) => `$${i + 4}`).join(', ')}) RETURNING *`,
+    [order.company_id, order.location_id, order.id, ...columns.map(column => fields[column])]
+  );
+
+  return result.rows[0];
+};
+
+// ============================================
+// GROUPS
+// ============================================
+
+// Validate putting line `lineId` (null for a new line) of an order under
+// `parentId`. Returns an error message or null.
+const checkLineParent = async (db, { orderId, lineId, parentId }) => {
+  if (!parentId) return null;
+  if (parentId === lineId) return 'A line item cannot be grouped under itself';
+
+  const parent = await db.query('SELECT order_id, parent_id FROM order_line_item WHERE id = $1', [parentId]);
+
+  if (parent.rows.length === 0 || parent.rows[0].order_id !== orderId) {
+    return 'parent_id must be a line item of the same order';
+  }
+
+  if (parent.rows[0].parent_id) {
+    return 'parent_id must be a top-level line item; groups are one level deep';
+  }
+
+  if (lineId) {
+    const children = await db.query('SELECT id FROM order_line_item WHERE parent_id = $1 LIMIT 1', [lineId]);
+    if (children.rows.length > 0) return 'A line item with grouped lines cannot be grouped itself';
+  }
+
+  return null;
+};
+
+// `selected` lines together with the lines grouped under them, taken from
+// `lines` (all lines of the order), in the order of `lines`
+const withGroupedLines = (selected, lines) => {
+  const ids = new Set(selected.map(line => line.id));
+  return lines.filter(line => ids.has(line.id) || ids.has(line.parent_id));
+};
+
+// Customer-facing jobs of an order: every visible top-level line with its
+// visible grouped lines as items. `priced` is the line_items of
+// calculateOrderTotals(); amounts are before discounts and tax, and a job's
+// price_cents includes its hidden lines. Hidden top-level lines (and their
+// groups) are left out; the order totals still include them.
+const invoiceJobs = (lines, priced) => {
+  const price = (line) => {
+    const pricedLine = priced.find(p => p.id === line.id);
+    return pricedLine ? pricedLine.price_cents : 0;
+  };
+
+  const item = (line) => ({
+    id: line.id,
+    name: line.name,
+    description: line.description,
+    category: line.category,
+    quantity: line.pricing === 'quantity' ? line.quantity : null,
+    labor_hours: line.pricing === 'hourly' ? line.labor_hours : null,
+    status: line.status,
+    price_cents: price(line)
+  });
+
+  return lines
+    .filter(line => !line.parent_id && !line.hidden)
+    .map(parent => {
+      const grouped = lines.filter(line => line.parent_id === parent.id);
+
+      return {
+        ...item(parent),
+        price_cents: price(parent) + grouped.reduce((sum, line) => sum + price(line), 0),
+        items: grouped.filter(line => !line.hidden).map(item)
+      };
+    });
+};
+
+module.exports = {
+  LINE_COLUMNS,
+  copyLineToOrder,
+  checkLineParent,
+  withGroupedLines,
+  invoiceJobs
+};
@@ -0,0 +1,224 @@
+const pool = require('./database');
+
+// Brute-force protection for POST /api/auth/login.
+// Failed attempts are counted per account (email) and per client IP:
+// - after a few failures each further attempt must wait (1s, 2s, 4s... capped)
+// - an account is locked for LOGIN_LOCKOUT_MINUTES after LOGIN_MAX_FAILURES
+// - an IP is blocked for the same time after LOGIN_MAX_IP_FAILURES
+// Counters live in memory by default; LOGIN_GUARD_STORE=postgres keeps them
+// in the login_attempt table so they survive restarts.
+
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+
+// Failures allowed before delays start
+const FREE_ACCOUNT_FAILURES = 2;
+const FREE_IP_FAILURES = 5;
+const MAX_DELAY_SECONDS = 30;
+
+// ============================================
+// STORES
+// ============================================
+// A store keeps one record per key: { failures, last_failure_at, locked_until }
+
+const createMemoryStore = () => {
+  const records = new Map();
+
+  return {
+    get: async (key) => records.get(key) || null,
+    set: async (key, record) => {
+      records.set(key, record);
+
+      // Forget stale keys so sprayed emails/IPs cannot grow the map forever
+      if (records.size > 10000) {
+        const now = Date.now();
+        for (const [k, r] of records) {
+          if (isStale(r, now)) records.delete(k);
+        }
+      }
+    },
+    delete: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+const createPostgresStore = (db = pool) => ({
+  get: async (key) => {
+    const result = await db.query(
+      'SELECT failures, last_failure_at, locked_until FROM login_attempt WHERE key = $1',
+      [key]
+    );
+    return result.rows[0] || null;
+  },
+  set: async (key, record) => {
+    await db.query(
+      `INSERT INTO login_attempt (key, failures, last_failure_at, locked_until)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (key) DO UPDATE SET
+         failures = EXCLUDED.failures,
+         last_failure_at = EXCLUDED.last_failure_at,
+         locked_until = EXCLUDED.locked_until`,
+      [key, record.failures, record.last_failure_at, record.locked_until]
+    );
+  },
+  delete: async (key) => {
+    await db.query('DELETE FROM login_attempt WHERE key = $1', [key]);
+  }
+});
+
+const stores = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore
+};
+
+const storeName = process.env.LOGIN_GUARD_STORE || 'memory';
+if (!stores[storeName]) {
+  throw new Error(`Unknown LOGIN_GUARD_STORE: ${storeName}`);
+}
+const store = stores[storeName]();
+
+// ============================================
+// HELPERS
+// ============================================
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// A record stops counting once its lock has passed, or when it has no lock
+// and the last failure is older than the failure window
+const isStale = (record, now) => {
+  if (record.locked_until) {
+    return new Date(record.locked_until).getTime() <= now;
+  }
+  return now - new Date(record.last_failure_at).getTime() > FAILURE_WINDOW_MINUTES * 60 * 1000;
+};
+
+const activeRecord = async (key, now) => {
+  const record = await store.get(key);
+  return record && !isStale(record, now) ? record : null;
+};
+
+// Seconds to wait after `failures` failures (0 while still within the free attempts)
+const delaySeconds = (failures, freeFailures) => {
+  if (failures < freeFailures) return 0;
+  return Math.min(Math.pow(2, failures - freeFailures), MAX_DELAY_SECONDS);
+};
+
+// Seconds remaining before a record allows another attempt
+const secondsUntilAllowed = (record, freeFailures, now) => {
+  const until = record.locked_until
+    ? new Date(record.locked_until).getTime()
+    : new Date(record.last_failure_at).getTime() + delaySeconds(record.failures, freeFailures) * 1000;
+  return Math.max(0, Math.ceil((until - now) / 1000));
+};
+
+const addFailure = async (key, maxFailures, now) => {
+  const record = await activeRecord(key, now);
+  const failures = (record ? record.failures : 0) + 1;
+  const locked = failures >= maxFailures;
+
+  await store.set(key, {
+    failures,
+    last_failure_at: new Date(now),
+    locked_until: locked ? new Date(now + LOCKOUT_MINUTES * 60 * 1000) : null
+  });
+
+  return locked;
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+// Check whether a login attempt may proceed
+// Returns null when allowed, otherwise { status, error, reason, retryAfter }
+const checkLogin = async (email, ip) => {
+  const now = Date.now();
+
+  const ipRecord = await activeRecord(ipKey(ip), now);
+  if (ipRecord) {
+    const wait = secondsUntilAllowed(ipRecord, FREE_IP_FAILURES, now);
+    if (wait > 0) {
+      return {
+        status: 429,
+        error: 'Too many failed login attempts from this address. Try again later.',
+        reason: ipRecord.locked_until ? 'ip_blocked' : 'ip_throttled',
+        retryAfter: wait
+      };
+    }
+  }
+
+  const accountRecord = await activeRecord(accountKey(email), now);
+  if (accountRecord) {
+    const wait = secondsUntilAllowed(accountRecord, FREE_ACCOUNT_FAILURES, now);
+    if (accountRecord.locked_until) {
+      return {
+        status: 423,
+        error: 'Account temporarily locked after too many failed login attempts',
+        reason: 'account_locked',
+        retryAfter: wait
+      };
+    }
+    if (wait > 0) {
+      return {
+        status: 429,
+        error: 'Too many failed login attempts. Please wait before trying again.',
+        reason: 'account_throttled',
+        retryAfter: wait
+      };
+    }
+  }
+
+  return null;
+};
+
+// Count a failed attempt; returns { locked, retryAfter } for the account
+const recordLoginFailure = async (email, ip) => {
+  const now = Date.now();
+
+  await addFailure(ipKey(ip), MAX_IP_FAILURES, now);
+  const locked = await addFailure(accountKey(email), MAX_ACCOUNT_FAILURES, now);
+
+  return { locked, retryAfter: locked ? LOCKOUT_MINUTES * 60 : 0 };
+};
+
+// A successful login clears the account's counter (the IP counter decays on its own)
+const recordLoginSuccess = async (email) => {
+  await store.delete(accountKey(email));
+};
+
+// Lift a lockout (admin unlock)
+const unlockAccount = async (email) => {
+  await store.delete(accountKey(email));
+};
+
+// Whether an account is currently locked
+const isAccountLocked = async (email) => {
+  const record = await activeRecord(accountKey(email), Date.now());
+  return Boolean(record && record.locked_until);
+};
+
+// Append to the login_event trail. Never fails the request it is recording.
+const recordLoginEvent = async ({ company_id, user_id, email, ip_address, user_agent, event_type, reason, metadata }) => {
+  try {
+    await pool.query(
+      `INSERT INTO login_event (company_id, user_id, email, ip_address, user_agent, event_type, reason, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [company_id || null, user_id || null, email ? email.toLowerCase() : null, ip_address, user_agent || null, event_type, reason || null, metadata ? JSON.stringify(metadata) : null]
+    );
+  } catch (error) {
+    console.error('Login event error:', error);
+  }
+};
+
+module.exports = {
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  isAccountLocked,
+  recordLoginEvent
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing mail goes through a pluggable transport.
+// MAIL_TRANSPORT picks one by name (console by default); a real provider
+// (SMTP, SES, Postmark...) can be added with registerTransport().
+const MAIL_FROM = process.env.MAIL_FROM || 'Chariot <no-reply@chariot.local>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, 'tmp/mail');
+
+// ============================================
+// BUILT-IN TRANSPORTS
+// ============================================
+
+// Print messages to the server log (development)
+const consoleTransport = async (message) => {
+  console.log('\n📧 Mail (console transport)');
+  console.log(`   From: ${message.from}`);
+  console.log(`   To: ${message.to}`);
+  console.log(`   Subject: ${message.subject}`);
+  console.log(`\n${message.text}\n`);
+  return { id: `console-${Date.now()}` };
+};
+
+// Write each message to a JSON file in MAIL_DIR (development / demos)
+const fileTransport = async (message) => {
+  if (!fs.existsSync(MAIL_DIR)) {
+    fs.mkdirSync(MAIL_DIR, { recursive: true });
+  }
+
+  const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  const file = path.join(MAIL_DIR, `${id}.json`);
+  fs.writeFileSync(file, JSON.stringify({ ...message, sent_at: new Date() }, null, 2));
+
+  return { id, file };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+// Register (or replace) a transport: async (message) => ({ id })
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Send a message through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
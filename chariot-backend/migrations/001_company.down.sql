@@ -0,0 +1,19 @@
+-- ============================================
+-- 001 - COMPANY (TENANT) TABLE - ROLLBACK
+-- ============================================
+-- Rows keep their company_id; only the company table and its key go away.
+
+DROP INDEX IF EXISTS idx_location_company;
+DROP INDEX IF EXISTS idx_user_company;
+DROP INDEX IF EXISTS idx_vehicle_company;
+DROP INDEX IF EXISTS idx_service_company;
+DROP INDEX IF EXISTS idx_labor_company;
+DROP INDEX IF EXISTS idx_inventory_company;
+DROP INDEX IF EXISTS idx_inspection_company;
+DROP INDEX IF EXISTS idx_transaction_company;
+DROP INDEX IF EXISTS idx_timesheet_company;
+DROP INDEX IF EXISTS idx_message_company;
+
+ALTER TABLE "user" DROP CONSTRAINT IF EXISTS user_company_id_fkey;
+
+DROP TABLE IF EXISTS company;
@@ -0,0 +1,68 @@
+-- ============================================
+-- 001 - COMPANY (TENANT) TABLE
+-- ============================================
+-- Every table already carries company_id; this gives it something to point at.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS company (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255),
+  phone VARCHAR(20),
+  active BOOLEAN DEFAULT true,
+  settings JSONB NOT NULL DEFAULT '{}',
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One company per company_id already referenced by a user account
+INSERT INTO company (id, name)
+SELECT DISTINCT company_id, 'Company ' || LEFT(company_id::text, 8)
+FROM "user"
+ON CONFLICT (id) DO NOTHING;
+
+-- Single-shop installs: rows created before tenancy was enforced were given a
+-- random company_id. When there is exactly one company, adopt those rows.
+DO $$
+DECLARE
+  only_company UUID;
+  tbl TEXT;
+BEGIN
+  IF (SELECT COUNT(*) FROM company) = 1 THEN
+    SELECT id INTO only_company FROM company;
+
+    FOREACH tbl IN ARRAY ARRAY[
+      'location', 'customer', 'email', 'phone_number', 'vehicle', 'vehicle_owner',
+      'vehicle_location', 'service', 'labor', 'inventory_part', 'vendor_table',
+      'appointment', 'appointment_user_connection', 'order', 'order_line_item',
+      'inspection', 'inspection_item', 'transaction', 'authorization',
+      'authorization_service', 'timesheet', 'message'
+    ] LOOP
+      EXECUTE format(
+        'UPDATE %I SET company_id = $1 WHERE company_id NOT IN (SELECT id FROM company)',
+        tbl
+      ) USING only_company;
+    END LOOP;
+  END IF;
+END $$;
+
+-- Users must belong to an existing company
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'user_company_id_fkey') THEN
+    ALTER TABLE "user" ADD CONSTRAINT user_company_id_fkey FOREIGN KEY (company_id) REFERENCES company(id);
+  END IF;
+END $$;
+
+-- Every scoped query filters on company_id
+CREATE INDEX IF NOT EXISTS idx_location_company ON location(company_id);
+CREATE INDEX IF NOT EXISTS idx_user_company ON "user"(company_id);
+CREATE INDEX IF NOT EXISTS idx_vehicle_company ON vehicle(company_id);
+CREATE INDEX IF NOT EXISTS idx_service_company ON service(company_id);
+CREATE INDEX IF NOT EXISTS idx_labor_company ON labor(company_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_company ON inventory_part(company_id);
+CREATE INDEX IF NOT EXISTS idx_inspection_company ON inspection(company_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_company ON "transaction"(company_id);
+CREATE INDEX IF NOT EXISTS idx_timesheet_company ON timesheet(company_id);
+CREATE INDEX IF NOT EXISTS idx_message_company ON message(company_id);
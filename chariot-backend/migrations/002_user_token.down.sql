@@ -0,0 +1,5 @@
+-- ============================================
+-- 002 - USER TOKENS (INVITES & PASSWORD RESETS) - ROLLBACK
+-- ============================================
+
+DROP TABLE IF EXISTS user_token;
@@ -0,0 +1,20 @@
+-- ============================================
+-- 002 - USER TOKENS (INVITES & PASSWORD RESETS)
+-- ============================================
+-- Single-use, expiring tokens emailed to staff. Only the SHA-256 hash of the
+-- token is stored; the raw value exists only in the email link.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS user_token (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('invite', 'reset')),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_by_id UUID REFERENCES "user"(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_token_user ON user_token(user_id);
@@ -0,0 +1,8 @@
+-- ============================================
+-- 003 - USER SESSIONS (ONE PER DEVICE) - ROLLBACK
+-- ============================================
+-- Everyone has to log in again: the old single refresh token column is empty.
+
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS refresh_token TEXT;
+
+DROP TABLE IF EXISTS user_session;
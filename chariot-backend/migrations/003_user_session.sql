@@ -0,0 +1,28 @@
+-- ============================================
+-- 003 - USER SESSIONS (ONE PER DEVICE)
+-- ============================================
+-- Each login creates a session. Its refresh token is rotated on every refresh;
+-- only the hash of the current token is kept, together with its generation.
+-- Presenting an older generation means the token was copied, and the whole
+-- session (token family) is revoked.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS user_session (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  generation INTEGER NOT NULL DEFAULT 1,
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_session_user ON user_session(user_id);
+
+-- Refresh tokens now live in user_session
+ALTER TABLE "user" DROP COLUMN IF EXISTS refresh_token;
@@ -0,0 +1,6 @@
+-- ============================================
+-- 004 - LOGIN ATTEMPTS & LOGIN EVENTS - ROLLBACK
+-- ============================================
+
+DROP TABLE IF EXISTS login_event;
+DROP TABLE IF EXISTS login_attempt;
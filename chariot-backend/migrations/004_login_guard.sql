@@ -0,0 +1,30 @@
+-- ============================================
+-- 004 - LOGIN ATTEMPTS & LOGIN EVENTS
+-- ============================================
+-- login_attempt backs the optional Postgres store of loginGuard.js
+-- (LOGIN_GUARD_STORE=postgres) so failed-attempt counters and lockouts
+-- survive restarts. login_event is the audit trail managers review.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS login_attempt (
+  key VARCHAR(320) PRIMARY KEY,             -- 'account:<email>' or 'ip:<address>'
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMP,
+  locked_until TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS login_event (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID REFERENCES company(id),   -- NULL when the email matches no account
+  user_id UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  email VARCHAR(255),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  event_type VARCHAR(20) NOT NULL,          -- success, failure, lockout, blocked, unlock
+  reason VARCHAR(100),
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_event_company ON login_event(company_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_event_user ON login_event(user_id);
@@ -0,0 +1,10 @@
+-- ============================================
+-- 005 - TWO-FACTOR AUTHENTICATION (TOTP) - ROLLBACK
+-- ============================================
+
+DROP TABLE IF EXISTS user_recovery_code;
+
+ALTER TABLE "user" DROP COLUMN IF EXISTS totp_last_counter;
+ALTER TABLE "user" DROP COLUMN IF EXISTS totp_enabled_at;
+ALTER TABLE "user" DROP COLUMN IF EXISTS totp_enabled;
+ALTER TABLE "user" DROP COLUMN IF EXISTS totp_secret;
@@ -0,0 +1,25 @@
+-- ============================================
+-- 005 - TWO-FACTOR AUTHENTICATION (TOTP)
+-- ============================================
+-- totp_secret is set by /api/auth/2fa/setup and only takes effect once
+-- /api/auth/2fa/verify confirms a code (totp_enabled). totp_last_counter is the
+-- last accepted time step, so a code cannot be used twice.
+-- Roles that must use 2FA are listed per company in
+-- company.settings->'two_factor_required_roles' (e.g. ["admin", "manager"]).
+-- Safe to run more than once.
+
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT;
+
+-- One-time recovery codes (stored hashed) for a lost authenticator
+CREATE TABLE IF NOT EXISTS user_recovery_code (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_code_user ON user_recovery_code(user_id);
@@ -0,0 +1,5 @@
+-- ============================================
+-- 006 - API KEYS - ROLLBACK
+-- ============================================
+
+DROP TABLE IF EXISTS api_key;
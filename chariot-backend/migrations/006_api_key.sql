@@ -0,0 +1,25 @@
+-- ============================================
+-- 006 - API KEYS
+-- ============================================
+-- Company-level keys for machine integrations (see apiKeys.js).
+-- location_ids NULL means every location of the company.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS api_key (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes JSONB NOT NULL DEFAULT '[]',
+  location_ids JSONB,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(64),
+  created_by_id UUID REFERENCES "user"(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_by_id UUID REFERENCES "user"(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_key_company ON api_key(company_id);
@@ -0,0 +1,5 @@
+-- ============================================
+-- 007 - AUDIT EVENTS - ROLLBACK
+-- ============================================
+
+DROP TABLE IF EXISTS audit_event;
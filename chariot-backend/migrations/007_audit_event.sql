@@ -0,0 +1,25 @@
+-- ============================================
+-- 007 - AUDIT EVENTS
+-- ============================================
+-- One row per create/update/delete made through the API (see audit.js).
+-- changes holds { field: { from, to } }; secrets are recorded as "[redacted]".
+-- actor_name is kept so history stays readable after a user is removed.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS audit_event (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  location_id UUID,
+  actor_user_id UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  actor_api_key_id UUID REFERENCES api_key(id) ON DELETE SET NULL,
+  actor_name VARCHAR(255),
+  ip_address VARCHAR(64),
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id UUID NOT NULL,
+  action VARCHAR(20) NOT NULL,              -- create, update, delete
+  changes JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_event_entity ON audit_event(company_id, entity_type, entity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_event_actor ON audit_event(actor_user_id);
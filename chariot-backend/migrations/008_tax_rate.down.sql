@@ -0,0 +1,9 @@
+-- ============================================
+-- 008 - TAX RATES - ROLLBACK
+-- ============================================
+
+ALTER TABLE order_line_item DROP COLUMN taxable;
+ALTER TABLE customer DROP COLUMN tax_exemption_certificate;
+
+DROP TABLE order_tax;
+DROP TABLE tax_rate;
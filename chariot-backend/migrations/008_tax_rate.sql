@@ -0,0 +1,49 @@
+-- ============================================
+-- 008 - TAX RATES
+-- ============================================
+-- Sales tax rules per location (see pricing.js). A location can have several
+-- rates that all apply, e.g. the state rate and a county surtax. Each rate has
+-- its own percentage per line category, and max_taxable_cents caps the amount
+-- of a single line item it applies to (Florida's discretionary surtax only
+-- applies to the first $5,000).
+-- A rate applies to orders priced between effective_from and effective_to.
+
+CREATE TABLE tax_rate (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  location_id UUID NOT NULL REFERENCES location(id),
+  name VARCHAR(100) NOT NULL,
+  labor_percent NUMERIC(6,3) NOT NULL DEFAULT 0,
+  parts_percent NUMERIC(6,3) NOT NULL DEFAULT 0,
+  fees_percent NUMERIC(6,3) NOT NULL DEFAULT 0,
+  subcontracts_percent NUMERIC(6,3) NOT NULL DEFAULT 0,
+  max_taxable_cents BIGINT,
+  effective_from DATE NOT NULL,
+  effective_to DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_tax_rate_location ON tax_rate(location_id, effective_from);
+
+-- Tax charged on an order, per rate; rewritten each time the order is priced.
+-- Backs the sales tax report. tax_rate_id is NULL for a rate typed on the
+-- order or line (tax_percent) instead of coming from the location's rules.
+CREATE TABLE order_tax (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  location_id UUID NOT NULL,
+  order_id UUID NOT NULL REFERENCES "order"(id) ON DELETE CASCADE,
+  tax_rate_id UUID REFERENCES tax_rate(id),
+  name VARCHAR(100) NOT NULL,
+  taxable_cents BIGINT NOT NULL DEFAULT 0,
+  tax_cents BIGINT NOT NULL DEFAULT 0
+);
+
+CREATE INDEX idx_order_tax_order ON order_tax(order_id);
+
+-- Exempt customers keep their certificate number on file
+ALTER TABLE customer ADD COLUMN tax_exemption_certificate VARCHAR(100);
+
+-- Lines from non-taxable services or parts are not taxed
+ALTER TABLE order_line_item ADD COLUMN taxable BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,8 @@
+-- ============================================
+-- 009 - DOCUMENT NUMBERING - ROLLBACK
+-- ============================================
+-- Numbers already given to orders and timesheets are kept.
+
+DROP INDEX idx_order_order_number;
+
+DROP TABLE document_sequence;
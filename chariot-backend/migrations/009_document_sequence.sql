@@ -0,0 +1,23 @@
+-- ============================================
+-- 009 - DOCUMENT NUMBERING
+-- ============================================
+-- One counter per location and document type (see numbering.js).
+-- next_value is the number the next document of period_key gets; a new period
+-- (year or month, per reset_period) starts again at 1.
+
+CREATE TABLE document_sequence (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  location_id UUID NOT NULL REFERENCES location(id),
+  document_type VARCHAR(30) NOT NULL,       -- order, timesheet, purchase_order, invoice
+  prefix VARCHAR(20) NOT NULL DEFAULT '',
+  format VARCHAR(100) NOT NULL,
+  reset_period VARCHAR(10) NOT NULL DEFAULT 'yearly',
+  period_key VARCHAR(10),
+  next_value BIGINT NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (location_id, document_type)
+);
+
+CREATE INDEX idx_order_order_number ON "order"(company_id, order_number);
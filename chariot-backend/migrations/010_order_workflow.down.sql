@@ -0,0 +1,12 @@
+-- ============================================
+-- 010 - ORDER WORKFLOW - ROLLBACK
+-- ============================================
+
+UPDATE "order" SET status = 'open' WHERE status IN ('estimate', 'approved', 'in_progress', 'waiting_on_parts', 'qc');
+UPDATE "order" SET status = 'completed' WHERE status = 'ready_for_pickup';
+
+ALTER TABLE "order" DROP COLUMN invoice_number;
+
+DROP TABLE order_status_history;
+DROP TABLE workflow_transition;
+DROP TABLE workflow_stage;
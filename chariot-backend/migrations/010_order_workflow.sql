@@ -0,0 +1,48 @@
+-- ============================================
+-- 010 - ORDER WORKFLOW
+-- ============================================
+-- Stages and allowed transitions per company (see workflow.js). A company with
+-- no rows here uses the default workflow defined in workflow.js.
+-- An order's status is the key of its stage; workflow_status mirrors it.
+
+CREATE TABLE workflow_stage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  key VARCHAR(50) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  position INTEGER NOT NULL,
+  completed BOOLEAN NOT NULL DEFAULT false,   -- work done: stamps completed_date
+  invoices BOOLEAN NOT NULL DEFAULT false,    -- issues the invoice number
+  UNIQUE (company_id, key)
+);
+
+CREATE TABLE workflow_transition (
+  company_id UUID NOT NULL REFERENCES company(id),
+  from_stage VARCHAR(50) NOT NULL,
+  to_stage VARCHAR(50) NOT NULL,
+  PRIMARY KEY (company_id, from_stage, to_stage)
+);
+
+-- One row per status change of an order
+CREATE TABLE order_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  location_id UUID NOT NULL,
+  order_id UUID NOT NULL REFERENCES "order"(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  actor_user_id UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  actor_api_key_id UUID REFERENCES api_key(id) ON DELETE SET NULL,
+  actor_name VARCHAR(255),
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_order_status_history_order ON order_status_history(order_id, created_at);
+
+ALTER TABLE "order" ADD COLUMN invoice_number VARCHAR(100);
+
+-- Statuses used before the workflow existed
+UPDATE "order" SET status = 'approved' WHERE status = 'open';
+UPDATE "order" SET status = 'ready_for_pickup' WHERE status = 'completed';
+UPDATE "order" SET workflow_status = status;
@@ -0,0 +1,12 @@
+-- ============================================
+-- 011 - ESTIMATES - ROLLBACK
+-- ============================================
+
+ALTER TABLE "order" DROP COLUMN estimate_revision_id;
+ALTER TABLE "order" DROP COLUMN estimate_id;
+
+DROP TABLE estimate_line_item;
+DROP TABLE estimate_revision;
+DROP TABLE estimate;
+
+UPDATE inventory_part SET on_estimate_quantity = 0;
@@ -0,0 +1,88 @@
+-- ============================================
+-- 011 - ESTIMATES
+-- ============================================
+-- Quotes given before the work is booked (see estimates.js). An estimate has
+-- numbered revisions; each revision holds its own copy of the line items.
+-- Lines keep their line_key from one revision to the next, which is how
+-- revisions are compared. Converting the accepted revision creates an order
+-- that links back to it.
+
+CREATE TABLE estimate (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  location_id UUID NOT NULL REFERENCES location(id),
+  estimate_number VARCHAR(100) NOT NULL,
+  customer_id UUID NOT NULL REFERENCES customer(id),
+  vehicle_id UUID REFERENCES vehicle(id),
+  service_writer_id UUID REFERENCES "user"(id),
+  title VARCHAR(255),
+  note TEXT NOT NULL DEFAULT '',
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',   -- draft, sent, accepted, declined, converted
+  expires_on DATE,
+  discount_percent NUMERIC(5,2) DEFAULT 0,
+  current_revision_id UUID,
+  accepted_revision_id UUID,
+  accepted_at TIMESTAMP,
+  order_id UUID REFERENCES "order"(id),
+  converted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted BOOLEAN DEFAULT false
+);
+
+CREATE INDEX idx_estimate_company ON estimate(company_id, status);
+CREATE INDEX idx_estimate_customer ON estimate(customer_id);
+
+CREATE TABLE estimate_revision (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  estimate_id UUID NOT NULL REFERENCES estimate(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  note TEXT NOT NULL DEFAULT '',
+  created_by_id UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  calculated_discount_cents BIGINT NOT NULL DEFAULT 0,
+  calculated_subtotal_cents BIGINT NOT NULL DEFAULT 0,
+  calculated_tax_cents BIGINT NOT NULL DEFAULT 0,
+  calculated_total_cents BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (estimate_id, revision_number)
+);
+
+-- Same pricing columns as order_line_item
+CREATE TABLE estimate_line_item (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  location_id UUID NOT NULL,
+  revision_id UUID NOT NULL REFERENCES estimate_revision(id) ON DELETE CASCADE,
+  line_key UUID NOT NULL DEFAULT gen_random_uuid(),
+  source_service_id UUID REFERENCES service(id),
+  inventory_part_id UUID REFERENCES inventory_part(id),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  category VARCHAR(100),
+  pricing VARCHAR(50),
+  ordinal NUMERIC(10,2) DEFAULT 0,
+  labor_rate_cents BIGINT,
+  labor_hours NUMERIC(10,2),
+  parts_cost_cents BIGINT,
+  quantity NUMERIC(10,2),
+  fixed_price_cents BIGINT,
+  lump_sum BOOLEAN DEFAULT false,
+  discount_cents BIGINT DEFAULT 0,
+  discount_percent NUMERIC(5,2) DEFAULT 0,
+  discount_value_type VARCHAR(50),
+  tax_cents BIGINT DEFAULT 0,
+  tax_percent NUMERIC(5,2) DEFAULT 0,
+  taxable BOOLEAN NOT NULL DEFAULT true,
+  total_cents BIGINT DEFAULT 0,
+  note TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_estimate_line_item_revision ON estimate_line_item(revision_id);
+CREATE INDEX idx_estimate_line_item_part ON estimate_line_item(inventory_part_id);
+
+-- Link from an order back to the estimate revision it was converted from
+ALTER TABLE "order" ADD COLUMN estimate_id UUID REFERENCES estimate(id);
+ALTER TABLE "order" ADD COLUMN estimate_revision_id UUID REFERENCES estimate_revision(id);
@@ -0,0 +1,12 @@
+-- ============================================
+-- 012 - CUSTOMER AUTHORIZATION - ROLLBACK
+-- ============================================
+
+DROP INDEX idx_authorization_service_authorization;
+DROP INDEX idx_authorization_order;
+
+ALTER TABLE "order" DROP COLUMN authorized_cost_cents;
+
+ALTER TABLE authorization_service DROP COLUMN order_line_item_id;
+DELETE FROM authorization_service WHERE service_id IS NULL;
+ALTER TABLE authorization_service ALTER COLUMN service_id SET NOT NULL;
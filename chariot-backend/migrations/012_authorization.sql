@@ -0,0 +1,15 @@
+-- ============================================
+-- 012 - CUSTOMER AUTHORIZATION
+-- ============================================
+-- Authorizations record the customer's approval or decline of order line
+-- items (see authorizations.js). authorization_service rows now point at the
+-- line item decided on; service_id is only set for lines made from a service.
+-- order.authorized_cost_cents is the amount of the latest authorization.
+
+ALTER TABLE authorization_service ALTER COLUMN service_id DROP NOT NULL;
+ALTER TABLE authorization_service ADD COLUMN order_line_item_id UUID REFERENCES order_line_item(id) ON DELETE SET NULL;
+
+ALTER TABLE "order" ADD COLUMN authorized_cost_cents BIGINT;
+
+CREATE INDEX idx_authorization_order ON "authorization"(order_id, date);
+CREATE INDEX idx_authorization_service_authorization ON authorization_service(authorization_id);
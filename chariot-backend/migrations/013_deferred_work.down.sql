@@ -0,0 +1,10 @@
+-- ============================================
+-- 013 - DEFERRED WORK - ROLLBACK
+-- ============================================
+
+DROP INDEX idx_order_line_item_revived_from;
+DROP INDEX idx_order_line_item_status;
+
+ALTER TABLE order_line_item DROP COLUMN followed_up_at;
+ALTER TABLE order_line_item DROP COLUMN deferred_reason;
+ALTER TABLE order_line_item DROP COLUMN deferred_date;
@@ -0,0 +1,27 @@
+-- ============================================
+-- 013 - DEFERRED WORK
+-- ============================================
+-- Declined and deferred line items are kept as deferred work of the vessel
+-- until revived onto a later order (see deferred.js).
+
+ALTER TABLE order_line_item ADD COLUMN deferred_date TIMESTAMP;
+ALTER TABLE order_line_item ADD COLUMN deferred_reason VARCHAR(100);
+ALTER TABLE order_line_item ADD COLUMN followed_up_at TIMESTAMP;
+
+CREATE INDEX idx_order_line_item_status ON order_line_item(company_id, status);
+CREATE INDEX idx_order_line_item_revived_from ON order_line_item(revived_from_id);
+
+-- Lines declined or deferred before this migration
+UPDATE order_line_item SET deferred_date = updated_at WHERE status IN ('deferred', 'declined');
+
+UPDATE "order" SET deferred = true, deferred_date = (
+  SELECT MIN(li.deferred_date) FROM order_line_item li
+  WHERE li.order_id = "order".id AND li.status IN ('deferred', 'declined')
+)
+WHERE id IN (SELECT order_id FROM order_line_item WHERE status IN ('deferred', 'declined'));
+
+UPDATE vehicle SET deferred_service_count = (
+  SELECT COUNT(*) FROM order_line_item li
+  JOIN "order" o ON o.id = li.order_id
+  WHERE o.vehicle_id = vehicle.id AND o.deleted = false AND li.status IN ('deferred', 'declined')
+);
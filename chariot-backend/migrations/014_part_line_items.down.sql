@@ -0,0 +1,12 @@
+-- ============================================
+-- 014 - INVENTORY PART LINE ITEMS - ROLLBACK
+-- ============================================
+-- Stock consumed by completed orders stays consumed; reservations are dropped.
+
+UPDATE inventory_part SET reserved_quantity = 0, available_quantity = quantity;
+
+DROP INDEX idx_order_line_item_part;
+
+ALTER TABLE order_line_item DROP COLUMN consumed_quantity;
+ALTER TABLE order_line_item DROP COLUMN reserved_quantity;
+ALTER TABLE order_line_item DROP COLUMN inventory_part_id;
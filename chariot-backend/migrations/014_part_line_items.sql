@@ -0,0 +1,16 @@
+-- ============================================
+-- 014 - INVENTORY PART LINE ITEMS
+-- ============================================
+-- Order lines can be for an inventory part. The stock a line holds is kept on
+-- the line (reserved_quantity while the order is open, consumed_quantity once
+-- it is completed) so it can be given back exactly (see inventory.js).
+-- available_quantity is always quantity - reserved_quantity.
+
+ALTER TABLE order_line_item ADD COLUMN inventory_part_id UUID REFERENCES inventory_part(id);
+ALTER TABLE order_line_item ADD COLUMN reserved_quantity NUMERIC(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE order_line_item ADD COLUMN consumed_quantity NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+CREATE INDEX idx_order_line_item_part ON order_line_item(inventory_part_id);
+
+-- Editing a part used to set available_quantity to quantity
+UPDATE inventory_part SET available_quantity = quantity - reserved_quantity;
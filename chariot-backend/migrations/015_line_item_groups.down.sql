@@ -0,0 +1,7 @@
+-- ============================================
+-- 015 - LINE ITEM GROUPS - ROLLBACK
+-- ============================================
+
+DROP INDEX idx_order_line_item_parent;
+
+ALTER TABLE order_line_item DROP COLUMN parent_id;
@@ -0,0 +1,10 @@
+-- ============================================
+-- 015 - LINE ITEM GROUPS
+-- ============================================
+-- An order line can be grouped under another line of the same order
+-- (parent_id), so labor, parts and fees show as one job on the invoice.
+-- Groups are one level deep.
+
+ALTER TABLE order_line_item ADD COLUMN parent_id UUID REFERENCES order_line_item(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_order_line_item_parent ON order_line_item(parent_id);
@@ -0,0 +1,5 @@
+-- ============================================
+-- 016 - CANNED SERVICE ITEMS - ROLLBACK
+-- ============================================
+
+DROP TABLE service_item;
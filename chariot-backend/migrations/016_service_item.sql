@@ -0,0 +1,38 @@
+-- ============================================
+-- 016 - CANNED SERVICE ITEMS
+-- ============================================
+-- A canned service is a package of labor, parts and fees. Applying it to an
+-- order adds a line for the service with a line for each item grouped under
+-- it (see services.js). inspection_item.recommended_canned_service_ids holds
+-- ids of these services.
+
+CREATE TABLE service_item (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  service_id UUID NOT NULL REFERENCES service(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL,
+  name VARCHAR(255),
+  description TEXT,
+  ordinal INTEGER NOT NULL DEFAULT 0,
+
+  -- labor: hours at a labor rate (labor_id) or at labor_rate_cents
+  labor_id UUID REFERENCES labor(id),
+  labor_hours NUMERIC(10,2),
+  labor_rate_cents BIGINT,
+
+  -- part: quantity of an inventory part
+  inventory_part_id UUID REFERENCES inventory_part(id),
+  quantity NUMERIC(10,2),
+
+  -- fee: a fixed amount
+  fixed_price_cents BIGINT,
+
+  -- NULL: taxed as the part, or as the service
+  taxable BOOLEAN,
+  hidden BOOLEAN NOT NULL DEFAULT false,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_service_item_service ON service_item(service_id, ordinal);
@@ -0,0 +1,15 @@
+-- ============================================
+-- 017 - PAYMENT WEBHOOK EVENTS - ROLLBACK
+-- ============================================
+-- Duplicate transactions set aside by the migration are restored.
+
+DROP INDEX idx_transaction_stripe_reference;
+
+UPDATE "transaction" SET
+  payment_method = 'stripe',
+  status = metadata->>'duplicate_of_status',
+  metadata = metadata - 'duplicate_of_status',
+  updated_at = CURRENT_TIMESTAMP
+WHERE payment_method = 'stripe_duplicate';
+
+DROP TABLE payment_event;
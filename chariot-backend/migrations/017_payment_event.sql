@@ -0,0 +1,40 @@
+-- ============================================
+-- 017 - PAYMENT WEBHOOK EVENTS
+-- ============================================
+-- Webhook events received from the payment provider, stored by the provider's
+-- event id so an event delivered more than once is handled once.
+--
+-- Stripe transactions are keyed by payment_reference (the payment intent id,
+-- or the refund id). Confirming a payment twice used to record it twice: the
+-- later copies are set aside before the key is enforced, as payment_method
+-- 'stripe_duplicate' with status 'duplicate' (so they no longer count as money
+-- taken) and their status kept in metadata.duplicate_of_status.
+
+CREATE TABLE payment_event (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider VARCHAR(50) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  type VARCHAR(100) NOT NULL,
+  company_id UUID REFERENCES company(id),
+  payload JSONB NOT NULL,
+  result VARCHAR(50) NOT NULL DEFAULT 'received',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (provider, event_id)
+);
+
+CREATE INDEX idx_payment_event_company ON payment_event(company_id, created_at);
+
+UPDATE "transaction" SET
+  payment_method = 'stripe_duplicate',
+  status = 'duplicate',
+  metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('duplicate_of_status', status),
+  updated_at = CURRENT_TIMESTAMP
+WHERE id IN (
+  SELECT t.id FROM "transaction" t
+  JOIN "transaction" kept ON kept.payment_reference = t.payment_reference
+  WHERE t.payment_method = 'stripe' AND kept.payment_method = 'stripe'
+    AND (t.created_at > kept.created_at OR (t.created_at = kept.created_at AND t.id > kept.id))
+);
+
+CREATE UNIQUE INDEX idx_transaction_stripe_reference ON "transaction"(payment_reference)
+  WHERE payment_method = 'stripe';
@@ -0,0 +1,7 @@
+-- ============================================
+-- 018 - REFUNDS LINKED TO PAYMENTS - ROLLBACK
+-- ============================================
+
+DROP INDEX idx_transaction_original;
+
+ALTER TABLE "transaction" DROP COLUMN original_transaction_id;
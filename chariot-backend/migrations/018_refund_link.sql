@@ -0,0 +1,16 @@
+-- ============================================
+-- 018 - REFUNDS LINKED TO PAYMENTS
+-- ============================================
+-- A refund transaction points at the payment (or deposit) it gives money back
+-- from, so what is left to refund can be worked out per payment.
+
+ALTER TABLE "transaction" ADD COLUMN original_transaction_id UUID REFERENCES "transaction"(id);
+
+CREATE INDEX idx_transaction_original ON "transaction"(original_transaction_id);
+
+-- Stripe refunds recorded by the webhook name their payment intent
+UPDATE "transaction" r SET original_transaction_id = p.id
+FROM "transaction" p
+WHERE r.transaction_type = 'refund' AND r.payment_method = 'stripe'
+  AND p.payment_method = 'stripe' AND p.transaction_type IN ('payment', 'deposit')
+  AND p.payment_reference = r.metadata->>'payment_intent';
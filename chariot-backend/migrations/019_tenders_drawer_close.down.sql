@@ -0,0 +1,14 @@
+-- ============================================
+-- 019 - OFFLINE TENDERS, RECEIPTS AND DRAWER CLOSE - ROLLBACK
+-- ============================================
+
+DROP INDEX idx_transaction_drawer;
+
+ALTER TABLE "transaction" DROP COLUMN drawer_close_id;
+ALTER TABLE "transaction" DROP COLUMN receipt_number;
+ALTER TABLE "transaction" DROP COLUMN change_cents;
+ALTER TABLE "transaction" DROP COLUMN tendered_cents;
+
+DROP TABLE drawer_close;
+
+DELETE FROM document_sequence WHERE document_type = 'receipt';
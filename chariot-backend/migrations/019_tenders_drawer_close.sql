@@ -0,0 +1,36 @@
+-- ============================================
+-- 019 - OFFLINE TENDERS, RECEIPTS AND DRAWER CLOSE
+-- ============================================
+-- Payments taken at the counter record the cash handed over and the change
+-- given back; every transaction can have a receipt number.
+--
+-- A drawer close totals a location's transactions for a business day by
+-- tender and compares the cash counted with the cash expected. The
+-- transactions it counted point at it and can no longer be edited.
+
+CREATE TABLE drawer_close (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES company(id),
+  location_id UUID NOT NULL,
+  business_date DATE NOT NULL,
+  float_cents BIGINT NOT NULL DEFAULT 0,
+  expected_cash_cents BIGINT NOT NULL,
+  counted_cash_cents BIGINT NOT NULL,
+  over_short_cents BIGINT NOT NULL,
+  totals JSONB NOT NULL DEFAULT '{}',
+  transaction_count INTEGER NOT NULL DEFAULT 0,
+  note TEXT,
+  closed_by_user_id UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  closed_by_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (location_id, business_date)
+);
+
+CREATE INDEX idx_drawer_close_company ON drawer_close(company_id, business_date);
+
+ALTER TABLE "transaction" ADD COLUMN tendered_cents BIGINT;
+ALTER TABLE "transaction" ADD COLUMN change_cents BIGINT;
+ALTER TABLE "transaction" ADD COLUMN receipt_number VARCHAR(100);
+ALTER TABLE "transaction" ADD COLUMN drawer_close_id UUID REFERENCES drawer_close(id);
+
+CREATE INDEX idx_transaction_drawer ON "transaction"(location_id, drawer_close_id);
@@ -1,90 +1,260 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { Pool } = require('pg');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
+// Versioned migrations
+//
+//   node migrations/run.js               apply pending migrations (same as "up")
+//   node migrations/run.js status        list applied / pending migrations
+//   node migrations/run.js rollback [n]  undo the last n migrations (default 1)
+//
+// NNN_name.sql is the migration, NNN_name.down.sql undoes it. Each one runs in
+// its own transaction and is recorded in schema_migrations with a checksum, so
+// it is applied exactly once. Editing a file after it was applied is refused:
+// write a new migration instead.
+
 // Create database connection pool
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
-// Get all SQL files in migrations directory
+// Any constant works; keeps two runners (e.g. two containers starting) apart
+const MIGRATION_LOCK_ID = 727001;
+
+// Get all migrations (up files with their optional down file), in order
 const getMigrationFiles = () => {
   const migrationsDir = __dirname;
-  const files = fs.readdirSync(migrationsDir)
-    .filter(file => file.endsWith('.sql'))
-    .sort(); // Run in alphabetical order (001_, 002_, etc.)
-
-  return files.map(file => ({
-    name: file,
-    path: path.join(migrationsDir, file)
-  }));
+  const files = fs.readdirSync(migrationsDir);
+
+  return files
+    .filter(file => file.endsWith('.sql') && !file.endsWith('.down.sql'))
+    .sort() // Run in alphabetical order (000_, 001_, etc.)
+    .map(file => {
+      const name = file.replace(/\.sql$/, '');
+      const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+      const downFile = `${name}.down.sql`;
+
+      return {
+        name,
+        sql,
+        checksum: checksum(sql),
+        downPath: files.includes(downFile) ? path.join(migrationsDir, downFile) : null
+      };
+    });
+};
+
+const checksum = (sql) => {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+// Applied migrations, oldest first
+const getAppliedMigrations = async (client) => {
+  const result = await client.query('SELECT name, checksum, applied_at FROM schema_migrations ORDER BY name');
+  return result.rows;
+};
+
+// Applied migrations whose file was edited or removed since
+const findDrift = (migrations, applied) => {
+  const problems = [];
+
+  for (const row of applied) {
+    const migration = migrations.find(m => m.name === row.name);
+
+    if (!migration) {
+      problems.push(`${row.name}: applied but the file is missing`);
+    } else if (migration.checksum !== row.checksum) {
+      problems.push(`${row.name}: file changed after it was applied`);
+    }
+  }
+
+  return problems;
 };
 
-// Run a single migration file
-const runMigration = async (migration) => {
-  console.log(`\n📝 Running migration: ${migration.name}`);
+// Run sql and update schema_migrations in one transaction
+const runInTransaction = async (client, sql, bookkeeping) => {
+  await client.query('BEGIN');
 
   try {
-    const sql = fs.readFileSync(migration.path, 'utf8');
-    await pool.query(sql);
-    console.log(`✅ Success: ${migration.name}`);
-    return true;
+    await client.query(sql);
+    await bookkeeping();
+    await client.query('COMMIT');
   } catch (error) {
-    console.error(`❌ Error in ${migration.name}:`);
-    console.error(error.message);
-    return false;
+    await client.query('ROLLBACK');
+    throw error;
   }
 };
 
-// Main migration runner
-const runMigrations = async () => {
-  console.log('🚀 Starting database migrations...\n');
-  console.log('📦 Database:', process.env.DATABASE_URL?.split('@')[1]?.split('?')[0] || 'Unknown');
+// ============================================
+// COMMANDS
+// ============================================
 
-  const migrations = getMigrationFiles();
+const migrateUp = async (client, migrations, applied) => {
+  const appliedNames = applied.map(row => row.name);
+  const pending = migrations.filter(m => !appliedNames.includes(m.name));
+
+  if (pending.length === 0) {
+    console.log('\n✅ Database is up to date\n');
+    return true;
+  }
+
+  console.log(`\n📋 ${pending.length} pending migration(s):\n`);
+  pending.forEach((m, i) => console.log(`   ${i + 1}. ${m.name}`));
 
-  if (migrations.length === 0) {
-    console.log('\n⚠️  No migration files found in migrations/ directory');
-    return;
+  for (const migration of pending) {
+    console.log(`\n📝 Applying: ${migration.name}`);
+
+    try {
+      await runInTransaction(client, migration.sql, () => client.query(
+        'INSERT INTO schema_migrations (name, checksum) VALUES ($1, $2)',
+        [migration.name, migration.checksum]
+      ));
+      console.log(`✅ Applied: ${migration.name}`);
+    } catch (error) {
+      console.error(`❌ Error in ${migration.name} (rolled back):`);
+      console.error(error.message);
+      console.log('\n⚠️  Stopped; later migrations were not applied.\n');
+      return false;
+    }
   }
 
-  console.log(`\n📋 Found ${migrations.length} migration(s):\n`);
-  migrations.forEach((m, i) => console.log(`   ${i + 1}. ${m.name}`));
+  console.log('\n🎉 All migrations applied successfully!\n');
+  return true;
+};
+
+const rollback = async (client, migrations, applied, steps) => {
+  const toUndo = applied.slice(-steps).reverse();
 
-  let successCount = 0;
-  let errorCount = 0;
+  if (toUndo.length === 0) {
+    console.log('\n⚠️  Nothing to roll back\n');
+    return true;
+  }
+
+  for (const row of toUndo) {
+    const migration = migrations.find(m => m.name === row.name);
+
+    if (!migration.downPath) {
+      console.error(`\n❌ ${row.name} has no down migration (${row.name}.down.sql); stopping here\n`);
+      return false;
+    }
+
+    console.log(`\n↩️  Rolling back: ${row.name}`);
+
+    try {
+      const sql = fs.readFileSync(migration.downPath, 'utf8');
+      await runInTransaction(client, sql, () => client.query(
+        'DELETE FROM schema_migrations WHERE name = $1',
+        [row.name]
+      ));
+      console.log(`✅ Rolled back: ${row.name}`);
+    } catch (error) {
+      console.error(`❌ Error rolling back ${row.name}:`);
+      console.error(error.message);
+      return false;
+    }
+  }
+
+  console.log('');
+  return true;
+};
+
+const status = (migrations, applied) => {
+  console.log('\n📋 Migrations:\n');
 
   for (const migration of migrations) {
-    const success = await runMigration(migration);
-    if (success) {
-      successCount++;
+    const row = applied.find(r => r.name === migration.name);
+
+    if (!row) {
+      console.log(`   ⏳ ${migration.name}  pending`);
+    } else if (row.checksum !== migration.checksum) {
+      console.log(`   ❗ ${migration.name}  changed since applied`);
     } else {
-      errorCount++;
+      console.log(`   ✅ ${migration.name}  applied ${new Date(row.applied_at).toISOString()}`);
+    }
+  }
+
+  for (const row of applied) {
+    if (!migrations.some(m => m.name === row.name)) {
+      console.log(`   ❗ ${row.name}  applied but the file is missing`);
     }
   }
 
-  console.log('\n' + '='.repeat(50));
-  console.log(`\n📊 Migration Summary:`);
-  console.log(`   ✅ Successful: ${successCount}`);
-  console.log(`   ❌ Failed: ${errorCount}`);
-  console.log(`   📝 Total: ${migrations.length}`);
+  console.log('');
+  return true;
+};
+
+// Main migration runner; resolves to true when everything succeeded
+const runMigrations = async (command, arg) => {
+  console.log('🚀 Chariot database migrations');
+  console.log('📦 Database:', process.env.DATABASE_URL?.split('@')[1]?.split('?')[0] || 'Unknown');
 
-  if (errorCount === 0) {
-    console.log('\n🎉 All migrations completed successfully!\n');
-  } else {
-    console.log('\n⚠️  Some migrations failed. Please check the errors above.\n');
+  const migrations = getMigrationFiles();
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const applied = await getAppliedMigrations(client);
+
+    if (command === 'status') {
+      return status(migrations, applied);
+    }
+
+    const drift = findDrift(migrations, applied);
+
+    if (drift.length > 0) {
+      console.error('\n❌ Applied migrations do not match the files:');
+      drift.forEach(problem => console.error(`   ${problem}`));
+      console.error('\nRestore the original files; changes go in a new migration.\n');
+      return false;
+    }
+
+    if (command === 'rollback') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+
+      if (!Number.isInteger(steps) || steps < 1) {
+        console.error('\n❌ rollback takes a positive number of migrations\n');
+        return false;
+      }
+
+      return await rollback(client, migrations, applied, steps);
+    }
+
+    return await migrateUp(client, migrations, applied);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
   }
 };
 
+const COMMANDS = ['up', 'status', 'rollback'];
+const [command = 'up', arg] = process.argv.slice(2);
+
+if (!COMMANDS.includes(command)) {
+  console.error(`Unknown command "${command}". Use: ${COMMANDS.join(', ')}`);
+  process.exit(1);
+}
+
 // Run migrations and close connection
-runMigrations()
-  .then(() => {
-    pool.end();
-    process.exit(errorCount > 0 ? 1 : 0);
+runMigrations(command, arg)
+  .then(async (success) => {
+    await pool.end();
+    process.exit(success ? 0 : 1);
   })
-  .catch((error) => {
+  .catch(async (error) => {
     console.error('\n💥 Fatal error:', error.message);
-    pool.end();
+    await pool.end();
     process.exit(1);
   });
@@ -0,0 +1,117 @@
+// Document numbers (orders, estimates, timesheets, purchase orders, invoices,
+// receipts), issued per location from a counter row in document_sequence.
+//
+// nextNumber() must run inside the transaction that creates the document: the
+// counter row stays locked until that transaction ends, so two writers never
+// get the same number, and a rolled back document gives its number back (no
+// gaps).
+//
+// Format tokens: {prefix}, {year}, {yy}, {month}, {seq} or {seq:N} (zero-padded
+// to N digits). Counters restart at 1 each year or month when reset_period says so.
+
+const DOCUMENT_TYPES = {
+  order: { prefix: 'RO' },
+  estimate: { prefix: 'EST' },
+  timesheet: { prefix: 'TS' },
+  purchase_order: { prefix: 'PO' },
+  invoice: { prefix: 'INV' },
+  receipt: { prefix: 'RCT' }
+};
+
+const RESET_PERIODS = ['never', 'yearly', 'monthly'];
+
+const DEFAULT_FORMAT = '{prefix}-{year}-{seq:5}';
+const DEFAULT_RESET_PERIOD = 'yearly';
+
+const SEQ_TOKEN = /\{seq(?::(\d+))?\}/;
+
+// Validate a number format; returns an error message or null
+const checkFormat = (format) => {
+  if (typeof format !== 'string' || !SEQ_TOKEN.test(format)) {
+    return 'format must contain {seq} (or {seq:N})';
+  }
+
+  if (format.length > 100) {
+    return 'format must be at most 100 characters';
+  }
+
+  return null;
+};
+
+// Counter period a date falls in, e.g. "2026" or "2026-03"
+const periodKey = (resetPeriod, date) => {
+  const year = String(date.getFullYear());
+  if (resetPeriod === 'yearly') return year;
+  if (resetPeriod === 'monthly') return `${year}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  return 'all';
+};
+
+const formatNumber = (format, { prefix, value, date }) => {
+  const year = String(date.getFullYear());
+
+  return format
+    .replace(/\{prefix\}/g, prefix || '')
+    .replace(/\{year\}/g, year)
+    .replace(/\{yy\}/g, year.slice(2))
+    .replace(/\{month\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+    .replace(new RegExp(SEQ_TOKEN.source, 'g'), (token, width) => String(value).padStart(Number(width) || 0, '0'));
+};
+
+// Counter row for a location and document type, created with the defaults if missing
+const ensureSequence = async (db, companyId, locationId, documentType) => {
+  await db.query(
+    `INSERT INTO document_sequence (company_id, location_id, document_type, prefix, format, reset_period)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (location_id, document_type) DO NOTHING`,
+    [companyId, locationId, documentType, DOCUMENT_TYPES[documentType].prefix, DEFAULT_FORMAT, DEFAULT_RESET_PERIOD]
+  );
+};
+
+// Issue the next number; `db` must be a client inside a transaction
+const nextNumber = async (db, { companyId, locationId, documentType, date = new Date() }) => {
+  if (!DOCUMENT_TYPES[documentType]) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+
+  await ensureSequence(db, companyId, locationId, documentType);
+
+  const result = await db.query(
+    `SELECT * FROM document_sequence
+     WHERE location_id = $1 AND document_type = $2 AND company_id = $3
+     FOR UPDATE`,
+    [locationId, documentType, companyId]
+  );
+
+  const sequence = result.rows[0];
+  const value = nextValue(sequence, date);
+
+  await db.query(
+    'UPDATE document_sequence SET next_value = $1, period_key = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+    [value + 1, periodKey(sequence.reset_period, date), sequence.id]
+  );
+
+  return formatNumber(sequence.format, { prefix: sequence.prefix, value, date });
+};
+
+// Counter value the next document of a sequence row gets
+const nextValue = (sequence, date = new Date()) => {
+  return sequence.period_key === periodKey(sequence.reset_period, date) ? Number(sequence.next_value) : 1;
+};
+
+// What the next number would be, without issuing it
+const previewNumber = (sequence, date = new Date()) => {
+  return formatNumber(sequence.format, { prefix: sequence.prefix, value: nextValue(sequence, date), date });
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  RESET_PERIODS,
+  DEFAULT_FORMAT,
+  DEFAULT_RESET_PERIOD,
+  checkFormat,
+  periodKey,
+  ensureSequence,
+  nextNumber,
+  nextValue,
+  previewNumber
+};
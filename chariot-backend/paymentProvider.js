@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+// Card payments go through the payment provider named by PAYMENT_PROVIDER:
+//   stripe - Stripe, with STRIPE_SECRET_KEY (default)
+//   mock   - in memory, no network or keys: for CI, demos and tests
+// Both return Stripe's objects (payment intents, refunds, webhook events), so
+// the routes and payments.js work the same with either.
+//
+// A provider has:
+//   createCustomer({ email, name, description })             -> { id }
+//   createPaymentIntent({ amount, currency, customer, metadata, description })
+//                                                            -> payment intent
+//   retrievePaymentIntent(id)                                -> payment intent
+//   refund({ payment_intent, reason, amount, metadata }, { idempotencyKey })
+//                                                            -> refund
+//   saveCard(customerId, paymentMethodId)                    -> card
+//   constructEvent(rawBody, signature, secret)               -> webhook event
+// constructEvent throws when the signature does not match. A refund asked for
+// again with the same idempotencyKey returns the first one instead of refunding
+// twice.
+
+// The saved card as returned by the API
+const cardSummary = (paymentMethod) => ({
+  id: paymentMethod.id,
+  brand: paymentMethod.card.brand,
+  last4: paymentMethod.card.last4,
+  exp_month: paymentMethod.card.exp_month,
+  exp_year: paymentMethod.card.exp_year
+});
+
+// ============================================
+// STRIPE
+// ============================================
+
+const createStripeProvider = () => {
+  const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+  return {
+    createCustomer: (fields) => stripe.customers.create(fields),
+    createPaymentIntent: (fields) => stripe.paymentIntents.create(fields),
+    retrievePaymentIntent: (id) => stripe.paymentIntents.retrieve(id),
+    refund: (fields, { idempotencyKey } = {}) => stripe.refunds.create(fields, idempotencyKey ? { idempotencyKey } : undefined),
+    saveCard: async (customerId, paymentMethodId) => {
+      const paymentMethod = await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+      await stripe.customers.update(customerId, {
+        invoice_settings: { default_payment_method: paymentMethod.id }
+      });
+      return cardSummary(paymentMethod);
+    },
+    constructEvent: (rawBody, signature, secret) => stripe.webhooks.constructEvent(rawBody, signature, secret)
+  };
+};
+
+// ============================================
+// MOCK
+// ============================================
+
+// Amounts ending in 02 cents are declined, like Stripe's 4000 0000 0000 0002
+// test card; any other payment succeeds as soon as its intent is created.
+const MOCK_DECLINED_CENTS = 2;
+
+// Cards for Stripe's test payment methods (pm_card_visa, ...); others are visa
+const MOCK_CARDS = {
+  visa: '4242',
+  mastercard: '4444',
+  amex: '8431',
+  discover: '1117'
+};
+
+const createMockProvider = () => {
+  const intents = new Map();
+  const refunds = new Map();
+
+  const mockId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  const findIntent = (id) => {
+    const intent = intents.get(id);
+    if (!intent) throw new Error(`No such payment_intent: '${id}'`);
+    return intent;
+  };
+
+  return {
+    createCustomer: async ({ email, name, description }) => ({
+      id: mockId('cus'),
+      object: 'customer',
+      email: email || null,
+      name: name || null,
+      description: description || null
+    }),
+
+    createPaymentIntent: async ({ amount, currency, customer, metadata, description }) => {
+      const id = mockId('pi');
+      const declined = Number(amount) % 100 === MOCK_DECLINED_CENTS;
+
+      const intent = {
+        id,
+        object: 'payment_intent',
+        amount: Number(amount),
+        amount_received: declined ? 0 : Number(amount),
+        amount_refunded: 0,
+        currency: currency || 'usd',
+        customer: customer || null,
+        description: description || null,
+        metadata: { ...(metadata || {}) },
+        client_secret: `${id}_secret_mock`,
+        created: now(),
+        latest_charge: declined ? null : id.replace(/^pi_/, 'ch_'),
+        status: declined ? 'requires_payment_method' : 'succeeded',
+        last_payment_error: declined
+          ? { code: 'card_declined', decline_code: 'generic_decline', message: 'Your card was declined.' }
+          : null
+      };
+
+      intents.set(id, intent);
+      return { ...intent };
+    },
+
+    retrievePaymentIntent: async (id) => ({ ...findIntent(id) }),
+
+    refund: async ({ payment_intent, reason, amount, metadata }, { idempotencyKey } = {}) => {
+      if (idempotencyKey && refunds.has(idempotencyKey)) return { ...refunds.get(idempotencyKey) };
+
+      const intent = findIntent(payment_intent);
+      const refundable = intent.amount_received - intent.amount_refunded;
+      const refunded = amount === undefined ? refundable : Number(amount);
+
+      if (intent.status !== 'succeeded' || refundable <= 0) {
+        throw new Error(`PaymentIntent ${payment_intent} has no charge to refund`);
+      }
+      if (!(refunded > 0) || refunded > refundable) {
+        throw new Error(`Refund amount (${refunded}) is greater than unrefunded amount on charge (${refundable})`);
+      }
+
+      intent.amount_refunded += refunded;
+
+      const refund = {
+        id: mockId('re'),
+        object: 'refund',
+        amount: refunded,
+        charge: intent.latest_charge,
+        payment_intent,
+        reason: reason || null,
+        metadata: { ...(metadata || {}) },
+        status: 'succeeded',
+        created: now()
+      };
+
+      if (idempotencyKey) refunds.set(idempotencyKey, refund);
+      return { ...refund };
+    },
+
+    saveCard: async (customerId, paymentMethodId) => {
+      const brand = Object.keys(MOCK_CARDS).find(name => paymentMethodId === `pm_card_${name}`) || 'visa';
+
+      return cardSummary({
+        id: paymentMethodId,
+        card: { brand, last4: MOCK_CARDS[brand], exp_month: 12, exp_year: new Date().getFullYear() + 3 }
+      });
+    },
+
+    // Signed like Stripe's, so fixture events (npm run stripe:event) work offline
+    constructEvent: (rawBody, signature, secret) => Stripe.webhooks.constructEvent(rawBody, signature, secret)
+  };
+};
+
+// ============================================
+// CONFIGURED PROVIDER
+// ============================================
+
+const providers = {
+  stripe: createStripeProvider,
+  mock: createMockProvider
+};
+
+const providerName = process.env.PAYMENT_PROVIDER || 'stripe';
+if (!providers[providerName]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER: ${providerName}`);
+}
+const paymentProvider = providers[providerName]();
+
+module.exports = {
+  paymentProvider
+};
@@ -0,0 +1,322 @@
+// Card payments taken through Stripe, recorded as "transaction" rows. The
+// mock payment provider (see paymentProvider.js) stands in for Stripe, so its
+// payments are recorded the same way.
+//
+// A payment is recorded by whichever comes first: the webhook
+// (payment_intent.succeeded) or the browser calling /api/payments/confirm.
+// Stripe transactions are keyed by payment_reference - the payment intent id
+// for payments, the refund id for refunds - so both paths and repeated
+// deliveries update one row instead of adding another.
+//
+// A refund made here is recorded as pending before the provider is asked for
+// it (see startStripeRefund), so money given back always has a row, and a
+// charge.refunded webhook arriving in the meantime counts it instead of adding
+// another.
+//
+// The balance due was checked when the intent was created, but another payment
+// can land before this one. A payment recorded over the balance due (unless
+// the intent allowed overpayment) keeps the overage in metadata.overpaid_cents
+// for the shop to refund.
+//
+// Webhook events are stored in payment_event by their Stripe id in the same
+// transaction that handles them: an event delivered twice is handled once, and
+// one that fails is not stored, so Stripe's retry handles it again.
+
+const { PAYMENT_TYPES, orderBalance } = require('./balance');
+
+const PROVIDER = 'stripe';
+
+// Webhook events acted on; any other event is stored and acknowledged
+const HANDLED_EVENTS = [
+  'payment_intent.succeeded',
+  'payment_intent.payment_failed',
+  'charge.refunded',
+  'charge.dispute.created'
+];
+
+// A transaction only moves forward: a late payment_failed never undoes a
+// payment, a repeated success never clears a dispute
+const STATUS_ORDER = ['pending', 'failed', 'paid', 'disputed'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The order a payment intent was created for (from its metadata, see
+// /api/payments/create-intent), locked, or null when it is not one of ours;
+// `db` must be a client inside a transaction
+const findIntentOrder = async (db, paymentIntent) => {
+  const { order_id, company_id } = paymentIntent.metadata || {};
+  if (!UUID_PATTERN.test(order_id || '') || !UUID_PATTERN.test(company_id || '')) return null;
+
+  const result = await db.query(
+    `SELECT id, company_id, location_id, customer_id, calculated_total_cents, completed_date
+     FROM "order" WHERE id = $1 AND company_id = $2 FOR UPDATE`,
+    [order_id, company_id]
+  );
+  return result.rows[0] || null;
+};
+
+// The recorded payment (or deposit) for a payment intent id (null if none),
+// locked when `lock` is set
+const findStripePayment = async (db, paymentIntentId, lock = false) => {
+  if (!paymentIntentId) return null;
+
+  const result = await db.query(
+    `SELECT * FROM "transaction" WHERE payment_method = $1 AND payment_reference = $2 AND transaction_type = ANY($3)${lock ? ' FOR UPDATE' : ''}`,
+    [PROVIDER, paymentIntentId, PAYMENT_TYPES]
+  );
+  return result.rows[0] || null;
+};
+
+// Insert or update the Stripe transaction with `reference` for an order
+// ({ company_id, location_id, id or order_id, customer_id }). Returns
+// { before, after }: before is null when the row is new. originalTransactionId
+// and note are only set on a new row.
+const saveStripeTransaction = async (db, order, fields) => {
+  const { type, reference, amountCents, status, metadata = {}, originalTransactionId = null, note = null } = fields;
+
+  const existing = await db.query(
+    'SELECT * FROM "transaction" WHERE payment_method = $1 AND payment_reference = $2 FOR UPDATE',
+    [PROVIDER, reference]
+  );
+  const before = existing.rows[0];
+
+  if (!before) {
+    const inserted = await db.query(
+      `INSERT INTO "transaction" (
+        company_id, location_id, order_id, customer_id, transaction_type, amount_cents, payment_method,
+        status, payment_reference, applied_date, metadata, original_transaction_id, note
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT DO NOTHING RETURNING *`,
+      [
+        order.company_id,
+        order.location_id,
+        order.order_id || order.id,
+        order.customer_id,
+        type,
+        amountCents,
+        PROVIDER,
+        status,
+        reference,
+        status === 'paid' ? new Date() : null,
+        JSON.stringify(metadata),
+        originalTransactionId,
+        note
+      ]
+    );
+
+    if (inserted.rows.length > 0) return { before: null, after: inserted.rows[0] };
+
+    // Recorded by a concurrent request in the meantime
+    return saveStripeTransaction(db, order, fields);
+  }
+
+  const nextStatus = STATUS_ORDER.indexOf(status) >= STATUS_ORDER.indexOf(before.status) ? status : before.status;
+
+  const updated = await db.query(
+    `UPDATE "transaction" SET amount_cents = $1, status = $2, metadata = $3,
+     applied_date = COALESCE(applied_date, $4), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5 RETURNING *`,
+    [
+      amountCents,
+      nextStatus,
+      JSON.stringify({ ...(before.metadata || {}), ...metadata }),
+      nextStatus === 'paid' ? new Date() : null,
+      before.id
+    ]
+  );
+
+  return { before, after: updated.rows[0] };
+};
+
+// Cents of a payment over what its (locked) order still owes, 0 when it fits,
+// is a deposit or the intent allowed overpayment. A payment already counted as
+// paid is not checked again.
+const overpaidCents = async (db, paymentIntent, order, amountCents) => {
+  const metadata = paymentIntent.metadata || {};
+  if (metadata.allow_overpayment === 'true' || metadata.payment_type === 'deposit') return 0;
+
+  const recorded = await findStripePayment(db, paymentIntent.id);
+  if (recorded && recorded.status === 'paid') return 0;
+
+  const balance = await orderBalance(db, order);
+  return Math.max(0, amountCents - Math.max(balance.balance_due_cents, 0));
+};
+
+// Record a payment intent that succeeded or failed for `order` (locked, from
+// findIntentOrder); intents created as deposits are recorded as deposits
+const recordStripePayment = async (db, paymentIntent, order) => {
+  const succeeded = paymentIntent.status === 'succeeded';
+  const error = paymentIntent.last_payment_error;
+  const deposit = Boolean(paymentIntent.metadata && paymentIntent.metadata.payment_type === 'deposit');
+  const amountCents = succeeded ? paymentIntent.amount_received || paymentIntent.amount : paymentIntent.amount;
+
+  const metadata = error ? { failure_message: error.message || null, failure_code: error.code || null } : {};
+  if (succeeded) {
+    const overpaid = await overpaidCents(db, paymentIntent, order, amountCents);
+    if (overpaid > 0) metadata.overpaid_cents = overpaid;
+  }
+
+  return saveStripeTransaction(db, order, {
+    type: deposit ? 'deposit' : 'payment',
+    reference: paymentIntent.id,
+    amountCents,
+    status: succeeded ? 'paid' : 'failed',
+    metadata
+  });
+};
+
+const REFUND_STATUSES = { succeeded: 'paid', failed: 'failed', canceled: 'failed' };
+
+// Record a refund of a Stripe payment (locked by the caller) before asking the
+// provider for it: a pending row with no reference yet. The refund is asked
+// for with the row's id in its metadata (transaction_id), which
+// recordStripeRefund uses to fill the row in.
+const startStripeRefund = async (db, payment, amountCents, note = null) => {
+  const inserted = await db.query(
+    `INSERT INTO "transaction" (
+      company_id, location_id, order_id, customer_id, transaction_type, amount_cents, payment_method,
+      status, metadata, original_transaction_id, note
+    ) VALUES ($1, $2, $3, $4, 'refund', $5, $6, 'pending', $7, $8, $9) RETURNING *`,
+    [
+      payment.company_id,
+      payment.location_id,
+      payment.order_id,
+      payment.customer_id,
+      amountCents,
+      PROVIDER,
+      JSON.stringify({ payment_intent: payment.payment_reference }),
+      payment.id,
+      note
+    ]
+  );
+  return inserted.rows[0];
+};
+
+// Mark a refund from startStripeRefund failed when the provider turned it down.
+// Returns { before, after }.
+const failStripeRefund = async (db, pending, error) => {
+  const updated = await db.query(
+    `UPDATE "transaction" SET status = 'failed', metadata = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 RETURNING *`,
+    [JSON.stringify({ ...(pending.metadata || {}), failure_message: error.message || null }), pending.id]
+  );
+  return { before: pending, after: updated.rows[0] };
+};
+
+// Record a Stripe refund (the refund object) of a recorded payment, linked to
+// it. `note` is the reason given by the user who made the refund. A refund
+// asked for by startStripeRefund first gets its pending row's reference.
+const recordStripeRefund = async (db, payment, refund, note = null) => {
+  const pendingId = refund.metadata && refund.metadata.transaction_id;
+  if (UUID_PATTERN.test(pendingId || '')) {
+    await db.query(
+      `UPDATE "transaction" SET payment_reference = $1
+       WHERE id = $2 AND original_transaction_id = $3 AND payment_method = $4 AND payment_reference IS NULL`,
+      [refund.id, pendingId, payment.id, PROVIDER]
+    );
+  }
+
+  return saveStripeTransaction(db, payment, {
+    type: 'refund',
+    reference: refund.id,
+    amountCents: refund.amount,
+    status: REFUND_STATUSES[refund.status] || 'pending',
+    originalTransactionId: payment.id,
+    note,
+    metadata: { payment_intent: payment.payment_reference, charge: refund.charge || null, reason: refund.reason || null }
+  });
+};
+
+// ============================================
+// WEBHOOK EVENTS
+// ============================================
+
+// Refunds of a charge. A charge sent without its refund list (the default
+// since Stripe API 2022-11-15) is recorded as one refund row keyed by the
+// charge, holding what was refunded beyond the refunds already recorded
+// (pending ones included).
+// `payment` must be locked, so a refund being made here is counted.
+const chargeRefunds = async (db, charge, payment) => {
+  if (charge.refunds && Array.isArray(charge.refunds.data) && charge.refunds.data.length > 0) {
+    return charge.refunds.data.map(refund => ({ ...refund, charge: charge.id }));
+  }
+
+  const recorded = await db.query(
+    `SELECT COALESCE(SUM(amount_cents), 0) AS amount_cents FROM "transaction"
+     WHERE original_transaction_id = $1 AND transaction_type = 'refund' AND status <> 'failed'
+       AND (payment_reference IS NULL OR payment_reference <> $2)`,
+    [payment.id, charge.id]
+  );
+  const unrecorded = (Number(charge.amount_refunded) || 0) - Number(recorded.rows[0].amount_cents);
+
+  return unrecorded > 0 ? [{ id: charge.id, charge: charge.id, amount: unrecorded, status: 'succeeded' }] : [];
+};
+
+// Act on one event; returns the transactions changed as [{ before, after }]
+const applyStripeEvent = async (db, event) => {
+  const object = event.data.object;
+
+  if (event.type === 'payment_intent.succeeded' || event.type === 'payment_intent.payment_failed') {
+    const order = await findIntentOrder(db, object);
+    return order ? [await recordStripePayment(db, object, order)] : [];
+  }
+
+  if (event.type === 'charge.refunded') {
+    const payment = await findStripePayment(db, object.payment_intent, true);
+    if (!payment) return [];
+
+    const changes = [];
+    for (const refund of await chargeRefunds(db, object, payment)) {
+      changes.push(await recordStripeRefund(db, payment, refund));
+    }
+    return changes;
+  }
+
+  if (event.type === 'charge.dispute.created') {
+    const payment = await findStripePayment(db, object.payment_intent, true);
+    if (!payment) return [];
+
+    return [await saveStripeTransaction(db, payment, {
+      type: payment.transaction_type,
+      reference: payment.payment_reference,
+      amountCents: payment.amount_cents,
+      status: 'disputed',
+      metadata: { dispute: object.id, dispute_reason: object.reason || null, disputed_cents: object.amount }
+    })];
+  }
+
+  return [];
+};
+
+// Store and handle a verified webhook event; `db` must be a client inside a
+// transaction. Returns { duplicate: true } for an event already handled,
+// otherwise { result, changes } where result is processed or ignored.
+const processStripeEvent = async (db, event) => {
+  const stored = await db.query(
+    `INSERT INTO payment_event (provider, event_id, type, payload) VALUES ($1, $2, $3, $4)
+     ON CONFLICT DO NOTHING RETURNING id`,
+    [PROVIDER, event.id, event.type, JSON.stringify(event)]
+  );
+
+  if (stored.rows.length === 0) return { duplicate: true };
+
+  const changes = HANDLED_EVENTS.includes(event.type) ? await applyStripeEvent(db, event) : [];
+  const result = changes.length > 0 ? 'processed' : 'ignored';
+
+  await db.query(
+    'UPDATE payment_event SET result = $1, company_id = $2 WHERE id = $3',
+    [result, changes.length > 0 ? changes[0].after.company_id : null, stored.rows[0].id]
+  );
+
+  return { result, changes };
+};
+
+module.exports = {
+  HANDLED_EVENTS,
+  findIntentOrder,
+  recordStripePayment,
+  startStripeRefund,
+  failStripeRefund,
+  recordStripeRefund,
+  processStripeEvent
+};
@@ -0,0 +1,125 @@
+const { requireRole } = require('./auth');
+const { SCOPE_LEVELS, scopeAllows } = require('./apiKeys');
+
+// ============================================
+// ROLES
+// ============================================
+
+const ROLES = {
+  ADMIN: 'admin',
+  MANAGER: 'manager',
+  SERVICE_WRITER: 'service_writer',
+  TECHNICIAN: 'technician'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Common role groups used by the matrix below
+const MANAGEMENT = [ROLES.ADMIN, ROLES.MANAGER];
+const FRONT_OFFICE = [ROLES.ADMIN, ROLES.MANAGER, ROLES.SERVICE_WRITER];
+const ALL_STAFF = ALL_ROLES;
+
+// ============================================
+// PERMISSION MATRIX
+// ============================================
+
+// resource -> action -> roles allowed to perform it
+// Every /api route in server.js is guarded by one entry of this table
+const PERMISSIONS = {
+  company:       { read: ALL_STAFF,    update: [ROLES.ADMIN] },
+  workflow:      { read: ALL_STAFF,    update: [ROLES.ADMIN] },
+  locations:     { read: ALL_STAFF,    create: [ROLES.ADMIN],  update: [ROLES.ADMIN] },
+  numbering:     { read: MANAGEMENT,   update: [ROLES.ADMIN] },
+  users:         { read: ALL_STAFF,    create: MANAGEMENT,     update: MANAGEMENT,  unlock: [ROLES.ADMIN] },
+  login_events:  { read: MANAGEMENT },
+  audit:         { read: MANAGEMENT },
+  api_keys:      { read: [ROLES.ADMIN], create: [ROLES.ADMIN], revoke: [ROLES.ADMIN] },
+  customers:     { read: ALL_STAFF,    create: FRONT_OFFICE,   update: FRONT_OFFICE },
+  vehicles:      { read: ALL_STAFF,    create: FRONT_OFFICE,   update: FRONT_OFFICE },
+  services:      { read: ALL_STAFF,    create: MANAGEMENT,     update: MANAGEMENT },
+  labor_rates:   { read: ALL_STAFF,    create: MANAGEMENT,     update: MANAGEMENT },
+  tax_rates:     { read: ALL_STAFF,    create: MANAGEMENT,     update: MANAGEMENT },
+  inventory:     { read: ALL_STAFF,    create: FRONT_OFFICE,   update: FRONT_OFFICE },
+  appointments:  { read: ALL_STAFF,    create: FRONT_OFFICE,   update: FRONT_OFFICE },
+  estimates:     { read: ALL_STAFF,    create: FRONT_OFFICE,   update: FRONT_OFFICE, convert: FRONT_OFFICE },
+  orders:        { read: ALL_STAFF,    create: FRONT_OFFICE,   update: FRONT_OFFICE },
+  line_items:    { read: ALL_STAFF,    create: FRONT_OFFICE,   update: FRONT_OFFICE, delete: FRONT_OFFICE },
+  authorizations: { read: ALL_STAFF,   create: FRONT_OFFICE,   update: FRONT_OFFICE },
+  inspections:   { read: ALL_STAFF,    create: ALL_STAFF,      update: ALL_STAFF },
+  timesheets:    { read: ALL_STAFF,    create: ALL_STAFF,      update: ALL_STAFF },
+  messages:      { read: ALL_STAFF,    create: ALL_STAFF },
+  transactions:  { read: FRONT_OFFICE, create: FRONT_OFFICE,   update: FRONT_OFFICE },
+  payments:      { read: FRONT_OFFICE, create: FRONT_OFFICE,   refund: MANAGEMENT },
+  cash_drawer:   { read: FRONT_OFFICE, close: FRONT_OFFICE },
+  follow_ups:    { read: FRONT_OFFICE, update: FRONT_OFFICE },
+  reports:       { read: MANAGEMENT },
+  search:        { read: ALL_STAFF }
+};
+
+// Resources an API key can never be granted (keys cannot manage keys)
+const USER_ONLY_RESOURCES = ['api_keys'];
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Check whether a role may perform an action on a resource
+const can = (role, resource, action) => {
+  const roles = PERMISSIONS[resource] && PERMISSIONS[resource][action];
+  return Boolean(roles && roles.includes(role));
+};
+
+// Middleware guarding a route with an entry of the permission matrix
+// Users are checked by role, API keys by their scopes (see apiKeys.js)
+// Fails at startup (not per request) when a route names an unknown permission
+const authorize = (resource, action) => {
+  const roles = PERMISSIONS[resource] && PERMISSIONS[resource][action];
+
+  if (!roles) {
+    throw new Error(`No permission defined for ${resource}:${action}`);
+  }
+
+  const roleCheck = requireRole(...roles);
+
+  return (req, res, next) => {
+    if (req.apiKey) {
+      if (USER_ONLY_RESOURCES.includes(resource) || !scopeAllows(req.apiKey.scopes, resource, action)) {
+        return res.status(403).json({
+          error: 'Access denied. API key scope does not allow this action.',
+          required: `${resource}:${action === 'read' ? 'read' : 'write'}`
+        });
+      }
+      return next();
+    }
+
+    return roleCheck(req, res, next);
+  };
+};
+
+// Validate the scope list of a new API key; returns an error message or null
+const checkApiKeyScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty list such as ["orders:read"]';
+  }
+
+  for (const scope of scopes) {
+    const parts = String(scope).split(':');
+    const [resource, level] = parts;
+    const knownResource = resource === '*' || (PERMISSIONS[resource] && !USER_ONLY_RESOURCES.includes(resource));
+
+    if (parts.length !== 2 || !knownResource || !SCOPE_LEVELS.includes(level)) {
+      return `Invalid scope: ${scope}`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  PERMISSIONS,
+  can,
+  authorize,
+  checkApiKeyScopes
+};
@@ -0,0 +1,321 @@
+const pool = require('./database');
+const { localDate } = require('./dates');
+
+// Order pricing: works out each line item's total and rolls the lines up into
+// the order's calculated_* columns. All amounts are integer cents.
+//
+// Line item price, by `pricing`:
+//   hourly   - labor_hours x labor_rate_cents
+//   quantity - quantity x parts_cost_cents
+//   fixed    - fixed_price_cents (also used whenever lump_sum is set)
+// then the line discount (discount_value_type 'percent' uses discount_percent,
+// otherwise discount_cents is an amount), then the order discount, then tax.
+//
+// The order discount is the order's discount_percent, or the customer's when
+// the order has none.
+//
+// Tax: a line's tax_percent, or else the order's, is charged as typed. Without
+// one, every tax_rate of the order's location in effect on the order's date
+// applies, at the rate for the line's category and up to the rate's per-item
+// cap (applied to each unit of a quantity line). Lines marked not taxable and
+// tax_exempt customers pay none.
+
+const PRICING_METHODS = ['hourly', 'quantity', 'fixed'];
+
+// Which order total a line counts towards, by line category
+const CATEGORY_TOTALS = {
+  labor: 'labor',
+  part: 'parts',
+  parts: 'parts',
+  subcontract: 'subcontracts',
+  sublet: 'subcontracts',
+  shop_supplies: 'shop_supplies',
+  fee: 'shop_supplies'
+};
+
+// Lines that stay on the order but are not charged
+const UNCHARGED_LINE_STATUSES = ['declined', 'deferred'];
+
+// tax_rate column holding the rate for each order total
+const TAX_RATE_COLUMNS = {
+  labor: 'labor_percent',
+  parts: 'parts_percent',
+  subcontracts: 'subcontracts_percent',
+  shop_supplies: 'fees_percent'
+};
+
+// NUMERIC and BIGINT columns arrive as strings
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const percentOf = (cents, percent) => Math.round(cents * toNumber(percent) / 100);
+
+// Price of a line before any discount
+const linePrice = (item) => {
+  if (item.lump_sum || (item.pricing || 'fixed') === 'fixed') {
+    return Math.round(toNumber(item.fixed_price_cents));
+  }
+
+  if (item.pricing === 'hourly') {
+    return Math.round(toNumber(item.labor_hours) * toNumber(item.labor_rate_cents));
+  }
+
+  return Math.round(toNumber(item.quantity) * toNumber(item.parts_cost_cents));
+};
+
+const lineTotalKey = (item) => {
+  if (CATEGORY_TOTALS[item.category]) return CATEGORY_TOTALS[item.category];
+  return item.pricing === 'hourly' ? 'labor' : 'parts';
+};
+
+// Taxes on one line: [{ tax_rate_id, name, taxable_cents, tax_cents }]
+const lineTaxes = (item, order, taxRates, taxable) => {
+  const manualPercent = toNumber(item.tax_percent) || toNumber(order.tax_percent);
+
+  if (manualPercent) {
+    return [{
+      tax_rate_id: null,
+      name: `Tax ${manualPercent}%`,
+      taxable_cents: taxable,
+      tax_cents: percentOf(taxable, manualPercent)
+    }];
+  }
+
+  const column = TAX_RATE_COLUMNS[lineTotalKey(item)];
+
+  const quantity = !item.lump_sum && item.pricing === 'quantity' ? toNumber(item.quantity) : 1;
+  const cappedBase = (cap) => (quantity > 0
+    ? Math.round(Math.min(taxable / quantity, cap) * quantity)
+    : Math.min(taxable, cap));
+
+  return taxRates
+    .filter(rate => toNumber(rate[column]) > 0)
+    .map(rate => {
+      const base = rate.max_taxable_cents === null || rate.max_taxable_cents === undefined
+        ? taxable
+        : cappedBase(toNumber(rate.max_taxable_cents));
+
+      return {
+        tax_rate_id: rate.id,
+        name: rate.name,
+        taxable_cents: base,
+        tax_cents: percentOf(base, rate[column])
+      };
+    });
+};
+
+// Date an order is taxed on: when the work was completed, or today
+const taxDate = (order) => localDate(order.completed_date || new Date());
+
+// ============================================
+// CALCULATION
+// ============================================
+
+// Totals for an order and its lines, without saving anything.
+// Takes what loadOrderForPricing returns; `options.discountPercent` overrides
+// the order discount (for previews).
+const calculateOrderTotals = ({ order, customer, lineItems, taxRates = [] }, options = {}) => {
+  const orderDiscountPercent = options.discountPercent !== undefined
+    ? toNumber(options.discountPercent)
+    : toNumber(order.discount_percent) || toNumber(customer && customer.discount_percent);
+  const taxExempt = Boolean(customer && customer.tax_exempt);
+
+  const totals = {
+    labor_cents: 0,
+    parts_cents: 0,
+    subcontracts_cents: 0,
+    shop_supplies_cents: 0,
+    discount_cents: 0,
+    subtotal_cents: 0,
+    tax_cents: 0,
+    total_cents: 0
+  };
+  const taxes = [];
+
+  const lines = lineItems.map(item => {
+    const charged = !UNCHARGED_LINE_STATUSES.includes(item.status);
+    const price = charged ? linePrice(item) : 0;
+
+    const lineDiscount = item.discount_value_type === 'percent'
+      ? percentOf(price, item.discount_percent)
+      : Math.min(price, Math.round(toNumber(item.discount_cents)));
+    const orderDiscount = percentOf(price - lineDiscount, orderDiscountPercent);
+    const taxable = price - lineDiscount - orderDiscount;
+
+    const itemTaxes = taxExempt || item.taxable === false || taxable <= 0
+      ? []
+      : lineTaxes(item, order, taxRates, taxable);
+    const tax = itemTaxes.reduce((sum, t) => sum + t.tax_cents, 0);
+
+    for (const itemTax of itemTaxes) {
+      const existing = taxes.find(t => t.tax_rate_id === itemTax.tax_rate_id && t.name === itemTax.name);
+
+      if (existing) {
+        existing.taxable_cents += itemTax.taxable_cents;
+        existing.tax_cents += itemTax.tax_cents;
+      } else {
+        taxes.push({ ...itemTax });
+      }
+    }
+
+    totals[`${lineTotalKey(item)}_cents`] += price;
+    totals.discount_cents += lineDiscount + orderDiscount;
+    totals.subtotal_cents += taxable;
+    totals.tax_cents += tax;
+
+    return {
+      id: item.id,
+      charged,
+      price_cents: price,
+      discount_cents: lineDiscount,
+      order_discount_cents: orderDiscount,
+      tax_cents: tax,
+      total_cents: taxable + tax
+    };
+  });
+
+  totals.total_cents = totals.subtotal_cents + totals.tax_cents;
+
+  return {
+    discount_percent: orderDiscountPercent,
+    tax_exempt: taxExempt,
+    tax_exemption_certificate: taxExempt ? customer.tax_exemption_certificate || null : null,
+    ...totals,
+    taxes,
+    line_items: lines
+  };
+};
+
+// Tax rates of a location in effect on a date (YYYY-MM-DD)
+const loadTaxRates = async (locationId, companyId, date, db = pool) => {
+  const result = await db.query(
+    `SELECT * FROM tax_rate
+     WHERE location_id = $1 AND company_id = $2
+       AND effective_from <= $3 AND (effective_to IS NULL OR effective_to >= $3)
+     ORDER BY name`,
+    [locationId, companyId, date]
+  );
+
+  return result.rows;
+};
+
+// Customer fields that affect pricing (null if not found)
+const loadPricingCustomer = async (customerId, db = pool) => {
+  const result = await db.query(
+    'SELECT discount_percent, tax_exempt, tax_exemption_certificate FROM customer WHERE id = $1',
+    [customerId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Order, customer, line items and tax rates needed to price an order (null if not found)
+const loadOrderForPricing = async (orderId, companyId, db = pool) => {
+  const orderResult = await db.query(
+    'SELECT * FROM "order" WHERE id = $1 AND company_id = $2',
+    [orderId, companyId]
+  );
+
+  const order = orderResult.rows[0];
+  if (!order) return null;
+
+  const lineItems = await db.query(
+    'SELECT * FROM order_line_item WHERE order_id = $1 ORDER BY ordinal',
+    [orderId]
+  );
+
+  return {
+    order,
+    customer: await loadPricingCustomer(order.customer_id, db),
+    lineItems: lineItems.rows,
+    taxRates: await loadTaxRates(order.location_id, companyId, taxDate(order), db)
+  };
+};
+
+// ============================================
+// RECALCULATION
+// ============================================
+
+// Recalculate and save line item and order totals; returns the totals.
+// Call after anything that affects price: line items, order discount or tax.
+// A line's discount_cents is what was asked for and is left as it is: the
+// amount applied can be less while the line is priced lower or not charged.
+const recalculateOrder = async (orderId, companyId, db = pool) => {
+  const loaded = await loadOrderForPricing(orderId, companyId, db);
+  if (!loaded) return null;
+
+  const totals = calculateOrderTotals(loaded);
+
+  for (const line of totals.line_items) {
+    const item = loaded.lineItems.find(i => i.id === line.id);
+
+    if (toNumber(item.total_cents) === line.total_cents && toNumber(item.tax_cents) === line.tax_cents) {
+      continue;
+    }
+
+    await db.query(
+      'UPDATE order_line_item SET tax_cents = $1, total_cents = $2 WHERE id = $3',
+      [line.tax_cents, line.total_cents, line.id]
+    );
+  }
+
+  await db.query(
+    `UPDATE "order" SET
+      calculated_labor_cents = $1, calculated_parts_cents = $2, calculated_subcontracts_cents = $3,
+      calculated_shop_supplies_cents = $4, calculated_discount_cents = $5, calculated_subtotal_cents = $6,
+      calculated_tax_cents = $7, calculated_total_cents = $8
+     WHERE id = $9`,
+    [
+      totals.labor_cents,
+      totals.parts_cents,
+      totals.subcontracts_cents,
+      totals.shop_supplies_cents,
+      totals.discount_cents,
+      totals.subtotal_cents,
+      totals.tax_cents,
+      totals.total_cents,
+      orderId
+    ]
+  );
+
+  await db.query('DELETE FROM order_tax WHERE order_id = $1', [orderId]);
+
+  for (const tax of totals.taxes) {
+    await db.query(
+      `INSERT INTO order_tax (company_id, location_id, order_id, tax_rate_id, name, taxable_cents, tax_cents)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [companyId, loaded.order.location_id, orderId, tax.tax_rate_id, tax.name, tax.taxable_cents, tax.tax_cents]
+    );
+  }
+
+  return totals;
+};
+
+// Recalculate the orders still in progress (not completed) after a change to
+// tax rates of a location or to a customer's discount or tax status
+const recalculateOpenOrders = async (companyId, { locationId, customerId }, db = pool) => {
+  const column = locationId ? 'location_id' : 'customer_id';
+  const orders = await db.query(
+    `SELECT id FROM "order" WHERE company_id = $1 AND ${column} = $2 AND completed_date IS NULL AND deleted = false`,
+    [companyId, locationId || customerId]
+  );
+
+  for (const order of orders.rows) {
+    await recalculateOrder(order.id, companyId, db);
+  }
+};
+
+module.exports = {
+  PRICING_METHODS,
+  TAX_RATE_COLUMNS,
+  UNCHARGED_LINE_STATUSES,
+  linePrice,
+  calculateOrderTotals,
+  loadTaxRates,
+  loadPricingCustomer,
+  loadOrderForPricing,
+  recalculateOrder,
+  recalculateOpenOrders
+};
@@ -0,0 +1,133 @@
+const { orderBalance } = require('./balance');
+
+// Receipts for transactions: the data as JSON, or a printable HTML page.
+// A transaction gets its receipt number (see numbering.js) the first time its
+// receipt is asked for.
+
+const TENDER_NAMES = {
+  cash: 'Cash',
+  check: 'Check',
+  ach: 'ACH transfer',
+  card_present: 'Card',
+  stripe: 'Card (online)'
+};
+
+const TYPE_NAMES = {
+  payment: 'Payment',
+  deposit: 'Deposit',
+  refund: 'Refund'
+};
+
+// Receipt of a transaction row with its order, customer, location and the
+// order's balance
+const loadReceipt = async (db, transaction) => {
+  const result = await db.query(
+    `SELECT o.order_number, o.invoice_number, o.calculated_total_cents, o.id as order_id,
+            c.first_name, c.last_name, c.company_name as customer_company_name,
+            l.name as location_name, l.address1, l.address2, l.city, l.state, l.postal_code, l.phone,
+            co.name as company_name
+     FROM "order" o
+     LEFT JOIN customer c ON c.id = $2
+     LEFT JOIN location l ON l.id = $3
+     LEFT JOIN company co ON co.id = o.company_id
+     WHERE o.id = $1`,
+    [transaction.order_id, transaction.customer_id, transaction.location_id]
+  );
+  const row = result.rows[0];
+  const balance = await orderBalance(db, { id: transaction.order_id, calculated_total_cents: row.calculated_total_cents });
+
+  return {
+    receipt_number: transaction.receipt_number,
+    transaction_id: transaction.id,
+    date: transaction.applied_date || transaction.created_at,
+    type: transaction.transaction_type,
+    status: transaction.status,
+    amount_cents: Number(transaction.amount_cents),
+    tender: transaction.payment_method,
+    reference: transaction.payment_reference,
+    card_last4: transaction.metadata ? transaction.metadata.card_last4 || null : null,
+    tendered_cents: transaction.tendered_cents === null ? null : Number(transaction.tendered_cents),
+    change_cents: transaction.change_cents === null ? null : Number(transaction.change_cents),
+    note: transaction.note || null,
+    company_name: row.company_name,
+    location: {
+      name: row.location_name,
+      address: [row.address1, row.address2, [row.city, row.state, row.postal_code].filter(Boolean).join(' ')]
+        .filter(Boolean),
+      phone: row.phone
+    },
+    customer_name: row.customer_company_name || [row.first_name, row.last_name].filter(Boolean).join(' '),
+    order_number: row.order_number,
+    invoice_number: row.invoice_number,
+    order_total_cents: balance.total_cents,
+    balance_due_cents: balance.balance_due_cents
+  };
+};
+
+// ============================================
+// HTML
+// ============================================
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const money = (cents) => `$${(Number(cents) / 100).toFixed(2)}`;
+
+const line = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+
+// A printable page for a receipt from loadReceipt()
+const receiptHtml = (receipt) => {
+  const tender = TENDER_NAMES[receipt.tender] || receipt.tender || '';
+  const rows = [
+    line('Receipt', receipt.receipt_number),
+    line('Date', new Date(receipt.date).toLocaleString('en-US')),
+    line('Customer', receipt.customer_name),
+    line('Order', receipt.order_number),
+    receipt.invoice_number ? line('Invoice', receipt.invoice_number) : '',
+    line(TYPE_NAMES[receipt.type] || receipt.type, money(receipt.amount_cents)),
+    line('Paid by', receipt.card_last4 ? `${tender} ending ${receipt.card_last4}` : tender),
+    receipt.reference ? line(receipt.tender === 'check' ? 'Check number' : 'Reference', receipt.reference) : '',
+    receipt.tendered_cents !== null ? line('Tendered', money(receipt.tendered_cents)) : '',
+    receipt.change_cents !== null ? line('Change', money(receipt.change_cents)) : '',
+    receipt.status !== 'paid' ? line('Status', receipt.status) : '',
+    line('Order total', money(receipt.order_total_cents)),
+    line('Balance due', money(Math.max(receipt.balance_due_cents, 0))),
+    receipt.note ? line('Note', receipt.note) : ''
+  ];
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(receipt.receipt_number)}</title>
+<style>
+  body { font-family: sans-serif; max-width: 360px; margin: 24px auto; }
+  h1 { font-size: 18px; margin: 0; }
+  p { margin: 2px 0; color: #444; }
+  table { width: 100%; margin-top: 16px; border-collapse: collapse; }
+  th { text-align: left; font-weight: normal; color: #444; padding: 4px 0; }
+  td { text-align: right; padding: 4px 0; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(receipt.company_name)}</h1>
+<p>${escapeHtml(receipt.location.name)}</p>
+${receipt.location.address.map(part => `<p>${escapeHtml(part)}</p>`).join('\n')}
+${receipt.location.phone ? `<p>${escapeHtml(receipt.location.phone)}</p>` : ''}
+<table>
+${rows.filter(Boolean).join('\n')}
+</table>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  loadReceipt,
+  receiptHtml
+};
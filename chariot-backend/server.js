@@ -5,17 +5,87 @@ const dotenv = require('dotenv');
 // Load environment variables FIRST
 dotenv.config();
 
-const { v4: uuidv4 } = require('uuid');
 const pool = require('./database');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { router: authRouter, authenticateToken, requireRole } = require('./auth');
+const { paymentProvider } = require('./paymentProvider');
+const { router: authRouter, authenticateToken, requireRole, sendInvite, revokeUserSessions } = require('./auth');
+const { ROLES, ALL_ROLES, authorize, checkApiKeyScopes } = require('./permissions');
+const { generateApiKey } = require('./apiKeys');
+const { recordAudit, loadForAudit } = require('./audit');
+const {
+  PRICING_METHODS,
+  TAX_RATE_COLUMNS,
+  linePrice,
+  calculateOrderTotals,
+  loadOrderForPricing,
+  recalculateOrder,
+  recalculateOpenOrders
+} = require('./pricing');
+const {
+  DOCUMENT_TYPES,
+  RESET_PERIODS,
+  DEFAULT_FORMAT,
+  DEFAULT_RESET_PERIOD,
+  checkFormat,
+  periodKey,
+  ensureSequence,
+  nextNumber,
+  nextValue,
+  previewNumber
+} = require('./numbering');
+const {
+  loadWorkflow,
+  checkWorkflow,
+  saveWorkflow,
+  initialStages,
+  checkTransition,
+  recordStatusHistory,
+  changeOrderStatus
+} = require('./workflow');
+const {
+  EDITABLE_STATUSES,
+  defaultExpiry,
+  isExpired,
+  presentEstimate,
+  loadRevisionLines,
+  priceRevision,
+  createRevision,
+  refreshEstimateParts,
+  compareRevisions,
+  convertEstimate
+} = require('./estimates');
+const { partLineDefaults, refreshOnEstimateQuantity, syncOrderStock, releaseLineStock } = require('./inventory');
+const {
+  AUTHORIZATION_METHODS,
+  workChanged,
+  authorizationState,
+  checkDecisions,
+  recordAuthorization,
+  resetAuthorization,
+  withdrawApprovedLines,
+  loadAuthorizations
+} = require('./authorizations');
+const { DEFERRED_STATUSES, refreshDeferredWork, loadDeferredLines, reviveLines } = require('./deferred');
+const { copyLineToOrder, checkLineParent, withGroupedLines, invoiceJobs } = require('./lineItems');
+const { checkServiceItems, loadServiceItems, saveServiceItems, applyService } = require('./services');
+const { findIntentOrder, recordStripePayment, startStripeRefund, failStripeRefund, recordStripeRefund, processStripeEvent } = require('./payments');
+const { PAYMENT_TYPES, orderBalance, checkPaymentAmount, refundableCents, settleOrder } = require('./balance');
+const { tenderFields, today, checkBusinessDate, drawerSummary, closeDrawer } = require('./tenders');
+const { loadReceipt, receiptHtml } = require('./receipts');
+const { unlockAccount, isAccountLocked, recordLoginEvent } = require('./loginGuard');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Stripe signs the exact bytes it sends, so the webhook keeps its raw body
+const STRIPE_WEBHOOK_PATH = '/api/payments/webhook';
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl === STRIPE_WEBHOOK_PATH) req.rawBody = buf;
+  }
+}));
 
 // ============================================
 // UTILITY FUNCTIONS
@@ -26,14 +96,178 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
-// Standard error handler
-app.use((err, req, res, next) => {
-  console.error(err);
-  res.status(err.status || 500).json({ 
-    error: err.message || 'Internal server error' 
-  });
+// Run fn(client) in a database transaction; rolled back if fn throws
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Validate a role being assigned to a user
+// Returns an { status, error } pair when the assignment is not allowed
+const checkRoleAssignment = (req, role) => {
+  if (role === undefined || role === null) return null;
+
+  if (!ALL_ROLES.includes(role)) {
+    return { status: 400, error: `Invalid role. Must be one of: ${ALL_ROLES.join(', ')}` };
+  }
+
+  if (role === ROLES.ADMIN && req.user.role !== ROLES.ADMIN) {
+    return { status: 403, error: 'Only admins can assign the admin role' };
+  }
+
+  return null;
+};
+
+// HQ access lets a user see every location, so only admins may grant it
+const checkHqAccessAssignment = (req, hqAccess) => {
+  if (hqAccess === undefined || hqAccess === null) return null;
+
+  if (req.user.role !== ROLES.ADMIN) {
+    return { status: 403, error: 'Only admins can change hq_access' };
+  }
+
+  return null;
+};
+
+// User columns safe to return from the API (never password_hash)
+const USER_COLUMNS = `id, company_id, email, first_name, last_name, phone, location_ids, color, active, role,
+  can_track_time, assigned_technician, assigned_service_writer, hq_access, labor_rate_id,
+  custom_fields, metadata, created_at, updated_at, deactivated_date, deactivated_by_user_id,
+  totp_enabled, (password_hash IS NOT NULL) AS password_set`;
+
+// ============================================
+// COMPANY (TENANT) SCOPING
+// ============================================
+
+// Every row belongs to the caller's company (req.user.company_id, taken from the JWT).
+// A company_id in the request body is only accepted if it names that same company.
+const rejectForeignCompanyId = (req, res, next) => {
+  if (req.body && req.body.company_id !== undefined && req.body.company_id !== req.user.company_id) {
+    return res.status(403).json({ error: 'company_id does not match your account' });
+  }
+  next();
+};
+
+// Tables that may be referenced by id from a request body
+const REFERENCE_TABLES = {
+  location_id: 'location',
+  location_ids: 'location',
+  customer_id: 'customer',
+  vehicle_id: 'vehicle',
+  appointment_id: 'appointment',
+  order_id: '"order"',
+  inspection_id: 'inspection',
+  service_id: 'service',
+  source_service_id: 'service',
+  user_id: '"user"',
+  technician_id: '"user"',
+  service_writer_id: '"user"',
+  completed_by_id: '"user"',
+  inventory_part_id: 'inventory_part',
+  parent_id: 'order_line_item',
+  labor_id: 'labor',
+  recommended_canned_service_ids: 'service'
+};
+
+// Make sure every referenced id (or array of ids) belongs to the caller's company
+// Returns the name of the first offending field, or null when all are valid
+const findForeignReference = async (companyId, refs) => {
+  for (const [field, value] of Object.entries(refs)) {
+    if (value === undefined || value === null) continue;
+
+    const ids = Array.isArray(value) ? value : [value];
+    if (ids.length === 0) continue;
+    if (!ids.every(id => UUID_PATTERN.test(String(id)))) return field;
+
+    const result = await pool.query(
+      `SELECT COUNT(*) AS count FROM ${REFERENCE_TABLES[field]} WHERE id = ANY($1::uuid[]) AND company_id = $2`,
+      [ids, companyId]
+    );
+
+    if (parseInt(result.rows[0].count) !== new Set(ids).size) return field;
+  }
+
+  return null;
+};
+
+// Respond 400 when a referenced id is missing or belongs to another company
+// Returns true when the request has been answered
+const rejectForeignReferences = async (req, res, refs) => {
+  const field = await findForeignReference(req.user.company_id, refs);
+  if (!field) return false;
+
+  res.status(400).json({ error: `Invalid ${field}` });
+  return true;
+};
+
+// ============================================
+// LOCATION SCOPING
+// ============================================
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Work out which locations the caller may see on this request.
+// req.locationScope is an array of location ids, or null for every location in the company.
+// HQ users see all locations; everyone else is limited to user.location_ids.
+// Either may pick a single active location with the X-Location-Id header.
+const resolveLocationScope = asyncHandler(async (req, res, next) => {
+  const requested = req.get('X-Location-Id');
+  const assigned = Array.isArray(req.user.location_ids) ? req.user.location_ids : [];
+
+  if (!requested) {
+    req.locationScope = req.user.hq_access ? null : assigned;
+    return next();
+  }
+
+  if (!UUID_PATTERN.test(requested)) {
+    return res.status(400).json({ error: 'Invalid X-Location-Id header' });
+  }
+
+  const allowed = req.user.hq_access
+    ? !(await findForeignReference(req.user.company_id, { location_id: requested }))
+    : assigned.includes(requested);
+
+  if (!allowed) {
+    return res.status(403).json({ error: 'You do not have access to this location' });
+  }
+
+  req.locationScope = [requested];
+  next();
 });
 
+// Check a single location id against the request's location scope
+const inLocationScope = (req, locationId) => {
+  return !req.locationScope || req.locationScope.includes(locationId);
+};
+
+// SQL condition limiting a single-row query to the request's location scope
+// Pushes the scope onto params and returns '' when the caller sees every location
+const locationScopeClause = (req, params, column = 'location_id') => {
+  if (!req.locationScope) return '';
+  params.push(req.locationScope);
+  return ` AND ${column} = ANY($${params.length})`;
+};
+
+// Respond 403 when a record is being created at a location outside the caller's scope
+// Returns true when the request has been answered
+const rejectOutOfScopeLocation = (req, res, locationId) => {
+  if (inLocationScope(req, locationId)) return false;
+
+  res.status(403).json({ error: 'You do not have access to this location' });
+  return true;
+};
+
 // ============================================
 // ADVANCED QUERY UTILITIES
 // ============================================
@@ -108,6 +342,52 @@ const buildFilterWhere = (filters) => {
 
 app.use('/api/auth', authRouter);
 
+// Stripe webhook: authenticated by its signature (STRIPE_WEBHOOK_SECRET), not a
+// token, so it is registered before the token check. Events are recorded once
+// (see payments.js); a failure answers 500 and Stripe delivers the event again.
+app.post(STRIPE_WEBHOOK_PATH, asyncHandler(async (req, res) => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    return res.status(500).json({ error: 'STRIPE_WEBHOOK_SECRET is not configured' });
+  }
+  
+  let event;
+  try {
+    event = paymentProvider.constructEvent(
+      req.rawBody || '',
+      req.get('stripe-signature') || '',
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    return res.status(400).json({ error: `Webhook signature verification failed: ${error.message}` });
+  }
+  
+  const outcome = await withTransaction(async (client) => {
+    const processed = await processStripeEvent(client, event);
+    const orderIds = [...new Set((processed.changes || []).map(change => change.after.order_id))];
+    
+    const settled = [];
+    for (const orderId of orderIds) {
+      const change = await settleOrderLocked(client, req, orderId);
+      if (change) settled.push(change);
+    }
+    
+    return { ...processed, settled };
+  });
+  
+  for (const { before, after } of outcome.changes || []) {
+    await recordAudit(req, { entity: 'transaction', action: before ? 'update' : 'create', before, after, actor: null });
+  }
+  for (const { before, after } of outcome.settled || []) {
+    await recordAudit(req, { entity: 'order', action: 'update', before, after, actor: null });
+  }
+  
+  res.json({ received: true, duplicate: Boolean(outcome.duplicate), result: outcome.result || null });
+}));
+
+// Every /api route registered below requires a valid access token and is scoped to
+// the caller's company and locations. Per-route role checks come from the permission matrix in permissions.js
+app.use('/api', authenticateToken, rejectForeignCompanyId, resolveLocationScope);
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -126,117 +406,441 @@ app.get('/', (req, res) => {
   });
 });
 
+// ============================================
+// COMPANY ENDPOINTS
+// ============================================
+
+const COMPANY_COLUMNS = 'id, name, email, phone, active, settings, created_at, updated_at';
+
+// Validate company settings being saved; returns an error message or null
+const checkCompanySettings = (settings) => {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    return 'settings must be an object';
+  }
+  
+  const roles = settings.two_factor_required_roles;
+  if (roles !== undefined && (!Array.isArray(roles) || roles.some(role => !ALL_ROLES.includes(role)))) {
+    return `two_factor_required_roles must be a list of: ${ALL_ROLES.join(', ')}`;
+  }
+  
+  return null;
+};
+
+app.get('/api/company', authorize('company', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query(`SELECT ${COMPANY_COLUMNS} FROM company WHERE id = $1`, [req.user.company_id]);
+  
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Company not found' });
+  res.json(result.rows[0]);
+}));
+
+// settings are merged key by key into the existing settings. Users of roles
+// newly required to use 2FA who have not enrolled are logged out everywhere, so
+// they enroll at their next login.
+app.put('/api/company', authorize('company', 'update'), asyncHandler(async (req, res) => {
+  const { name, email, phone, settings } = req.body;
+  
+  if (settings !== undefined) {
+    const settingsError = checkCompanySettings(settings);
+    if (settingsError) return res.status(400).json({ error: settingsError });
+  }
+  
+  const current = await pool.query(`SELECT ${COMPANY_COLUMNS} FROM company WHERE id = $1`, [req.user.company_id]);
+  if (current.rows.length === 0) return res.status(404).json({ error: 'Company not found' });
+  
+  const mergedSettings = settings ? { ...(current.rows[0].settings || {}), ...settings } : null;
+  
+  const result = await pool.query(
+    `UPDATE company SET name = COALESCE($1, name), email = COALESCE($2, email), phone = COALESCE($3, phone), settings = COALESCE($4, settings), updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING ${COMPANY_COLUMNS}`,
+    [name, email, phone, mergedSettings ? JSON.stringify(mergedSettings) : null, req.user.company_id]
+  );
+  
+  const previousRoles = (current.rows[0].settings || {}).two_factor_required_roles || [];
+  const addedRoles = ((result.rows[0].settings || {}).two_factor_required_roles || [])
+    .filter(role => !previousRoles.includes(role));
+  
+  if (addedRoles.length > 0) {
+    const unenrolled = await pool.query(
+      'SELECT id FROM "user" WHERE company_id = $1 AND role = ANY($2) AND (totp_enabled = false OR totp_enabled IS NULL)',
+      [req.user.company_id, addedRoles]
+    );
+    for (const user of unenrolled.rows) {
+      await revokeUserSessions(user.id, '2fa_required');
+    }
+  }
+  
+  await recordAudit(req, { entity: 'company', action: 'update', before: current.rows[0], after: result.rows[0], companyId: req.user.company_id });
+  res.json(result.rows[0]);
+}));
+
+// ============================================
+// ORDER WORKFLOW ENDPOINTS
+// ============================================
+
+// Stages and allowed transitions for orders (see workflow.js); custom is false while the defaults apply
+app.get('/api/workflow', authorize('workflow', 'read'), asyncHandler(async (req, res) => {
+  res.json(await loadWorkflow(req.user.company_id));
+}));
+
+// Replace the workflow: { stages: [{ key, name, completed, invoices }], transitions: { from: [to] } }
+// Orders left in a stage that no longer exists may be moved to any stage
+app.put('/api/workflow', authorize('workflow', 'update'), asyncHandler(async (req, res) => {
+  const { stages, transitions } = req.body;
+  
+  const workflowError = checkWorkflow({ stages, transitions });
+  if (workflowError) return res.status(400).json({ error: workflowError });
+  
+  const before = await loadWorkflow(req.user.company_id);
+  
+  await withTransaction(client => saveWorkflow(client, req.user.company_id, { stages, transitions }));
+  
+  const after = await loadWorkflow(req.user.company_id);
+  
+  await recordAudit(req, {
+    entity: 'workflow',
+    action: 'update',
+    before: { id: req.user.company_id, stages: before.stages, transitions: before.transitions },
+    after: { id: req.user.company_id, stages: after.stages, transitions: after.transitions },
+    companyId: req.user.company_id
+  });
+  res.json(after);
+}));
+
 // ============================================
 // LOCATION ENDPOINTS
 // ============================================
 
-app.get('/api/locations', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM location ORDER BY created_at DESC');
+app.get('/api/locations', authorize('locations', 'read'), asyncHandler(async (req, res) => {
+  let query = 'SELECT * FROM location WHERE company_id = $1';
+  const params = [req.user.company_id];
+  
+  // Non-HQ users only see the locations they are assigned to
+  if (!req.user.hq_access) {
+    query += ' AND id = ANY($2)';
+    params.push(req.user.location_ids || []);
+  }
+  
+  const result = await pool.query(query + ' ORDER BY created_at DESC', params);
   res.json(result.rows);
 }));
 
-app.post('/api/locations', asyncHandler(async (req, res) => {
-  const { company_id, name, address1, city, state, postal_code, phone, email } = req.body;
+app.post('/api/locations', authorize('locations', 'create'), asyncHandler(async (req, res) => {
+  const { name, address1, city, state, postal_code, phone, email } = req.body;
   
   if (!name) return res.status(400).json({ error: 'Name is required' });
   
   const result = await pool.query(
     'INSERT INTO location (company_id, name, address1, city, state, postal_code, phone, email) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-    [company_id || uuidv4(), name, address1, city, state, postal_code, phone, email]
+    [req.user.company_id, name, address1, city, state, postal_code, phone, email]
   );
   
+  await recordAudit(req, { entity: 'location', action: 'create', after: result.rows[0] });
   res.status(201).json(result.rows[0]);
 }));
 
-app.get('/api/locations/:id', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM location WHERE id = $1', [req.params.id]);
+app.get('/api/locations/:id', authorize('locations', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM location WHERE id = $1 AND company_id = $2', [req.params.id, req.user.company_id]);
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'Location not found' });
+  if (!req.user.hq_access && !(req.user.location_ids || []).includes(req.params.id)) {
+    return res.status(404).json({ error: 'Location not found' });
+  }
   res.json(result.rows[0]);
 }));
 
-app.put('/api/locations/:id', asyncHandler(async (req, res) => {
+app.put('/api/locations/:id', authorize('locations', 'update'), asyncHandler(async (req, res) => {
   const { name, address1, city, state, postal_code, phone, email } = req.body;
   
+  const before = await loadForAudit('location', req.params.id, req.user.company_id);
   const result = await pool.query(
-    'UPDATE location SET name = COALESCE($1, name), address1 = COALESCE($2, address1), city = COALESCE($3, city), state = COALESCE($4, state), postal_code = COALESCE($5, postal_code), phone = COALESCE($6, phone), email = COALESCE($7, email), updated_at = CURRENT_TIMESTAMP WHERE id = $8 RETURNING *',
-    [name, address1, city, state, postal_code, phone, email, req.params.id]
+    'UPDATE location SET name = COALESCE($1, name), address1 = COALESCE($2, address1), city = COALESCE($3, city), state = COALESCE($4, state), postal_code = COALESCE($5, postal_code), phone = COALESCE($6, phone), email = COALESCE($7, email), updated_at = CURRENT_TIMESTAMP WHERE id = $8 AND company_id = $9 RETURNING *',
+    [name, address1, city, state, postal_code, phone, email, req.params.id, req.user.company_id]
   );
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'Location not found' });
+  
+  await recordAudit(req, { entity: 'location', action: 'update', before, after: result.rows[0] });
   res.json(result.rows[0]);
 }));
 
+// ============================================
+// DOCUMENT NUMBERING ENDPOINTS
+// ============================================
+
+// Numbering of orders, timesheets, purchase orders and invoices per location (see numbering.js)
+// Every location and document type is listed, with the number the next document will get
+app.get('/api/document-sequences', authorize('numbering', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const locations = await pool.query(`SELECT id, name FROM location WHERE company_id = $1${scope} ORDER BY name`, params);
+  
+  const sequences = await pool.query('SELECT * FROM document_sequence WHERE company_id = $1', [req.user.company_id]);
+  
+  const data = [];
+  
+  for (const location of locations.rows) {
+    for (const documentType of Object.keys(DOCUMENT_TYPES)) {
+      const sequence = sequences.rows.find(s => s.location_id === location.id && s.document_type === documentType) || {
+        location_id: location.id,
+        document_type: documentType,
+        prefix: DOCUMENT_TYPES[documentType].prefix,
+        format: DEFAULT_FORMAT,
+        reset_period: DEFAULT_RESET_PERIOD,
+        period_key: null,
+        next_value: 1
+      };
+      
+      data.push({ ...sequence, location_name: location.name, next_number: previewNumber(sequence) });
+    }
+  }
+  
+  res.json(data);
+}));
+
+// next_value can move forward (e.g. to continue from a previous system) but never back,
+// which would issue numbers that are already taken
+app.put('/api/document-sequences/:locationId/:documentType', authorize('numbering', 'update'), asyncHandler(async (req, res) => {
+  const { locationId, documentType } = req.params;
+  const { prefix, format, reset_period, next_value } = req.body;
+  
+  if (!DOCUMENT_TYPES[documentType]) {
+    return res.status(400).json({ error: `Document type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}` });
+  }
+  
+  if (format !== undefined && format !== null) {
+    const formatError = checkFormat(format);
+    if (formatError) return res.status(400).json({ error: formatError });
+  }
+  
+  if (reset_period !== undefined && reset_period !== null && !RESET_PERIODS.includes(reset_period)) {
+    return res.status(400).json({ error: `reset_period must be one of: ${RESET_PERIODS.join(', ')}` });
+  }
+  
+  if (prefix !== undefined && prefix !== null && (typeof prefix !== 'string' || prefix.length > 20)) {
+    return res.status(400).json({ error: 'prefix must be a string of at most 20 characters' });
+  }
+  
+  if (next_value !== undefined && next_value !== null && !(Number.isInteger(next_value) && next_value >= 1)) {
+    return res.status(400).json({ error: 'next_value must be a positive whole number' });
+  }
+  
+  if (rejectOutOfScopeLocation(req, res, locationId)) return;
+  if (await rejectForeignReferences(req, res, { location_id: locationId })) return;
+  
+  const result = await withTransaction(async (client) => {
+    await ensureSequence(client, req.user.company_id, locationId, documentType);
+    
+    const current = await client.query(
+      'SELECT * FROM document_sequence WHERE location_id = $1 AND document_type = $2 FOR UPDATE',
+      [locationId, documentType]
+    );
+    const before = current.rows[0];
+    
+    // Changing reset_period carries on from the current count
+    const resetPeriod = reset_period || before.reset_period;
+    const currentNext = nextValue(before);
+    
+    if (next_value && next_value < currentNext) {
+      return { error: `next_value cannot be lower than ${currentNext}` };
+    }
+    
+    const updated = await client.query(
+      `UPDATE document_sequence SET
+        prefix = COALESCE($1, prefix), format = COALESCE($2, format), reset_period = $3,
+        next_value = $4, period_key = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 RETURNING *`,
+      [prefix, format, resetPeriod, next_value || currentNext, periodKey(resetPeriod, new Date()), before.id]
+    );
+    
+    return { before, after: updated.rows[0] };
+  });
+  
+  if (result.error) return res.status(400).json({ error: result.error });
+  
+  await recordAudit(req, { entity: 'document_sequence', action: 'update', before: result.before, after: result.after });
+  res.json({ ...result.after, next_number: previewNumber(result.after) });
+}));
+
 // ============================================
 // USER (TECHNICIAN) ENDPOINTS
 // ============================================
 
-app.get('/api/users', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM "user" WHERE active = true ORDER BY first_name ASC');
+app.get('/api/users', authorize('users', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query(`SELECT ${USER_COLUMNS} FROM "user" WHERE active = true AND company_id = $1 ORDER BY first_name ASC`, [req.user.company_id]);
   res.json(result.rows);
 }));
 
-app.post('/api/users', asyncHandler(async (req, res) => {
-  const { company_id, email, first_name, last_name, phone, role, location_ids } = req.body;
+app.post('/api/users', authorize('users', 'create'), asyncHandler(async (req, res) => {
+  const { email, first_name, last_name, phone, role, location_ids, hq_access } = req.body;
   
   if (!email || !first_name || !last_name) {
     return res.status(400).json({ error: 'Email, first_name, and last_name are required' });
   }
   
+  const roleError = checkRoleAssignment(req, role) || checkHqAccessAssignment(req, hq_access);
+  if (roleError) return res.status(roleError.status).json({ error: roleError.error });
+  
+  if (await rejectForeignReferences(req, res, { location_ids })) return;
+  
+  const existing = await pool.query('SELECT id FROM "user" WHERE email = $1', [email.toLowerCase()]);
+  if (existing.rows.length > 0) return res.status(409).json({ error: 'Email already registered' });
+  
   const result = await pool.query(
-    'INSERT INTO "user" (company_id, email, first_name, last_name, phone, role, location_ids, active) VALUES ($1, $2, $3, $4, $5, $6, $7, true) RETURNING *',
-    [company_id || uuidv4(), email, first_name, last_name, phone, role, JSON.stringify(location_ids || [])]
+    `INSERT INTO "user" (company_id, email, first_name, last_name, phone, role, location_ids, hq_access, active) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true) RETURNING ${USER_COLUMNS}`,
+    [req.user.company_id, email.toLowerCase(), first_name, last_name, phone, role, JSON.stringify(location_ids || []), hq_access || false]
   );
+  const user = result.rows[0];
   
-  res.status(201).json(result.rows[0]);
+  await recordAudit(req, { entity: 'user', action: 'create', after: user });
+  
+  // The new user sets their own password from the invitation email.
+  // A mail failure does not undo the account; the invite can be resent.
+  let invite_sent = true;
+  try {
+    await sendInvite(user, req.user);
+  } catch (error) {
+    console.error('Invite email error:', error);
+    invite_sent = false;
+  }
+  
+  res.status(201).json({ ...user, invite_sent });
 }));
 
-app.get('/api/users/:id', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM "user" WHERE id = $1', [req.params.id]);
+// Resend the invitation to a user who has not set a password yet
+app.post('/api/users/:id/invite', authorize('users', 'create'), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'SELECT id, company_id, email, first_name, last_name, active, password_hash IS NOT NULL AS password_set FROM "user" WHERE id = $1 AND company_id = $2',
+    [req.params.id, req.user.company_id]
+  );
+  
+  if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+  
+  const user = result.rows[0];
+  if (!user.active) return res.status(400).json({ error: 'User is deactivated' });
+  if (user.password_set) return res.status(400).json({ error: 'User has already set a password' });
+  
+  await sendInvite(user, req.user);
+  res.json({ message: 'Invitation sent' });
+}));
+
+app.get('/api/users/:id', authorize('users', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query(`SELECT ${USER_COLUMNS} FROM "user" WHERE id = $1 AND company_id = $2`, [req.params.id, req.user.company_id]);
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
   res.json(result.rows[0]);
 }));
 
-app.put('/api/users/:id', asyncHandler(async (req, res) => {
-  const { first_name, last_name, phone, role, active, location_ids } = req.body;
+app.put('/api/users/:id', authorize('users', 'update'), asyncHandler(async (req, res) => {
+  const { first_name, last_name, phone, role, active, location_ids, hq_access } = req.body;
   
+  const roleError = checkRoleAssignment(req, role) || checkHqAccessAssignment(req, hq_access);
+  if (roleError) return res.status(roleError.status).json({ error: roleError.error });
+  
+  if (await rejectForeignReferences(req, res, { location_ids })) return;
+  
+  // Only admins may modify (or deactivate) another admin
+  if (req.user.role !== ROLES.ADMIN) {
+    const target = await pool.query('SELECT role FROM "user" WHERE id = $1 AND company_id = $2', [req.params.id, req.user.company_id]);
+    if (target.rows.length > 0 && target.rows[0].role === ROLES.ADMIN) {
+      return res.status(403).json({ error: 'Only admins can modify an admin account' });
+    }
+  }
+  
+  const before = await loadForAudit('user', req.params.id, req.user.company_id);
   const result = await pool.query(
-    'UPDATE "user" SET first_name = COALESCE($1, first_name), last_name = COALESCE($2, last_name), phone = COALESCE($3, phone), role = COALESCE($4, role), active = COALESCE($5, active), location_ids = COALESCE($6, location_ids), updated_at = CURRENT_TIMESTAMP WHERE id = $7 RETURNING *',
-    [first_name, last_name, phone, role, active, location_ids ? JSON.stringify(location_ids) : null, req.params.id]
+    `UPDATE "user" SET first_name = COALESCE($1, first_name), last_name = COALESCE($2, last_name), phone = COALESCE($3, phone), role = COALESCE($4, role), active = COALESCE($5, active), location_ids = COALESCE($6, location_ids), hq_access = COALESCE($7, hq_access), updated_at = CURRENT_TIMESTAMP WHERE id = $8 AND company_id = $9 RETURNING ${USER_COLUMNS}`,
+    [first_name, last_name, phone, role, active, location_ids ? JSON.stringify(location_ids) : null, hq_access, req.params.id, req.user.company_id]
   );
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+  
+  await recordAudit(req, { entity: 'user', action: 'update', before, after: result.rows[0] });
+  
+  // A deactivated user is signed out of every device
+  if (active === false) {
+    await revokeUserSessions(req.params.id, 'deactivated');
+  }
+  
   res.json(result.rows[0]);
 }));
 
+// Lift a login lockout (see loginGuard.js)
+app.post('/api/users/:id/unlock', authorize('users', 'unlock'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT id, company_id, email FROM "user" WHERE id = $1 AND company_id = $2', [req.params.id, req.user.company_id]);
+  
+  if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+  
+  const user = result.rows[0];
+  const wasLocked = await isAccountLocked(user.email);
+  await unlockAccount(user.email);
+  
+  await recordLoginEvent({
+    company_id: user.company_id,
+    user_id: user.id,
+    email: user.email,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+    event_type: 'unlock',
+    reason: 'admin_unlock',
+    metadata: { unlocked_by_id: req.user.id }
+  });
+  
+  res.json({ message: wasLocked ? 'Account unlocked' : 'Account was not locked', was_locked: wasLocked });
+}));
+
 // ============================================
-// CUSTOMER ENDPOINTS
+// LOGIN EVENT ENDPOINTS
 // ============================================
 
-app.get('/api/customers', asyncHandler(async (req, res) => {
-  const { page, limit, offset, sort, order, search } = parseQueryParams(req);
-  const deleted = req.query.deleted === 'true' ? true : false;
+// Review login activity (success, failure, lockout, blocked, unlock, token_reuse) for the company
+app.get('/api/login-events', authorize('login_events', 'read'), asyncHandler(async (req, res) => {
+  const { page, limit, offset } = parseQueryParams(req);
+  const { user_id, email, event_type, start_date, end_date } = req.query;
   
-  let query = 'SELECT * FROM customer WHERE deleted = $1';
-  let params = [deleted];
+  let whereClause = 'WHERE le.company_id = $1';
+  let params = [req.user.company_id];
   let paramIndex = 2;
   
-  if (search) {
-    const searchWhere = ` AND (first_name ILIKE $${paramIndex} OR last_name ILIKE $${paramIndex} OR company_name ILIKE $${paramIndex})`;
-    query += searchWhere;
-    params.push(`%${search}%`);
+  if (user_id) {
+    whereClause += ` AND le.user_id = $${paramIndex}`;
+    params.push(user_id);
     paramIndex++;
   }
   
-  const countQuery = query.replace('SELECT *', 'SELECT COUNT(*) as count');
-  const countResult = await pool.query(countQuery, params);
-  const total = parseInt(countResult.rows[0].count);
+  if (email) {
+    whereClause += ` AND le.email = $${paramIndex}`;
+    params.push(email.toLowerCase());
+    paramIndex++;
+  }
   
-  query += ` ORDER BY ${sort} ${order} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-  params.push(limit, offset);
+  if (event_type) {
+    whereClause += ` AND le.event_type = $${paramIndex}`;
+    params.push(event_type);
+    paramIndex++;
+  }
   
-  const result = await pool.query(query, params);
+  if (start_date) {
+    whereClause += ` AND le.created_at >= $${paramIndex}`;
+    params.push(start_date);
+    paramIndex++;
+  }
+  
+  if (end_date) {
+    whereClause += ` AND le.created_at <= $${paramIndex}`;
+    params.push(end_date);
+    paramIndex++;
+  }
+  
+  const countResult = await pool.query(`SELECT COUNT(*) as count FROM login_event le ${whereClause}`, params);
+  const total = parseInt(countResult.rows[0].count);
+  
+  const result = await pool.query(`
+    SELECT le.*, u.first_name, u.last_name
+    FROM login_event le
+    LEFT JOIN "user" u ON le.user_id = u.id
+    ${whereClause}
+    ORDER BY le.created_at DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+  `, [...params, limit, offset]);
   
   res.json({
     data: result.rows,
@@ -249,41 +853,239 @@ app.get('/api/customers', asyncHandler(async (req, res) => {
   });
 }));
 
-app.post('/api/customers', asyncHandler(async (req, res) => {
-  const { company_id, location_ids, first_name, last_name, company_name, email, phone, address1, city, state, postal_code } = req.body;
+// ============================================
+// AUDIT LOG ENDPOINTS
+// ============================================
+
+// History of changes, e.g. /api/audit?entity=order&id=<uuid> for one order
+app.get('/api/audit', authorize('audit', 'read'), asyncHandler(async (req, res) => {
+  const { page, limit, offset } = parseQueryParams(req);
+  const { entity, id, actor_id, action, start_date, end_date } = req.query;
   
-  if (!first_name && !company_name) {
-    return res.status(400).json({ error: 'First name or company name is required' });
+  if ((id && !UUID_PATTERN.test(id)) || (actor_id && !UUID_PATTERN.test(actor_id))) {
+    return res.status(400).json({ error: 'id and actor_id must be UUIDs' });
   }
   
-  const result = await pool.query(
-    'INSERT INTO customer (company_id, location_ids, first_name, last_name, company_name, address1, city, state, postal_code) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-    [company_id || uuidv4(), JSON.stringify(location_ids || []), first_name, last_name, company_name, address1, city, state, postal_code]
-  );
+  let whereClause = 'WHERE ae.company_id = $1';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
   
-  const customerId = result.rows[0].id;
+  // Events of records without a location (customers, vehicles...) stay visible
+  if (req.locationScope) {
+    whereClause += ` AND (ae.location_id IS NULL OR ae.location_id = ANY($${paramIndex}))`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
   
-  // Create email if provided
-  if (email && location_ids && location_ids.length > 0) {
-    await pool.query(
-      'INSERT INTO email (company_id, location_id, customer_id, email, "primary") VALUES ($1, $2, $3, $4, true)',
-      [company_id || uuidv4(), location_ids[0], customerId, email]
-    );
+  if (entity) {
+    whereClause += ` AND ae.entity_type = $${paramIndex}`;
+    params.push(entity);
+    paramIndex++;
   }
   
-  // Create phone if provided
-  if (phone && location_ids && location_ids.length > 0) {
-    await pool.query(
-      'INSERT INTO phone_number (company_id, location_id, customer_id, phone_number, "primary") VALUES ($1, $2, $3, $4, true)',
-      [company_id || uuidv4(), location_ids[0], customerId, phone]
-    );
+  if (id) {
+    whereClause += ` AND ae.entity_id = $${paramIndex}`;
+    params.push(id);
+    paramIndex++;
   }
   
-  res.status(201).json(result.rows[0]);
-}));
-
-app.get('/api/customers/:id', asyncHandler(async (req, res) => {
-  const customer = await pool.query('SELECT * FROM customer WHERE id = $1 AND deleted = false', [req.params.id]);
+  if (actor_id) {
+    whereClause += ` AND ae.actor_user_id = $${paramIndex}`;
+    params.push(actor_id);
+    paramIndex++;
+  }
+  
+  if (action) {
+    whereClause += ` AND ae.action = $${paramIndex}`;
+    params.push(action);
+    paramIndex++;
+  }
+  
+  if (start_date) {
+    whereClause += ` AND ae.created_at >= $${paramIndex}`;
+    params.push(start_date);
+    paramIndex++;
+  }
+  
+  if (end_date) {
+    whereClause += ` AND ae.created_at <= $${paramIndex}`;
+    params.push(end_date);
+    paramIndex++;
+  }
+  
+  const countResult = await pool.query(`SELECT COUNT(*) as count FROM audit_event ae ${whereClause}`, params);
+  const total = parseInt(countResult.rows[0].count);
+  
+  const result = await pool.query(`
+    SELECT ae.*
+    FROM audit_event ae
+    ${whereClause}
+    ORDER BY ae.created_at DESC
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+  `, [...params, limit, offset]);
+  
+  res.json({
+    data: result.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// ============================================
+// API KEY ENDPOINTS
+// ============================================
+
+// Everything but the key hash
+const API_KEY_COLUMNS = 'id, company_id, name, key_prefix, scopes, location_ids, expires_at, last_used_at, last_used_ip, created_by_id, created_at, revoked_at, revoked_by_id';
+
+app.get('/api/api-keys', authorize('api_keys', 'read'), asyncHandler(async (req, res) => {
+  const includeRevoked = req.query.revoked === 'true';
+  const result = await pool.query(
+    `SELECT ${API_KEY_COLUMNS} FROM api_key WHERE company_id = $1${includeRevoked ? '' : ' AND revoked_at IS NULL'} ORDER BY created_at DESC`,
+    [req.user.company_id]
+  );
+  res.json(result.rows);
+}));
+
+// The full key is only returned here, once
+app.post('/api/api-keys', authorize('api_keys', 'create'), asyncHandler(async (req, res) => {
+  const { name, scopes, location_ids, expires_at } = req.body;
+  
+  if (!name) return res.status(400).json({ error: 'Name is required' });
+  
+  const scopeError = checkApiKeyScopes(scopes);
+  if (scopeError) return res.status(400).json({ error: scopeError });
+  
+  if (location_ids !== undefined && location_ids !== null && (!Array.isArray(location_ids) || location_ids.length === 0)) {
+    return res.status(400).json({ error: 'location_ids must be a non-empty list (omit it for all locations)' });
+  }
+  
+  if (await rejectForeignReferences(req, res, { location_ids })) return;
+  
+  const { key, prefix, hash } = generateApiKey();
+  
+  const result = await pool.query(
+    `INSERT INTO api_key (company_id, name, key_prefix, key_hash, scopes, location_ids, expires_at, created_by_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING ${API_KEY_COLUMNS}`,
+    [req.user.company_id, name, prefix, hash, JSON.stringify(scopes), location_ids ? JSON.stringify(location_ids) : null, expires_at || null, req.user.id]
+  );
+  
+  await recordAudit(req, { entity: 'api_key', action: 'create', after: result.rows[0] });
+  res.status(201).json({ ...result.rows[0], key });
+}));
+
+app.delete('/api/api-keys/:id', authorize('api_keys', 'revoke'), asyncHandler(async (req, res) => {
+  const before = await loadForAudit('api_key', req.params.id, req.user.company_id);
+  const result = await pool.query(
+    `UPDATE api_key SET revoked_at = CURRENT_TIMESTAMP, revoked_by_id = $1 WHERE id = $2 AND company_id = $3 AND revoked_at IS NULL RETURNING ${API_KEY_COLUMNS}`,
+    [req.user.id, req.params.id, req.user.company_id]
+  );
+  
+  if (result.rows.length === 0) return res.status(404).json({ error: 'API key not found' });
+  
+  await recordAudit(req, { entity: 'api_key', action: 'update', before, after: result.rows[0] });
+  res.json(result.rows[0]);
+}));
+
+// ============================================
+// CUSTOMER ENDPOINTS
+// ============================================
+
+app.get('/api/customers', authorize('customers', 'read'), asyncHandler(async (req, res) => {
+  const { page, limit, offset, sort, order, search } = parseQueryParams(req);
+  const deleted = req.query.deleted === 'true' ? true : false;
+  
+  let query = 'SELECT * FROM customer WHERE company_id = $1 AND deleted = $2';
+  let params = [req.user.company_id, deleted];
+  let paramIndex = 3;
+  
+  if (search) {
+    const searchWhere = ` AND (first_name ILIKE $${paramIndex} OR last_name ILIKE $${paramIndex} OR company_name ILIKE $${paramIndex})`;
+    query += searchWhere;
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+  
+  const countQuery = query.replace('SELECT *', 'SELECT COUNT(*) as count');
+  const countResult = await pool.query(countQuery, params);
+  const total = parseInt(countResult.rows[0].count);
+  
+  query += ` ORDER BY ${sort} ${order} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+  params.push(limit, offset);
+  
+  const result = await pool.query(query, params);
+  
+  res.json({
+    data: result.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+app.post('/api/customers', authorize('customers', 'create'), asyncHandler(async (req, res) => {
+  const {
+    location_ids,
+    first_name,
+    last_name,
+    company_name,
+    email,
+    phone,
+    address1,
+    city,
+    state,
+    postal_code,
+    tax_exempt,
+    tax_exemption_certificate
+  } = req.body;
+  
+  if (!first_name && !company_name) {
+    return res.status(400).json({ error: 'First name or company name is required' });
+  }
+  
+  if (tax_exempt && !tax_exemption_certificate) {
+    return res.status(400).json({ error: 'tax_exemption_certificate is required for a tax exempt customer' });
+  }
+  
+  if (await rejectForeignReferences(req, res, { location_ids })) return;
+  
+  const result = await pool.query(
+    'INSERT INTO customer (company_id, location_ids, first_name, last_name, company_name, address1, city, state, postal_code, tax_exempt, tax_exemption_certificate) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
+    [req.user.company_id, JSON.stringify(location_ids || []), first_name, last_name, company_name, address1, city, state, postal_code, tax_exempt || false, tax_exemption_certificate]
+  );
+  
+  const customerId = result.rows[0].id;
+  await recordAudit(req, { entity: 'customer', action: 'create', after: result.rows[0] });
+  
+  // Create email if provided
+  if (email && location_ids && location_ids.length > 0) {
+    const emailResult = await pool.query(
+      'INSERT INTO email (company_id, location_id, customer_id, email, "primary") VALUES ($1, $2, $3, $4, true) RETURNING *',
+      [req.user.company_id, location_ids[0], customerId, email]
+    );
+    await recordAudit(req, { entity: 'email', action: 'create', after: emailResult.rows[0] });
+  }
+  
+  // Create phone if provided
+  if (phone && location_ids && location_ids.length > 0) {
+    const phoneResult = await pool.query(
+      'INSERT INTO phone_number (company_id, location_id, customer_id, phone_number, "primary") VALUES ($1, $2, $3, $4, true) RETURNING *',
+      [req.user.company_id, location_ids[0], customerId, phone]
+    );
+    await recordAudit(req, { entity: 'phone_number', action: 'create', after: phoneResult.rows[0] });
+  }
+  
+  res.status(201).json(result.rows[0]);
+}));
+
+app.get('/api/customers/:id', authorize('customers', 'read'), asyncHandler(async (req, res) => {
+  const customer = await pool.query('SELECT * FROM customer WHERE id = $1 AND company_id = $2 AND deleted = false', [req.params.id, req.user.company_id]);
   
   if (customer.rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
   
@@ -299,15 +1101,31 @@ app.get('/api/customers/:id', asyncHandler(async (req, res) => {
   });
 }));
 
-app.put('/api/customers/:id', asyncHandler(async (req, res) => {
-  const { first_name, last_name, company_name, address1, city, state, postal_code, note } = req.body;
+app.put('/api/customers/:id', authorize('customers', 'update'), asyncHandler(async (req, res) => {
+  const { first_name, last_name, company_name, address1, city, state, postal_code, note, tax_exempt, tax_exemption_certificate } = req.body;
+  
+  const before = await loadForAudit('customer', req.params.id, req.user.company_id);
+  
+  if (!before) return res.status(404).json({ error: 'Customer not found' });
+  
+  const exempt = tax_exempt !== undefined && tax_exempt !== null ? tax_exempt : before.tax_exempt;
+  if (exempt && !(tax_exemption_certificate || before.tax_exemption_certificate)) {
+    return res.status(400).json({ error: 'tax_exemption_certificate is required for a tax exempt customer' });
+  }
   
   const result = await pool.query(
-    'UPDATE customer SET first_name = COALESCE($1, first_name), last_name = COALESCE($2, last_name), company_name = COALESCE($3, company_name), address1 = COALESCE($4, address1), city = COALESCE($5, city), state = COALESCE($6, state), postal_code = COALESCE($7, postal_code), note = COALESCE($8, note), updated_at = CURRENT_TIMESTAMP WHERE id = $9 RETURNING *',
-    [first_name, last_name, company_name, address1, city, state, postal_code, note, req.params.id]
+    'UPDATE customer SET first_name = COALESCE($1, first_name), last_name = COALESCE($2, last_name), company_name = COALESCE($3, company_name), address1 = COALESCE($4, address1), city = COALESCE($5, city), state = COALESCE($6, state), postal_code = COALESCE($7, postal_code), note = COALESCE($8, note), tax_exempt = COALESCE($9, tax_exempt), tax_exemption_certificate = COALESCE($10, tax_exemption_certificate), updated_at = CURRENT_TIMESTAMP WHERE id = $11 AND company_id = $12 RETURNING *',
+    [first_name, last_name, company_name, address1, city, state, postal_code, note, tax_exempt, tax_exemption_certificate, req.params.id, req.user.company_id]
   );
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+  
+  await recordAudit(req, { entity: 'customer', action: 'update', before, after: result.rows[0] });
+  
+  if (result.rows[0].tax_exempt !== before.tax_exempt) {
+    await recalculateOpenOrders(req.user.company_id, { customerId: req.params.id });
+  }
+  
   res.json(result.rows[0]);
 }));
 
@@ -315,23 +1133,26 @@ app.put('/api/customers/:id', asyncHandler(async (req, res) => {
 // EMAIL ENDPOINTS
 // ============================================
 
-app.post('/api/emails', asyncHandler(async (req, res) => {
-  const { company_id, location_id, customer_id, email, primary, marketing_opt_in } = req.body;
+app.post('/api/emails', authorize('customers', 'update'), asyncHandler(async (req, res) => {
+  const { location_id, customer_id, email, primary, marketing_opt_in } = req.body;
   
   if (!customer_id || !email || !location_id) {
     return res.status(400).json({ error: 'customer_id, email, and location_id are required' });
   }
   
+  if (await rejectForeignReferences(req, res, { location_id, customer_id })) return;
+  
   const result = await pool.query(
     'INSERT INTO email (company_id, location_id, customer_id, email, "primary", marketing_opt_in) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-    [company_id || uuidv4(), location_id, customer_id, email, primary || false, marketing_opt_in || false]
+    [req.user.company_id, location_id, customer_id, email, primary || false, marketing_opt_in || false]
   );
   
+  await recordAudit(req, { entity: 'email', action: 'create', after: result.rows[0] });
   res.status(201).json(result.rows[0]);
 }));
 
-app.get('/api/customers/:id/emails', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM email WHERE customer_id = $1', [req.params.id]);
+app.get('/api/customers/:id/emails', authorize('customers', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM email WHERE customer_id = $1 AND company_id = $2', [req.params.id, req.user.company_id]);
   res.json(result.rows);
 }));
 
@@ -339,23 +1160,26 @@ app.get('/api/customers/:id/emails', asyncHandler(async (req, res) => {
 // PHONE_NUMBER ENDPOINTS
 // ============================================
 
-app.post('/api/phone-numbers', asyncHandler(async (req, res) => {
-  const { company_id, location_id, customer_id, phone_number, phone_type, primary } = req.body;
+app.post('/api/phone-numbers', authorize('customers', 'update'), asyncHandler(async (req, res) => {
+  const { location_id, customer_id, phone_number, phone_type, primary } = req.body;
   
   if (!customer_id || !phone_number || !location_id) {
     return res.status(400).json({ error: 'customer_id, phone_number, and location_id are required' });
   }
   
+  if (await rejectForeignReferences(req, res, { location_id, customer_id })) return;
+  
   const result = await pool.query(
     'INSERT INTO phone_number (company_id, location_id, customer_id, phone_number, phone_type, "primary") VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-    [company_id || uuidv4(), location_id, customer_id, phone_number, phone_type, primary || false]
+    [req.user.company_id, location_id, customer_id, phone_number, phone_type, primary || false]
   );
   
+  await recordAudit(req, { entity: 'phone_number', action: 'create', after: result.rows[0] });
   res.status(201).json(result.rows[0]);
 }));
 
-app.get('/api/customers/:id/phones', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM phone_number WHERE customer_id = $1', [req.params.id]);
+app.get('/api/customers/:id/phones', authorize('customers', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM phone_number WHERE customer_id = $1 AND company_id = $2', [req.params.id, req.user.company_id]);
   res.json(result.rows);
 }));
 
@@ -363,40 +1187,46 @@ app.get('/api/customers/:id/phones', asyncHandler(async (req, res) => {
 // VEHICLE ENDPOINTS
 // ============================================
 
-app.get('/api/vehicles', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM vehicle WHERE deleted = false ORDER BY created_at DESC');
+app.get('/api/vehicles', authorize('vehicles', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM vehicle WHERE company_id = $1 AND deleted = false ORDER BY created_at DESC', [req.user.company_id]);
   res.json(result.rows);
 }));
 
-app.post('/api/vehicles', asyncHandler(async (req, res) => {
-  const { company_id, location_ids, name, make, model, year, vin, hin, color, engine, note } = req.body;
+app.post('/api/vehicles', authorize('vehicles', 'create'), asyncHandler(async (req, res) => {
+  const { location_ids, name, make, model, year, vin, hin, color, engine, note } = req.body;
   
   if (!name) return res.status(400).json({ error: 'Vehicle name is required' });
   
+  if (await rejectForeignReferences(req, res, { location_ids })) return;
+  
   const result = await pool.query(
     'INSERT INTO vehicle (company_id, location_ids, name, make, model, year, vin, hin, color, engine, note) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
-    [company_id || uuidv4(), JSON.stringify(location_ids || []), name, make, model, year, vin, hin, color, engine, note]
+    [req.user.company_id, JSON.stringify(location_ids || []), name, make, model, year, vin, hin, color, engine, note]
   );
   
+  await recordAudit(req, { entity: 'vehicle', action: 'create', after: result.rows[0] });
   res.status(201).json(result.rows[0]);
 }));
 
-app.get('/api/vehicles/:id', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM vehicle WHERE id = $1 AND deleted = false', [req.params.id]);
+app.get('/api/vehicles/:id', authorize('vehicles', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM vehicle WHERE id = $1 AND company_id = $2 AND deleted = false', [req.params.id, req.user.company_id]);
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'Vehicle not found' });
   res.json(result.rows[0]);
 }));
 
-app.put('/api/vehicles/:id', asyncHandler(async (req, res) => {
+app.put('/api/vehicles/:id', authorize('vehicles', 'update'), asyncHandler(async (req, res) => {
   const { name, make, model, year, vin, hin, color, engine, note } = req.body;
   
+  const before = await loadForAudit('vehicle', req.params.id, req.user.company_id);
   const result = await pool.query(
-    'UPDATE vehicle SET name = COALESCE($1, name), make = COALESCE($2, make), model = COALESCE($3, model), year = COALESCE($4, year), vin = COALESCE($5, vin), hin = COALESCE($6, hin), color = COALESCE($7, color), engine = COALESCE($8, engine), note = COALESCE($9, note), updated_at = CURRENT_TIMESTAMP WHERE id = $10 RETURNING *',
-    [name, make, model, year, vin, hin, color, engine, note, req.params.id]
+    'UPDATE vehicle SET name = COALESCE($1, name), make = COALESCE($2, make), model = COALESCE($3, model), year = COALESCE($4, year), vin = COALESCE($5, vin), hin = COALESCE($6, hin), color = COALESCE($7, color), engine = COALESCE($8, engine), note = COALESCE($9, note), updated_at = CURRENT_TIMESTAMP WHERE id = $10 AND company_id = $11 RETURNING *',
+    [name, make, model, year, vin, hin, color, engine, note, req.params.id, req.user.company_id]
   );
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'Vehicle not found' });
+  
+  await recordAudit(req, { entity: 'vehicle', action: 'update', before, after: result.rows[0] });
   res.json(result.rows[0]);
 }));
 
@@ -404,179 +1234,753 @@ app.put('/api/vehicles/:id', asyncHandler(async (req, res) => {
 // VEHICLE_OWNER ENDPOINTS
 // ============================================
 
-app.post('/api/vehicle-owners', asyncHandler(async (req, res) => {
-  const { company_id, customer_id, vehicle_id } = req.body;
+app.post('/api/vehicle-owners', authorize('vehicles', 'update'), asyncHandler(async (req, res) => {
+  const { customer_id, vehicle_id } = req.body;
   
   if (!customer_id || !vehicle_id) {
     return res.status(400).json({ error: 'customer_id and vehicle_id are required' });
   }
   
+  if (await rejectForeignReferences(req, res, { customer_id, vehicle_id })) return;
+  
   const result = await pool.query(
     'INSERT INTO vehicle_owner (company_id, customer_id, vehicle_id) VALUES ($1, $2, $3) RETURNING *',
-    [company_id || uuidv4(), customer_id, vehicle_id]
+    [req.user.company_id, customer_id, vehicle_id]
   );
   
+  await recordAudit(req, { entity: 'vehicle_owner', action: 'create', after: result.rows[0] });
   res.status(201).json(result.rows[0]);
 }));
 
-app.get('/api/vehicles/:id/owners', asyncHandler(async (req, res) => {
+app.get('/api/vehicles/:id/owners', authorize('vehicles', 'read'), asyncHandler(async (req, res) => {
   const result = await pool.query(
-    'SELECT c.* FROM customer c JOIN vehicle_owner vo ON c.id = vo.customer_id WHERE vo.vehicle_id = $1',
-    [req.params.id]
+    'SELECT c.* FROM customer c JOIN vehicle_owner vo ON c.id = vo.customer_id WHERE vo.vehicle_id = $1 AND c.company_id = $2',
+    [req.params.id, req.user.company_id]
   );
   res.json(result.rows);
 }));
 
 // ============================================
-// SERVICE ENDPOINTS
+// DEFERRED WORK ENDPOINTS
 // ============================================
 
-app.get('/api/services', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM service WHERE active = true ORDER BY name ASC');
-  res.json(result.rows);
+// Declined and deferred recommendations of a vessel, oldest first.
+// ?include_revived=true also lists those already revived (revived_order_id).
+app.get('/api/vehicles/:id/deferred-services', authorize('vehicles', 'read'), asyncHandler(async (req, res) => {
+  const vehicle = await pool.query('SELECT id FROM vehicle WHERE id = $1 AND company_id = $2 AND deleted = false', [req.params.id, req.user.company_id]);
+  
+  if (vehicle.rows.length === 0) return res.status(404).json({ error: 'Vehicle not found' });
+  
+  const lines = await loadDeferredLines({
+    companyId: req.user.company_id,
+    vehicleId: req.params.id,
+    locations: req.locationScope,
+    includeRevived: req.query.include_revived === 'true'
+  });
+  
+  res.json(lines);
 }));
 
-app.post('/api/services', asyncHandler(async (req, res) => {
-  const { company_id, location_id, name, description, category, price_base, labor_hours } = req.body;
+// Bring deferred lines back as pending work: { line_item_ids, order_id }
+// Without order_id a new order is opened for the vessel (at location_id, by
+// default the location of the first line); `status` is its starting stage.
+app.post('/api/vehicles/:id/deferred-services/revive', authorize('orders', 'create'), asyncHandler(async (req, res) => {
+  const { line_item_ids, order_id, location_id, note } = req.body;
   
-  if (!name || !location_id) {
-    return res.status(400).json({ error: 'Name and location_id are required' });
+  if (!Array.isArray(line_item_ids) || line_item_ids.length === 0) {
+    return res.status(400).json({ error: 'line_item_ids must be a non-empty array' });
   }
   
-  const result = await pool.query(
-    'INSERT INTO service (company_id, location_id, name, description, category, price_base, labor_hours, active) VALUES ($1, $2, $3, $4, $5, $6, $7, true) RETURNING *',
-    [company_id || uuidv4(), location_id, name, description, category, price_base, labor_hours]
-  );
+  const vehicle = await pool.query('SELECT id FROM vehicle WHERE id = $1 AND company_id = $2 AND deleted = false', [req.params.id, req.user.company_id]);
   
-  res.status(201).json(result.rows[0]);
-}));
-
-app.get('/api/services/:id', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM service WHERE id = $1', [req.params.id]);
+  if (vehicle.rows.length === 0) return res.status(404).json({ error: 'Vehicle not found' });
   
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Service not found' });
-  res.json(result.rows[0]);
+  const workflow = await loadWorkflow(req.user.company_id);
+  const startStages = initialStages(workflow);
+  const status = req.body.status || workflow.stages[0].key;
+  
+  if (!order_id && !startStages.includes(status)) {
+    return res.status(400).json({ error: `A new order's status must be one of: ${startStages.join(', ')}` });
+  }
+  
+  if (location_id && rejectOutOfScopeLocation(req, res, location_id)) return;
+  if (await rejectForeignReferences(req, res, { location_id })) return;
+  
+  const result = await withTransaction(async (client) => {
+    const outstanding = await loadDeferredLines({
+      companyId: req.user.company_id,
+      vehicleId: req.params.id,
+      locations: req.locationScope
+    }, client);
+    const lines = outstanding.filter(line => line_item_ids.includes(line.id));
+    
+    if (lines.length !== new Set(line_item_ids).size) {
+      return { status: 400, error: 'Every line item must be deferred work of this vessel that has not been revived' };
+    }
+    
+    let order;
+    
+    if (order_id) {
+      order = await findOrder(client, req, order_id, true);
+      
+      if (!order || order.vehicle_id !== req.params.id) {
+        return { status: 400, error: 'order_id must be an order of this vessel' };
+      }
+      
+      if (order.completed_date) {
+        return { status: 409, error: 'Work cannot be added to a completed order' };
+      }
+    } else {
+      const orderLocation = location_id || lines[0].location_id;
+      const orderNumber = await nextNumber(client, {
+        companyId: req.user.company_id,
+        locationId: orderLocation,
+        documentType: 'order'
+      });
+      
+      const created = await client.query(
+        `INSERT INTO "order" (
+          company_id, location_id, order_number, customer_id, vehicle_id, service_writer_id,
+          note, status, workflow_status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8) RETURNING *`,
+        [
+          req.user.company_id,
+          orderLocation,
+          orderNumber,
+          lines[0].customer_id,
+          req.params.id,
+          req.user.id,
+          note || '',
+          status
+        ]
+      );
+      order = created.rows[0];
+      
+      await recordStatusHistory(client, req, order, null, 'Opened for deferred work');
+    }
+    
+    const revived = await reviveLines(client, order, lines);
+    await recalculateOrder(order.id, order.company_id, client);
+    
+    const updated = await client.query('SELECT * FROM "order" WHERE id = $1', [order.id]);
+    const lineItems = await client.query(
+      'SELECT * FROM order_line_item WHERE id = ANY($1) ORDER BY ordinal',
+      [revived.map(line => line.id)]
+    );
+    
+    return { created: !order_id, order: updated.rows[0], lineItems: lineItems.rows };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  if (result.created) {
+    await recordAudit(req, { entity: 'order', action: 'create', after: result.order });
+  }
+  for (const lineItem of result.lineItems) {
+    await recordAudit(req, { entity: 'order_line_item', action: 'create', after: lineItem });
+  }
+  
+  res.status(result.created ? 201 : 200).json({ ...result.order, line_items: result.lineItems });
 }));
 
-app.put('/api/services/:id', asyncHandler(async (req, res) => {
-  const { name, description, category, price_base, labor_hours, active } = req.body;
+// The customer was contacted about the vessel's deferred work: it leaves the
+// follow-up queue for the queue's waiting period
+app.post('/api/vehicles/:id/deferred-services/follow-up', authorize('follow_ups', 'update'), asyncHandler(async (req, res) => {
+  const lines = await loadDeferredLines({
+    companyId: req.user.company_id,
+    vehicleId: req.params.id,
+    locations: req.locationScope
+  });
   
-  const result = await pool.query(
-    'UPDATE service SET name = COALESCE($1, name), description = COALESCE($2, description), category = COALESCE($3, category), price_base = COALESCE($4, price_base), labor_hours = COALESCE($5, labor_hours), active = COALESCE($6, active), updated_at = CURRENT_TIMESTAMP WHERE id = $7 RETURNING *',
-    [name, description, category, price_base, labor_hours, active, req.params.id]
+  if (lines.length === 0) return res.status(404).json({ error: 'No deferred work for this vehicle' });
+  
+  await pool.query(
+    'UPDATE order_line_item SET followed_up_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+    [lines.map(line => line.id)]
   );
   
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Service not found' });
-  res.json(result.rows[0]);
-}));
-
-// ============================================
-// LABOR ENDPOINTS
-// ============================================
-
-app.get('/api/labor-rates', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM labor WHERE active = true ORDER BY name ASC');
-  res.json(result.rows);
+  res.json({ line_items: lines.length, followed_up_at: new Date() });
 }));
 
-app.post('/api/labor-rates', asyncHandler(async (req, res) => {
-  const { company_id, location_id, name, description, rate_cents, vehicle_type } = req.body;
+// Customers to call back: vessels with deferred work older than ?days= (default
+// 30) that nobody has followed up on in that time. ?location_id= for one location.
+app.get('/api/follow-ups/deferred-work', authorize('follow_ups', 'read'), asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) >= 0 ? parseInt(req.query.days) : 30;
+  const location_id = req.query.location_id;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
   
-  if (!name || !rate_cents || !location_id) {
-    return res.status(400).json({ error: 'Name, rate_cents, and location_id are required' });
+  let whereClause = `WHERE li.company_id = $1 AND li.status = ANY($2) AND o.deleted = false AND revived.id IS NULL
+    AND li.deferred_date <= $3 AND (li.followed_up_at IS NULL OR li.followed_up_at <= $3)`;
+  let params = [req.user.company_id, DEFERRED_STATUSES, cutoff];
+  let paramIndex = 4;
+  
+  if (req.locationScope) {
+    whereClause += ` AND li.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
+  
+  if (location_id) {
+    whereClause += ` AND li.location_id = $${paramIndex}`;
+    params.push(location_id);
+    paramIndex++;
   }
   
   const result = await pool.query(
-    'INSERT INTO labor (company_id, location_id, name, description, rate_cents, vehicle_type, active) VALUES ($1, $2, $3, $4, $5, $6, true) RETURNING *',
-    [company_id || uuidv4(), location_id, name, description, rate_cents, vehicle_type]
+    `SELECT li.*, o.order_number, o.customer_id, o.vehicle_id,
+            c.first_name, c.last_name, c.company_name, v.name as vehicle_name
+     FROM order_line_item li
+     JOIN "order" o ON o.id = li.order_id
+     LEFT JOIN order_line_item revived ON revived.revived_from_id = li.id
+     LEFT JOIN customer c ON o.customer_id = c.id
+     LEFT JOIN vehicle v ON o.vehicle_id = v.id
+     ${whereClause}
+     ORDER BY li.deferred_date`,
+    params
   );
   
-  res.status(201).json(result.rows[0]);
+  // One entry per customer and vessel
+  const entries = [];
+  
+  for (const line of result.rows) {
+    let entry = entries.find(e => e.customer_id === line.customer_id && e.vehicle_id === line.vehicle_id);
+    
+    if (!entry) {
+      entry = {
+        customer_id: line.customer_id,
+        first_name: line.first_name,
+        last_name: line.last_name,
+        company_name: line.company_name,
+        vehicle_id: line.vehicle_id,
+        vehicle_name: line.vehicle_name,
+        oldest_deferred_date: line.deferred_date,
+        days_deferred: Math.floor((Date.now() - new Date(line.deferred_date)) / (24 * 60 * 60 * 1000)),
+        last_followed_up_at: null,
+        quoted_cents: 0,
+        line_items: []
+      };
+      entries.push(entry);
+    }
+    
+    if (line.followed_up_at && (!entry.last_followed_up_at || line.followed_up_at > entry.last_followed_up_at)) {
+      entry.last_followed_up_at = line.followed_up_at;
+    }
+    
+    entry.quoted_cents += linePrice(line);
+    entry.line_items.push({
+      id: line.id,
+      order_id: line.order_id,
+      order_number: line.order_number,
+      name: line.name,
+      status: line.status,
+      deferred_date: line.deferred_date,
+      deferred_reason: line.deferred_reason,
+      quoted_cents: linePrice(line)
+    });
+  }
+  
+  // Primary phone number and email of each customer
+  const customerIds = [...new Set(entries.map(entry => entry.customer_id))];
+  const phones = await pool.query(
+    'SELECT customer_id, phone_number FROM phone_number WHERE customer_id = ANY($1) ORDER BY "primary" DESC, created_at',
+    [customerIds]
+  );
+  const emails = await pool.query(
+    'SELECT customer_id, email FROM email WHERE customer_id = ANY($1) ORDER BY "primary" DESC, created_at',
+    [customerIds]
+  );
+  
+  res.json({
+    days,
+    data: entries.map(entry => ({
+      ...entry,
+      phone_number: (phones.rows.find(row => row.customer_id === entry.customer_id) || {}).phone_number || null,
+      email: (emails.rows.find(row => row.customer_id === entry.customer_id) || {}).email || null
+    }))
+  });
 }));
 
 // ============================================
-// INVENTORY_PART ENDPOINTS
+// SERVICE ENDPOINTS
 // ============================================
 
-app.get('/api/inventory-parts', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM inventory_part WHERE deleted = false ORDER BY name ASC');
+app.get('/api/services', authorize('services', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM service WHERE company_id = $1 AND active = true ORDER BY name ASC', [req.user.company_id]);
   res.json(result.rows);
 }));
 
-app.post('/api/inventory-parts', asyncHandler(async (req, res) => {
-  const { company_id, location_id, name, sku, category_id, quantity, retail_cost_cents, taxable } = req.body;
+// Respond 400 when the items of a canned service are invalid or reference
+// another company's labor rates or parts. Returns true when the request has been answered
+const rejectServiceItems = async (req, res, items) => {
+  const itemsError = checkServiceItems(items);
+  if (itemsError) {
+    res.status(400).json({ error: itemsError });
+    return true;
+  }
+  
+  return rejectForeignReferences(req, res, {
+    labor_id: items.map(item => item.labor_id).filter(Boolean),
+    inventory_part_id: items.map(item => item.inventory_part_id).filter(Boolean)
+  });
+};
+
+// items: the labor, parts and fees of the service (see services.js)
+app.post('/api/services', authorize('services', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, name, description, category, price_base, labor_hours, taxable, items = [] } = req.body;
   
   if (!name || !location_id) {
     return res.status(400).json({ error: 'Name and location_id are required' });
   }
   
-  const result = await pool.query(
-    'INSERT INTO inventory_part (company_id, location_id, name, sku, category_id, quantity, available_quantity, retail_cost_cents, taxable) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-    [company_id || uuidv4(), location_id, name, sku, category_id, quantity || 0, quantity || 0, retail_cost_cents || 0, taxable !== false]
-  );
+  if (await rejectForeignReferences(req, res, { location_id })) return;
+  if (await rejectServiceItems(req, res, items)) return;
   
-  res.status(201).json(result.rows[0]);
+  const service = await withTransaction(async (client) => {
+    const result = await client.query(
+      'INSERT INTO service (company_id, location_id, name, description, category, price_base, labor_hours, taxable, active) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true) RETURNING *',
+      [req.user.company_id, location_id, name, description, category, price_base, labor_hours, taxable !== false]
+    );
+    
+    return { ...result.rows[0], items: await saveServiceItems(client, result.rows[0], items) };
+  });
+  
+  await recordAudit(req, { entity: 'service', action: 'create', after: service });
+  res.status(201).json(service);
 }));
 
-app.get('/api/inventory-parts/:id', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM inventory_part WHERE id = $1 AND deleted = false', [req.params.id]);
+app.get('/api/services/:id', authorize('services', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM service WHERE id = $1 AND company_id = $2', [req.params.id, req.user.company_id]);
   
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Part not found' });
-  res.json(result.rows[0]);
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Service not found' });
+  res.json({ ...result.rows[0], items: await loadServiceItems(req.params.id) });
 }));
 
-app.put('/api/inventory-parts/:id', asyncHandler(async (req, res) => {
-  const { name, sku, quantity, retail_cost_cents, bin_location } = req.body;
+// items, when given, replaces all the items of the service
+app.put('/api/services/:id', authorize('services', 'update'), asyncHandler(async (req, res) => {
+  const { name, description, category, price_base, labor_hours, active, taxable, items } = req.body;
   
-  const result = await pool.query(
-    'UPDATE inventory_part SET name = COALESCE($1, name), sku = COALESCE($2, sku), quantity = COALESCE($3, quantity), available_quantity = COALESCE($3, available_quantity), retail_cost_cents = COALESCE($4, retail_cost_cents), bin_location = COALESCE($5, bin_location), updated_at = CURRENT_TIMESTAMP WHERE id = $6 RETURNING *',
-    [name, sku, quantity, retail_cost_cents, bin_location, req.params.id]
-  );
+  if (items !== undefined && await rejectServiceItems(req, res, items)) return;
   
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Part not found' });
-  res.json(result.rows[0]);
+  const before = await loadForAudit('service', req.params.id, req.user.company_id);
+  const beforeItems = await loadServiceItems(req.params.id);
+  
+  const service = await withTransaction(async (client) => {
+    const result = await client.query(
+      'UPDATE service SET name = COALESCE($1, name), description = COALESCE($2, description), category = COALESCE($3, category), price_base = COALESCE($4, price_base), labor_hours = COALESCE($5, labor_hours), active = COALESCE($6, active), taxable = COALESCE($7, taxable), updated_at = CURRENT_TIMESTAMP WHERE id = $8 AND company_id = $9 RETURNING *',
+      [name, description, category, price_base, labor_hours, active, taxable, req.params.id, req.user.company_id]
+    );
+    
+    if (result.rows.length === 0) return null;
+    
+    return {
+      ...result.rows[0],
+      items: items === undefined
+        ? await loadServiceItems(req.params.id, client)
+        : await saveServiceItems(client, result.rows[0], items)
+    };
+  });
+  
+  if (!service) return res.status(404).json({ error: 'Service not found' });
+  
+  await recordAudit(req, { entity: 'service', action: 'update', before: { ...before, items: beforeItems }, after: service });
+  res.json(service);
 }));
 
 // ============================================
-// APPOINTMENT ENDPOINTS
+// LABOR ENDPOINTS
 // ============================================
 
-app.get('/api/appointments', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT a.*, c.first_name, c.last_name, v.name as vehicle_name FROM appointment a LEFT JOIN customer c ON a.customer_id = c.id LEFT JOIN vehicle v ON a.vehicle_id = v.id ORDER BY a.start_date DESC');
+app.get('/api/labor-rates', authorize('labor_rates', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM labor WHERE company_id = $1 AND active = true ORDER BY name ASC', [req.user.company_id]);
   res.json(result.rows);
 }));
 
-app.post('/api/appointments', asyncHandler(async (req, res) => {
-  const { company_id, location_id, customer_id, vehicle_id, name, start_date, end_date, note, all_day } = req.body;
+app.post('/api/labor-rates', authorize('labor_rates', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, name, description, rate_cents, vehicle_type } = req.body;
   
-  if (!name || !start_date || !end_date || !location_id) {
-    return res.status(400).json({ error: 'Name, start_date, end_date, and location_id are required' });
+  if (!name || !rate_cents || !location_id) {
+    return res.status(400).json({ error: 'Name, rate_cents, and location_id are required' });
   }
   
+  if (await rejectForeignReferences(req, res, { location_id })) return;
+  
   const result = await pool.query(
-    'INSERT INTO appointment (company_id, location_id, customer_id, vehicle_id, name, start_date, end_date, note, all_day) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-    [company_id || uuidv4(), location_id, customer_id, vehicle_id, name, start_date, end_date, note || '', all_day || false]
+    'INSERT INTO labor (company_id, location_id, name, description, rate_cents, vehicle_type, active) VALUES ($1, $2, $3, $4, $5, $6, true) RETURNING *',
+    [req.user.company_id, location_id, name, description, rate_cents, vehicle_type]
   );
   
+  await recordAudit(req, { entity: 'labor', action: 'create', after: result.rows[0] });
   res.status(201).json(result.rows[0]);
 }));
 
-app.get('/api/appointments/:id', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM appointment WHERE id = $1', [req.params.id]);
-  
+// ============================================
+// TAX RATE ENDPOINTS
+// ============================================
+
+const TAX_RATE_PERCENT_FIELDS = Object.values(TAX_RATE_COLUMNS);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate tax rate fields being saved; returns an error message or null
+const checkTaxRate = (body) => {
+  for (const field of TAX_RATE_PERCENT_FIELDS) {
+    const error = checkPercent(field, body[field]);
+    if (error) return error;
+  }
+
+  if (body.max_taxable_cents !== undefined && body.max_taxable_cents !== null &&
+      !(Number.isInteger(Number(body.max_taxable_cents)) && Number(body.max_taxable_cents) > 0)) {
+    return 'max_taxable_cents must be a positive whole number of cents';
+  }
+
+  for (const field of ['effective_from', 'effective_to']) {
+    if (body[field] !== undefined && body[field] !== null && !DATE_PATTERN.test(body[field])) {
+      return `${field} must be a date (YYYY-MM-DD)`;
+    }
+  }
+
+  if (body.effective_from && body.effective_to && body.effective_to < body.effective_from) {
+    return 'effective_to must not be before effective_from';
+  }
+
+  return null;
+};
+
+// ?location_id= for one location, ?date=YYYY-MM-DD for the rates in effect that day
+app.get('/api/tax-rates', authorize('tax_rates', 'read'), asyncHandler(async (req, res) => {
+  const { location_id, date } = req.query;
+  
+  let whereClause = 'WHERE company_id = $1';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
+  
+  if (location_id) {
+    whereClause += ` AND location_id = $${paramIndex}`;
+    params.push(location_id);
+    paramIndex++;
+  }
+  
+  if (date) {
+    if (!DATE_PATTERN.test(date)) {
+      return res.status(400).json({ error: 'date must be a date (YYYY-MM-DD)' });
+    }
+    
+    whereClause += ` AND effective_from <= $${paramIndex} AND (effective_to IS NULL OR effective_to >= $${paramIndex})`;
+    params.push(date);
+    paramIndex++;
+  }
+  
+  const result = await pool.query(`SELECT * FROM tax_rate ${whereClause} ORDER BY location_id, name, effective_from`, params);
+  res.json(result.rows);
+}));
+
+app.post('/api/tax-rates', authorize('tax_rates', 'create'), asyncHandler(async (req, res) => {
+  const {
+    location_id,
+    name,
+    labor_percent,
+    parts_percent,
+    fees_percent,
+    subcontracts_percent,
+    max_taxable_cents,
+    effective_from,
+    effective_to
+  } = req.body;
+  
+  if (!location_id || !name || !effective_from) {
+    return res.status(400).json({ error: 'location_id, name, and effective_from are required' });
+  }
+  
+  const taxRateError = checkTaxRate(req.body);
+  if (taxRateError) return res.status(400).json({ error: taxRateError });
+  
+  if (rejectOutOfScopeLocation(req, res, location_id)) return;
+  if (await rejectForeignReferences(req, res, { location_id })) return;
+  
+  const result = await pool.query(
+    `INSERT INTO tax_rate (
+      company_id, location_id, name, labor_percent, parts_percent, fees_percent,
+      subcontracts_percent, max_taxable_cents, effective_from, effective_to
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+    [
+      req.user.company_id,
+      location_id,
+      name,
+      labor_percent || 0,
+      parts_percent || 0,
+      fees_percent || 0,
+      subcontracts_percent || 0,
+      max_taxable_cents || null,
+      effective_from,
+      effective_to || null
+    ]
+  );
+  
+  await recordAudit(req, { entity: 'tax_rate', action: 'create', after: result.rows[0] });
+  await recalculateOpenOrders(req.user.company_id, { locationId: location_id });
+  
+  res.status(201).json(result.rows[0]);
+}));
+
+// To retire a rate, set its effective_to; past orders keep the tax they were charged
+app.put('/api/tax-rates/:id', authorize('tax_rates', 'update'), asyncHandler(async (req, res) => {
+  const {
+    name,
+    labor_percent,
+    parts_percent,
+    fees_percent,
+    subcontracts_percent,
+    max_taxable_cents,
+    effective_from,
+    effective_to
+  } = req.body;
+  
+  const taxRateError = checkTaxRate(req.body);
+  if (taxRateError) return res.status(400).json({ error: taxRateError });
+  
+  // null clears max_taxable_cents and effective_to
+  const params = [
+    name, labor_percent, parts_percent, fees_percent, subcontracts_percent,
+    max_taxable_cents !== undefined, max_taxable_cents || null,
+    effective_from, effective_to !== undefined, effective_to || null, req.params.id, req.user.company_id
+  ];
+  const scope = locationScopeClause(req, params);
+  
+  const before = await loadForAudit('tax_rate', req.params.id, req.user.company_id);
+  if (!before) return res.status(404).json({ error: 'Tax rate not found' });
+  
+  // The dates the rate will have, stored ones included
+  const from = effective_from ? new Date(`${effective_from}T00:00:00`) : before.effective_from;
+  const to = effective_to !== undefined ? effective_to && new Date(`${effective_to}T00:00:00`) : before.effective_to;
+  if (to && to < from) {
+    return res.status(400).json({ error: 'effective_to must not be before effective_from' });
+  }
+  
+  const result = await pool.query(
+    `UPDATE tax_rate SET
+      name = COALESCE($1, name), labor_percent = COALESCE($2, labor_percent),
+      parts_percent = COALESCE($3, parts_percent), fees_percent = COALESCE($4, fees_percent),
+      subcontracts_percent = COALESCE($5, subcontracts_percent),
+      max_taxable_cents = CASE WHEN $6 THEN $7 ELSE max_taxable_cents END,
+      effective_from = COALESCE($8, effective_from), effective_to = CASE WHEN $9 THEN $10 ELSE effective_to END,
+      updated_at = CURRENT_TIMESTAMP
+     WHERE id = $11 AND company_id = $12${scope} RETURNING *`,
+    params
+  );
+  
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Tax rate not found' });
+  
+  await recordAudit(req, { entity: 'tax_rate', action: 'update', before, after: result.rows[0] });
+  await recalculateOpenOrders(req.user.company_id, { locationId: result.rows[0].location_id });
+  
+  res.json(result.rows[0]);
+}));
+
+// ============================================
+// INVENTORY_PART ENDPOINTS
+// ============================================
+
+app.get('/api/inventory-parts', authorize('inventory', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const result = await pool.query(`SELECT * FROM inventory_part WHERE company_id = $1 AND deleted = false${scope} ORDER BY name ASC`, params);
+  res.json(result.rows);
+}));
+
+app.post('/api/inventory-parts', authorize('inventory', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, name, sku, category_id, quantity, retail_cost_cents, taxable } = req.body;
+  
+  if (!name || !location_id) {
+    return res.status(400).json({ error: 'Name and location_id are required' });
+  }
+  
+  if (rejectOutOfScopeLocation(req, res, location_id)) return;
+  if (await rejectForeignReferences(req, res, { location_id })) return;
+  
+  const result = await pool.query(
+    'INSERT INTO inventory_part (company_id, location_id, name, sku, category_id, quantity, available_quantity, retail_cost_cents, taxable) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+    [req.user.company_id, location_id, name, sku, category_id, quantity || 0, quantity || 0, retail_cost_cents || 0, taxable !== false]
+  );
+  
+  await recordAudit(req, { entity: 'inventory_part', action: 'create', after: result.rows[0] });
+  res.status(201).json(result.rows[0]);
+}));
+
+app.get('/api/inventory-parts/:id', authorize('inventory', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const result = await pool.query(`SELECT * FROM inventory_part WHERE id = $1 AND company_id = $2 AND deleted = false${scope}`, params);
+  
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Part not found' });
+  res.json(result.rows[0]);
+}));
+
+app.put('/api/inventory-parts/:id', authorize('inventory', 'update'), asyncHandler(async (req, res) => {
+  const { name, sku, quantity, retail_cost_cents, bin_location } = req.body;
+  
+  const params = [name, sku, quantity, retail_cost_cents, bin_location, req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  
+  const before = await loadForAudit('inventory_part', req.params.id, req.user.company_id);
+  
+  // Stock held by open orders cannot be counted away
+  if (before && quantity !== undefined && quantity !== null && Number(quantity) < Number(before.reserved_quantity)) {
+    return res.status(409).json({ error: `quantity cannot be below the ${before.reserved_quantity} reserved by open orders` });
+  }
+  
+  const result = await pool.query(
+    `UPDATE inventory_part SET name = COALESCE($1, name), sku = COALESCE($2, sku), quantity = COALESCE($3, quantity), available_quantity = COALESCE($3, quantity) - reserved_quantity, retail_cost_cents = COALESCE($4, retail_cost_cents), bin_location = COALESCE($5, bin_location), updated_at = CURRENT_TIMESTAMP WHERE id = $6 AND company_id = $7${scope} RETURNING *`,
+    params
+  );
+  
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Part not found' });
+  
+  await recordAudit(req, { entity: 'inventory_part', action: 'update', before, after: result.rows[0] });
+  res.json(result.rows[0]);
+}));
+
+// ============================================
+// APPOINTMENT ENDPOINTS
+// ============================================
+
+app.get('/api/appointments', authorize('appointments', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.user.company_id];
+  const scope = locationScopeClause(req, params, 'a.location_id');
+  const result = await pool.query(`SELECT a.*, c.first_name, c.last_name, v.name as vehicle_name FROM appointment a LEFT JOIN customer c ON a.customer_id = c.id LEFT JOIN vehicle v ON a.vehicle_id = v.id WHERE a.company_id = $1${scope} ORDER BY a.start_date DESC`, params);
+  res.json(result.rows);
+}));
+
+app.post('/api/appointments', authorize('appointments', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, customer_id, vehicle_id, name, start_date, end_date, note, all_day } = req.body;
+  
+  if (!name || !start_date || !end_date || !location_id) {
+    return res.status(400).json({ error: 'Name, start_date, end_date, and location_id are required' });
+  }
+  
+  if (rejectOutOfScopeLocation(req, res, location_id)) return;
+  if (await rejectForeignReferences(req, res, { location_id, customer_id, vehicle_id })) return;
+  
+  const result = await pool.query(
+    'INSERT INTO appointment (company_id, location_id, customer_id, vehicle_id, name, start_date, end_date, note, all_day) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+    [req.user.company_id, location_id, customer_id, vehicle_id, name, start_date, end_date, note || '', all_day || false]
+  );
+  
+  await recordAudit(req, { entity: 'appointment', action: 'create', after: result.rows[0] });
+  res.status(201).json(result.rows[0]);
+}));
+
+// Filtered, paginated appointment list
+// Registered before /api/appointments/:id so "filter" is not taken for an id
+app.get('/api/appointments/filter', authorize('appointments', 'read'), asyncHandler(async (req, res) => {
+  const { page, limit, offset, sort, order } = parseQueryParams(req);
+  const status = req.query.status;
+  const location_id = req.query.location_id;
+  const customer_id = req.query.customer_id;
+  const start_date = req.query.start_date;
+  const end_date = req.query.end_date;
+  
+  let whereClause = ' AND a.company_id = $1';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND a.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
+  
+  if (status) {
+    whereClause += ` AND a.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+  
+  if (location_id) {
+    whereClause += ` AND a.location_id = $${paramIndex}`;
+    params.push(location_id);
+    paramIndex++;
+  }
+  
+  if (customer_id) {
+    whereClause += ` AND a.customer_id = $${paramIndex}`;
+    params.push(customer_id);
+    paramIndex++;
+  }
+  
+  if (start_date) {
+    whereClause += ` AND a.start_date >= $${paramIndex}`;
+    params.push(start_date);
+    paramIndex++;
+  }
+  
+  if (end_date) {
+    whereClause += ` AND a.end_date <= $${paramIndex}`;
+    params.push(end_date);
+    paramIndex++;
+  }
+  
+  const countQuery = `
+    SELECT COUNT(*) as count FROM appointment a
+    WHERE 1=1 ${whereClause}
+  `;
+  
+  const countResult = await pool.query(countQuery, params);
+  const total = parseInt(countResult.rows[0].count);
+  
+  const mainQuery = `
+    SELECT a.*, c.first_name, c.last_name, v.name as vehicle_name
+    FROM appointment a
+    LEFT JOIN customer c ON a.customer_id = c.id
+    LEFT JOIN vehicle v ON a.vehicle_id = v.id
+    WHERE 1=1 ${whereClause}
+    ORDER BY a.${sort} ${order}
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+  `;
+  
+  params.push(limit, offset);
+  
+  const result = await pool.query(mainQuery, params);
+  
+  res.json({
+    data: result.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+app.get('/api/appointments/:id', authorize('appointments', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const result = await pool.query(`SELECT * FROM appointment WHERE id = $1 AND company_id = $2${scope}`, params);
+  
   if (result.rows.length === 0) return res.status(404).json({ error: 'Appointment not found' });
   res.json(result.rows[0]);
 }));
 
-app.put('/api/appointments/:id', asyncHandler(async (req, res) => {
+app.put('/api/appointments/:id', authorize('appointments', 'update'), asyncHandler(async (req, res) => {
   const { name, start_date, end_date, note, status } = req.body;
   
+  const params = [name, start_date, end_date, note, status, req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  
+  const before = await loadForAudit('appointment', req.params.id, req.user.company_id);
   const result = await pool.query(
-    'UPDATE appointment SET name = COALESCE($1, name), start_date = COALESCE($2, start_date), end_date = COALESCE($3, end_date), note = COALESCE($4, note), status = COALESCE($5, status), updated_at = CURRENT_TIMESTAMP WHERE id = $6 RETURNING *',
-    [name, start_date, end_date, note, status, req.params.id]
+    `UPDATE appointment SET name = COALESCE($1, name), start_date = COALESCE($2, start_date), end_date = COALESCE($3, end_date), note = COALESCE($4, note), status = COALESCE($5, status), updated_at = CURRENT_TIMESTAMP WHERE id = $6 AND company_id = $7${scope} RETURNING *`,
+    params
   );
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'Appointment not found' });
+  
+  await recordAudit(req, { entity: 'appointment', action: 'update', before, after: result.rows[0] });
   res.json(result.rows[0]);
 }));
 
@@ -584,25 +1988,31 @@ app.put('/api/appointments/:id', asyncHandler(async (req, res) => {
 // APPOINTMENT_USER_CONNECTION ENDPOINTS
 // ============================================
 
-app.post('/api/appointment-assignments', asyncHandler(async (req, res) => {
-  const { company_id, location_id, appointment_id, user_id } = req.body;
+app.post('/api/appointment-assignments', authorize('appointments', 'update'), asyncHandler(async (req, res) => {
+  const { location_id, appointment_id, user_id } = req.body;
   
   if (!appointment_id || !user_id || !location_id) {
     return res.status(400).json({ error: 'appointment_id, user_id, and location_id are required' });
   }
   
+  if (rejectOutOfScopeLocation(req, res, location_id)) return;
+  if (await rejectForeignReferences(req, res, { location_id, appointment_id, user_id })) return;
+  
   const result = await pool.query(
     'INSERT INTO appointment_user_connection (company_id, location_id, appointment_id, user_id) VALUES ($1, $2, $3, $4) RETURNING *',
-    [company_id || uuidv4(), location_id, appointment_id, user_id]
+    [req.user.company_id, location_id, appointment_id, user_id]
   );
   
+  await recordAudit(req, { entity: 'appointment_user_connection', action: 'create', after: result.rows[0] });
   res.status(201).json(result.rows[0]);
 }));
 
-app.get('/api/appointments/:id/technicians', asyncHandler(async (req, res) => {
+app.get('/api/appointments/:id/technicians', authorize('appointments', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params, 'auc.location_id');
   const result = await pool.query(
-    'SELECT u.* FROM "user" u JOIN appointment_user_connection auc ON u.id = auc.user_id WHERE auc.appointment_id = $1',
-    [req.params.id]
+    `SELECT u.id, u.first_name, u.last_name, u.email, u.phone, u.role, u.color FROM "user" u JOIN appointment_user_connection auc ON u.id = auc.user_id WHERE auc.appointment_id = $1 AND auc.company_id = $2${scope}`,
+    params
   );
   res.json(result.rows);
 }));
@@ -611,15 +2021,55 @@ app.get('/api/appointments/:id/technicians', asyncHandler(async (req, res) => {
 // ORDER (JOB) ENDPOINTS
 // ============================================
 
-app.get('/api/orders', asyncHandler(async (req, res) => {
+// Validate a percentage from a request; returns an error message or null
+const checkPercent = (field, value) => {
+  if (value === undefined || value === null) return null;
+
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < 0 || number > 100) {
+    return `${field} must be a number between 0 and 100`;
+  }
+
+  return null;
+};
+
+// Validate the pricing fields of a line item (see pricing.js); returns an error message or null
+const checkLineItemPricing = (body) => {
+  if (body.pricing !== undefined && body.pricing !== null && !PRICING_METHODS.includes(body.pricing)) {
+    return `pricing must be one of: ${PRICING_METHODS.join(', ')}`;
+  }
+
+  if (body.discount_value_type !== undefined && body.discount_value_type !== null &&
+      !['percent', 'amount'].includes(body.discount_value_type)) {
+    return 'discount_value_type must be percent or amount';
+  }
+
+  for (const field of ['quantity', 'labor_hours', 'fixed_price_cents', 'labor_rate_cents', 'parts_cost_cents', 'discount_cents']) {
+    const value = body[field];
+    if (value !== undefined && value !== null && !(Number(value) >= 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+
+  return checkPercent('discount_percent', body.discount_percent) || checkPercent('tax_percent', body.tax_percent);
+};
+
+app.get('/api/orders', authorize('orders', 'read'), asyncHandler(async (req, res) => {
   const { page, limit, offset, sort, order, search } = parseQueryParams(req);
   const status = req.query.status;
   const location_id = req.query.location_id;
   const customer_id = req.query.customer_id;
+  const exceeds_authorization = req.query.exceeds_authorization === 'true';
   
-  let whereClause = 'WHERE o.deleted = false';
-  let params = [];
-  let paramIndex = 1;
+  let whereClause = 'WHERE o.company_id = $1 AND o.deleted = false';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND o.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
   
   if (status) {
     whereClause += ` AND o.status = $${paramIndex}`;
@@ -639,6 +2089,11 @@ app.get('/api/orders', asyncHandler(async (req, res) => {
     paramIndex++;
   }
   
+  // Orders whose total has gone over what the customer last authorized
+  if (exceeds_authorization) {
+    whereClause += ' AND o.authorized_cost_cents IS NOT NULL AND o.calculated_total_cents > o.authorized_cost_cents';
+  }
+  
   if (search) {
     whereClause += ` AND (c.first_name ILIKE $${paramIndex} OR c.last_name ILIKE $${paramIndex} OR o.order_number ILIKE $${paramIndex})`;
     params.push(`%${search}%`);
@@ -684,9 +2139,62 @@ app.get('/api/orders', asyncHandler(async (req, res) => {
   });
 }));
 
-app.post('/api/orders', asyncHandler(async (req, res) => {
+// Shop-floor board: orders grouped by workflow stage, in stage order.
+// Orders whose status is not a stage of the workflow are listed under "other".
+// ?limit= caps the orders per stage (oldest due first).
+app.get('/api/orders/board', authorize('orders', 'read'), asyncHandler(async (req, res) => {
+  const location_id = req.query.location_id;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  
+  let whereClause = 'WHERE o.company_id = $1 AND o.deleted = false';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND o.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
+  
+  if (location_id) {
+    whereClause += ` AND o.location_id = $${paramIndex}`;
+    params.push(location_id);
+    paramIndex++;
+  }
+  
+  const workflow = await loadWorkflow(req.user.company_id);
+  
+  const result = await pool.query(
+    `SELECT o.id, o.order_number, o.location_id, o.status, o.priority, o.due_date, o.appointment_date,
+            o.completed_date, o.calculated_total_cents, o.service_writer_id, o.updated_at,
+            c.first_name, c.last_name, c.company_name, v.name as vehicle_name
+     FROM "order" o
+     LEFT JOIN customer c ON o.customer_id = c.id
+     LEFT JOIN vehicle v ON o.vehicle_id = v.id
+     ${whereClause}
+     ORDER BY o.due_date ASC NULLS LAST, o.created_at ASC`,
+    params
+  );
+  
+  const stageKeys = workflow.stages.map(stage => stage.key);
+  const columns = workflow.stages.map(stage => ({ ...stage, count: 0, orders: [] }));
+  const other = { key: 'other', name: 'Other', completed: false, invoices: false, count: 0, orders: [] };
+  
+  for (const order of result.rows) {
+    const index = stageKeys.indexOf(order.status);
+    const column = index === -1 ? other : columns[index];
+    
+    column.count++;
+    if (column.orders.length < limit) column.orders.push(order);
+  }
+  
+  if (other.count > 0) columns.push(other);
+  
+  res.json({ stages: columns });
+}));
+
+app.post('/api/orders', authorize('orders', 'create'), asyncHandler(async (req, res) => {
   const {
-    company_id,
     location_id,
     customer_id,
     vehicle_id,
@@ -707,36 +2215,63 @@ app.post('/api/orders', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'customer_id and location_id are required' });
   }
 
-  const result = await pool.query(
-    `INSERT INTO "order" (
-      company_id, location_id, customer_id, vehicle_id, appointment_id,
-      service_writer_id, note, priority, status, appointment_date, due_date,
-      payment_terms, customer_po, campaign, workflow_status
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *`,
-    [
-      company_id || uuidv4(),
-      location_id,
-      customer_id,
-      vehicle_id,
-      appointment_id,
-      service_writer_id,
-      note || '',
-      priority || 'normal',
-      status || 'open',
-      appointment_date,
-      due_date,
-      payment_terms,
-      customer_po,
-      campaign,
-      workflow_status
-    ]
-  );
+  // New orders start in one of the stages before the work is completed
+  const workflow = await loadWorkflow(req.user.company_id);
+  const startStages = initialStages(workflow);
+  const initialStatus = status || workflow_status || workflow.stages[0].key;
 
-  res.status(201).json(result.rows[0]);
-}));
+  if (!startStages.includes(initialStatus)) {
+    return res.status(400).json({ error: `A new order's status must be one of: ${startStages.join(', ')}` });
+  }
+
+  if (rejectOutOfScopeLocation(req, res, location_id)) return;
+  if (await rejectForeignReferences(req, res, { location_id, customer_id, vehicle_id, appointment_id, service_writer_id })) return;
+
+  const result = await withTransaction(async (client) => {
+    const orderNumber = await nextNumber(client, {
+      companyId: req.user.company_id,
+      locationId: location_id,
+      documentType: 'order'
+    });
+    
+    const created = await client.query(
+      `INSERT INTO "order" (
+        company_id, location_id, order_number, customer_id, vehicle_id, appointment_id,
+        service_writer_id, note, priority, status, appointment_date, due_date,
+        payment_terms, customer_po, campaign, workflow_status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING *`,
+      [
+        req.user.company_id,
+        location_id,
+        orderNumber,
+        customer_id,
+        vehicle_id,
+        appointment_id,
+        service_writer_id,
+        note || '',
+        priority || 'normal',
+        initialStatus,
+        appointment_date,
+        due_date,
+        payment_terms,
+        customer_po,
+        campaign,
+        initialStatus
+      ]
+    );
+    
+    await recordStatusHistory(client, req, created.rows[0], null);
+    return created;
+  });
+
+  await recordAudit(req, { entity: 'order', action: 'create', after: result.rows[0] });
+  res.status(201).json(result.rows[0]);
+}));
 
-app.get('/api/orders/:id', asyncHandler(async (req, res) => {
-  const order = await pool.query('SELECT * FROM "order" WHERE id = $1 AND deleted = false', [req.params.id]);
+app.get('/api/orders/:id', authorize('orders', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const order = await pool.query(`SELECT * FROM "order" WHERE id = $1 AND company_id = $2 AND deleted = false${scope}`, params);
 
   if (order.rows.length === 0) return res.status(404).json({ error: 'Order not found' });
 
@@ -744,13 +2279,16 @@ app.get('/api/orders/:id', asyncHandler(async (req, res) => {
 
   res.json({
     ...order.rows[0],
+    authorization: authorizationState(order.rows[0]),
     line_items: lineItems.rows
   });
 }));
 
 // GET comprehensive order details with all related data
-app.get('/api/orders/:id/details', asyncHandler(async (req, res) => {
+app.get('/api/orders/:id/details', authorize('orders', 'read'), asyncHandler(async (req, res) => {
   const orderId = req.params.id;
+  const orderParams = [orderId, req.user.company_id];
+  const scope = locationScopeClause(req, orderParams, 'o.location_id');
 
   // Get order with service writer info
   const orderResult = await pool.query(`
@@ -760,8 +2298,8 @@ app.get('/api/orders/:id/details', asyncHandler(async (req, res) => {
     FROM "order" o
     LEFT JOIN "user" sw ON o.service_writer_id = sw.id
     LEFT JOIN location l ON o.location_id = l.id
-    WHERE o.id = $1 AND o.deleted = false
-  `, [orderId]);
+    WHERE o.id = $1 AND o.company_id = $2 AND o.deleted = false${scope}
+  `, orderParams);
 
   if (orderResult.rows.length === 0) {
     return res.status(404).json({ error: 'Order not found' });
@@ -893,196 +2431,1677 @@ app.get('/api/orders/:id/details', asyncHandler(async (req, res) => {
   });
 }));
 
-app.put('/api/orders/:id', asyncHandler(async (req, res) => {
-  const { note, priority, status, service_writer_id } = req.body;
+// status (or workflow_status) moves the order to another workflow stage; only the
+// transitions of the company's workflow are allowed. status_note is kept in the history.
+app.put('/api/orders/:id', authorize('orders', 'update'), asyncHandler(async (req, res) => {
+  const { note, priority, service_writer_id, discount_percent, tax_percent, status_note } = req.body;
+  const status = req.body.status || req.body.workflow_status;
   
-  const result = await pool.query(
-    'UPDATE "order" SET note = COALESCE($1, note), priority = COALESCE($2, priority), status = COALESCE($3, status), service_writer_id = COALESCE($4, service_writer_id), updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
-    [note, priority, status, service_writer_id, req.params.id]
+  const percentError = checkPercent('discount_percent', discount_percent) || checkPercent('tax_percent', tax_percent);
+  if (percentError) return res.status(400).json({ error: percentError });
+  
+  if (await rejectForeignReferences(req, res, { service_writer_id })) return;
+  
+  const workflow = await loadWorkflow(req.user.company_id);
+  
+  const result = await withTransaction(async (client) => {
+    const params = [req.params.id, req.user.company_id];
+    const scope = locationScopeClause(req, params);
+    
+    const current = await client.query(
+      `SELECT * FROM "order" WHERE id = $1 AND company_id = $2 AND deleted = false${scope} FOR UPDATE`,
+      params
+    );
+    const before = current.rows[0];
+    
+    if (!before) return { status: 404, error: 'Order not found' };
+    
+    const transitionError = status ? checkTransition(workflow, before.status, status) : null;
+    if (transitionError) return transitionError;
+    
+    let updated = await client.query(
+      `UPDATE "order" SET note = COALESCE($1, note), priority = COALESCE($2, priority), service_writer_id = COALESCE($3, service_writer_id), discount_percent = COALESCE($4, discount_percent), tax_percent = COALESCE($5, tax_percent), updated_at = CURRENT_TIMESTAMP WHERE id = $6 RETURNING *`,
+      [note, priority, service_writer_id, discount_percent, tax_percent, before.id]
+    );
+    
+    if (status && status !== before.status) {
+      updated = { rows: [await changeOrderStatus(client, req, updated.rows[0], status, workflow, status_note)] };
+      await syncOrderStock(client, before.id);
+    }
+    
+    return { before, after: updated.rows[0] };
+  });
+  
+  if (result.error) {
+    const { status: code, ...body } = result;
+    return res.status(code).json(body);
+  }
+  
+  let after = result.after;
+  
+  // Completing the order changes the tax date, so totals are recalculated then too
+  if (discount_percent !== undefined || tax_percent !== undefined || Boolean(after.completed_date) !== Boolean(result.before.completed_date)) {
+    await recalculateOrder(req.params.id, req.user.company_id);
+    after = (await pool.query('SELECT * FROM "order" WHERE id = $1', [req.params.id])).rows[0];
+  }
+  
+  // An order paid in advance (deposits) is paid as soon as its work is done
+  if (status && after.completed_date) {
+    const settled = await withTransaction(client => settleOrderLocked(client, req, after.id));
+    if (settled) after = settled.after;
+  }
+  
+  await recordAudit(req, { entity: 'order', action: 'update', before: result.before, after });
+  res.json(after);
+}));
+
+// Status changes of an order, oldest first
+app.get('/api/orders/:id/history', authorize('orders', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const order = await pool.query(`SELECT id FROM "order" WHERE id = $1 AND company_id = $2 AND deleted = false${scope}`, params);
+  
+  if (order.rows.length === 0) return res.status(404).json({ error: 'Order not found' });
+  
+  const history = await pool.query(
+    'SELECT * FROM order_status_history WHERE order_id = $1 ORDER BY created_at',
+    [req.params.id]
   );
   
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Order not found' });
-  res.json(result.rows[0]);
+  res.json(history.rows);
+}));
+
+// Preview of the order's totals as the pricing engine computes them (nothing is saved)
+// ?discount_percent= shows the effect of a different order discount
+app.get('/api/orders/:id/totals', authorize('orders', 'read'), asyncHandler(async (req, res) => {
+  const { discount_percent } = req.query;
+  
+  const percentError = checkPercent('discount_percent', discount_percent);
+  if (percentError) return res.status(400).json({ error: percentError });
+  
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const order = await pool.query(`SELECT id FROM "order" WHERE id = $1 AND company_id = $2 AND deleted = false${scope}`, params);
+  
+  if (order.rows.length === 0) return res.status(404).json({ error: 'Order not found' });
+  
+  const loaded = await loadOrderForPricing(req.params.id, req.user.company_id);
+  const totals = calculateOrderTotals(loaded, {
+    discountPercent: discount_percent === undefined ? undefined : Number(discount_percent)
+  });
+  
+  res.json({ order_id: req.params.id, ...totals });
+}));
+
+// What the customer sees: lines grouped into jobs, hidden lines not itemized
+// (see invoiceJobs in lineItems.js), and the order totals
+app.get('/api/orders/:id/invoice', authorize('orders', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params, 'o.location_id');
+  const order = await pool.query(
+    `SELECT o.id, o.order_number, o.invoice_number, o.status, o.completed_date, o.customer_id,
+            c.first_name, c.last_name, c.company_name, v.name as vehicle_name, l.name as location_name
+     FROM "order" o
+     LEFT JOIN customer c ON o.customer_id = c.id
+     LEFT JOIN vehicle v ON o.vehicle_id = v.id
+     LEFT JOIN location l ON o.location_id = l.id
+     WHERE o.id = $1 AND o.company_id = $2 AND o.deleted = false${scope}`,
+    params
+  );
+  
+  if (order.rows.length === 0) return res.status(404).json({ error: 'Order not found' });
+  
+  const loaded = await loadOrderForPricing(req.params.id, req.user.company_id);
+  const { line_items: priced, ...totals } = calculateOrderTotals(loaded);
+  
+  res.json({
+    ...order.rows[0],
+    jobs: invoiceJobs(loaded.lineItems, priced),
+    ...totals
+  });
 }));
 
 // ============================================
 // ORDER_LINE_ITEM ENDPOINTS
 // ============================================
 
-app.post('/api/order-line-items', asyncHandler(async (req, res) => {
-  const { company_id, location_id, order_id, name, category, pricing, quantity, fixed_price_cents, labor_hours, note } = req.body;
+// inventory_part_id makes a part line: name, price and taxable flag come from
+// the part unless given, and the order holds the quantity in stock (see inventory.js).
+// parent_id groups the line under another line of the order; new lines go last.
+app.post('/api/order-line-items', authorize('line_items', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, order_id, source_service_id, inventory_part_id, parent_id } = req.body;
   
-  if (!order_id || !name || !location_id) {
+  const pricingError = checkLineItemPricing(req.body);
+  if (pricingError) return res.status(400).json({ error: pricingError });
+  
+  if (!order_id || !location_id) {
     return res.status(400).json({ error: 'order_id, name, and location_id are required' });
   }
   
-  const result = await pool.query(
-    'INSERT INTO order_line_item (company_id, location_id, order_id, name, category, pricing, quantity, fixed_price_cents, labor_hours, note) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
-    [company_id || uuidv4(), location_id, order_id, name, category, pricing || 'fixed', quantity, fixed_price_cents || 0, labor_hours, note || '']
-  );
+  if (rejectOutOfScopeLocation(req, res, location_id)) return;
+  if (await rejectForeignReferences(req, res, { location_id, order_id, source_service_id, inventory_part_id, parent_id })) return;
   
-  res.status(201).json(result.rows[0]);
+  const order = await findOrder(pool, req, order_id);
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+  
+  if (location_id !== order.location_id) {
+    return res.status(400).json({ error: 'location_id must be the order\'s location' });
+  }
+  
+  const parentError = await checkLineParent(pool, { orderId: order_id, lineId: null, parentId: parent_id });
+  if (parentError) return res.status(400).json({ error: parentError });
+  
+  let fields = { ...req.body };
+  
+  if (inventory_part_id) {
+    const part = await pool.query('SELECT * FROM inventory_part WHERE id = $1', [inventory_part_id]);
+    
+    if (part.rows[0].location_id !== order.location_id) {
+      return res.status(400).json({ error: 'inventory_part_id must be a part stocked at the order\'s location' });
+    }
+    
+    fields = { ...partLineDefaults(part.rows[0]), ...req.body };
+  }
+  
+  if (!fields.name) {
+    return res.status(400).json({ error: 'order_id, name, and location_id are required' });
+  }
+  
+  // Lines from a service are taxed the way the service is, unless told otherwise
+  if ((fields.taxable === undefined || fields.taxable === null) && source_service_id) {
+    const service = await pool.query('SELECT taxable FROM service WHERE id = $1', [source_service_id]);
+    fields.taxable = service.rows[0].taxable;
+  }
+  
+  const lineItem = await withTransaction(async (client) => {
+    // Locked so lines added at the same time get their own ordinals
+    if (!await findOrder(client, req, order_id, true)) return null;
+    
+    const last = await client.query(
+      'SELECT COALESCE(MAX(ordinal), 0) AS ordinal FROM order_line_item WHERE order_id = $1',
+      [order_id]
+    );
+    
+    const result = await client.query(
+      `INSERT INTO order_line_item (
+        company_id, location_id, order_id, source_service_id, inventory_part_id, name, category, pricing,
+        quantity, fixed_price_cents, labor_hours, labor_rate_cents, parts_cost_cents, lump_sum, discount_cents,
+        discount_percent, discount_value_type, tax_percent, taxable, recommended, note, parent_id, hidden, ordinal
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24
+      ) RETURNING *`,
+      [
+        req.user.company_id,
+        location_id,
+        order_id,
+        source_service_id,
+        inventory_part_id,
+        fields.name,
+        fields.category,
+        fields.pricing || 'fixed',
+        fields.quantity,
+        fields.fixed_price_cents || 0,
+        fields.labor_hours,
+        fields.labor_rate_cents,
+        fields.parts_cost_cents,
+        fields.lump_sum || false,
+        fields.discount_cents || 0,
+        fields.discount_percent || 0,
+        fields.discount_value_type || (fields.discount_percent ? 'percent' : null),
+        fields.tax_percent || 0,
+        fields.taxable !== false,
+        fields.recommended || false,
+        fields.note || '',
+        parent_id,
+        fields.hidden || false,
+        Number(last.rows[0].ordinal) + 1
+      ]
+    );
+    
+    await recalculateOrder(order_id, req.user.company_id, client);
+    await syncOrderStock(client, order_id);
+    
+    return (await client.query('SELECT * FROM order_line_item WHERE id = $1', [result.rows[0].id])).rows[0];
+  });
+  
+  if (!lineItem) return res.status(404).json({ error: 'Order not found' });
+  
+  await recordAudit(req, { entity: 'order_line_item', action: 'create', after: lineItem });
+  res.status(201).json(lineItem);
 }));
 
-app.get('/api/orders/:id/line-items', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM order_line_item WHERE order_id = $1 ORDER BY ordinal', [req.params.id]);
+app.get('/api/orders/:id/line-items', authorize('line_items', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const result = await pool.query(`SELECT * FROM order_line_item WHERE order_id = $1 AND company_id = $2${scope} ORDER BY ordinal`, params);
   res.json(result.rows);
 }));
 
-app.put('/api/order-line-items/:id', asyncHandler(async (req, res) => {
-  const { name, quantity, fixed_price_cents, labor_hours, note } = req.body;
+// parent_id: null takes the line out of its group
+app.put('/api/order-line-items/:id', authorize('line_items', 'update'), asyncHandler(async (req, res) => {
+  const {
+    name,
+    category,
+    pricing,
+    quantity,
+    fixed_price_cents,
+    labor_hours,
+    labor_rate_cents,
+    parts_cost_cents,
+    lump_sum,
+    discount_cents,
+    discount_percent,
+    discount_value_type,
+    tax_percent,
+    taxable,
+    recommended,
+    hidden,
+    parent_id,
+    note
+  } = req.body;
   
-  const result = await pool.query(
-    'UPDATE order_line_item SET name = COALESCE($1, name), quantity = COALESCE($2, quantity), fixed_price_cents = COALESCE($3, fixed_price_cents), labor_hours = COALESCE($4, labor_hours), note = COALESCE($5, note), updated_at = CURRENT_TIMESTAMP WHERE id = $6 RETURNING *',
-    [name, quantity, fixed_price_cents, labor_hours, note, req.params.id]
-  );
+  const pricingError = checkLineItemPricing(req.body);
+  if (pricingError) return res.status(400).json({ error: pricingError });
   
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Line item not found' });
-  res.json(result.rows[0]);
+  if (await rejectForeignReferences(req, res, { parent_id })) return;
+  
+  const params = [
+    name, category, pricing, quantity, fixed_price_cents, labor_hours, labor_rate_cents, parts_cost_cents,
+    lump_sum, discount_cents, discount_percent, discount_value_type, tax_percent, note, taxable, recommended,
+    hidden, parent_id !== undefined, parent_id || null, req.params.id, req.user.company_id
+  ];
+  const scope = locationScopeClause(req, params);
+  
+  const before = await loadForAudit('order_line_item', req.params.id, req.user.company_id);
+  
+  if (before && parent_id) {
+    const parentError = await checkLineParent(pool, { orderId: before.order_id, lineId: before.id, parentId: parent_id });
+    if (parentError) return res.status(400).json({ error: parentError });
+  }
+  
+  const lineItem = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE order_line_item SET
+        name = COALESCE($1, name), category = COALESCE($2, category), pricing = COALESCE($3, pricing),
+        quantity = COALESCE($4, quantity), fixed_price_cents = COALESCE($5, fixed_price_cents),
+        labor_hours = COALESCE($6, labor_hours), labor_rate_cents = COALESCE($7, labor_rate_cents),
+        parts_cost_cents = COALESCE($8, parts_cost_cents), lump_sum = COALESCE($9, lump_sum),
+        discount_cents = COALESCE($10, discount_cents), discount_percent = COALESCE($11, discount_percent),
+        discount_value_type = COALESCE($12, discount_value_type), tax_percent = COALESCE($13, tax_percent),
+        note = COALESCE($14, note), taxable = COALESCE($15, taxable), recommended = COALESCE($16, recommended),
+        hidden = COALESCE($17, hidden), parent_id = CASE WHEN $18 THEN $19 ELSE parent_id END,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $20 AND company_id = $21${scope} RETURNING *`,
+      params
+    );
+    
+    if (result.rows.length === 0) return null;
+    
+    // Approved work that changes needs the customer's approval again
+    if (before.status === 'approved' && workChanged(before, result.rows[0])) {
+      await resetAuthorization(client, result.rows[0].order_id, [result.rows[0].id]);
+    }
+    
+    await recalculateOrder(result.rows[0].order_id, req.user.company_id, client);
+    await syncOrderStock(client, result.rows[0].order_id);
+    
+    return (await client.query('SELECT * FROM order_line_item WHERE id = $1', [req.params.id])).rows[0];
+  });
+  
+  if (!lineItem) return res.status(404).json({ error: 'Line item not found' });
+  
+  await recordAudit(req, { entity: 'order_line_item', action: 'update', before, after: lineItem });
+  res.json(lineItem);
 }));
 
-// ============================================
-// INSPECTION ENDPOINTS
-// ============================================
-
-app.get('/api/inspections', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT i.*, o.order_number FROM inspection i LEFT JOIN "order" o ON i.order_id = o.id ORDER BY i.created_at DESC');
-  res.json(result.rows);
+// Lines grouped under the deleted line become top-level lines; stock the line
+// holds goes back to the part
+app.delete('/api/order-line-items/:id', authorize('line_items', 'delete'), asyncHandler(async (req, res) => {
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  
+  const lineItem = await withTransaction(async (client) => {
+    const found = await client.query(`SELECT order_id FROM order_line_item WHERE id = $1 AND company_id = $2${scope}`, params);
+    if (found.rows.length === 0) return null;
+    
+    const order = await findOrder(client, req, found.rows[0].order_id, true);
+    if (!order) return null;
+    
+    const line = (await client.query('SELECT * FROM order_line_item WHERE id = $1', [req.params.id])).rows[0];
+    
+    await withdrawApprovedLines(client, order, [line]);
+    await releaseLineStock(client, line);
+    await client.query('UPDATE order_line_item SET parent_id = NULL WHERE parent_id = $1', [line.id]);
+    await client.query('DELETE FROM order_line_item WHERE id = $1', [line.id]);
+    
+    await refreshDeferredWork(client, { orderIds: [order.id], vehicleIds: [order.vehicle_id] });
+    await recalculateOrder(order.id, order.company_id, client);
+    
+    return line;
+  });
+  
+  if (!lineItem) return res.status(404).json({ error: 'Line item not found' });
+  
+  await recordAudit(req, { entity: 'order_line_item', action: 'delete', before: lineItem });
+  res.json(lineItem);
 }));
 
-app.post('/api/inspections', asyncHandler(async (req, res) => {
-  const { company_id, location_id, order_id, name, note } = req.body;
+// line_item_ids lists every line of the order in its new order; ordinal is rewritten 1..n
+app.post('/api/orders/:id/line-items/reorder', authorize('line_items', 'update'), asyncHandler(async (req, res) => {
+  const { line_item_ids } = req.body;
   
-  if (!order_id || !name || !location_id) {
-    return res.status(400).json({ error: 'order_id, name, and location_id are required' });
+  if (!Array.isArray(line_item_ids) || line_item_ids.length === 0) {
+    return res.status(400).json({ error: 'line_item_ids must be a non-empty array' });
   }
   
-  const result = await pool.query(
-    'INSERT INTO inspection (company_id, location_id, order_id, name, note) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-    [company_id || uuidv4(), location_id, order_id, name, note || '']
-  );
+  const result = await withTransaction(async (client) => {
+    const order = await findOrder(client, req, req.params.id, true);
+    if (!order) return { status: 404, error: 'Order not found' };
+    
+    const before = await client.query('SELECT * FROM order_line_item WHERE order_id = $1', [order.id]);
+    
+    if (new Set(line_item_ids).size !== line_item_ids.length ||
+        line_item_ids.length !== before.rows.length ||
+        !before.rows.every(line => line_item_ids.includes(line.id))) {
+      return { status: 400, error: 'line_item_ids must list every line item of the order once' };
+    }
+    
+    for (const [index, id] of line_item_ids.entries()) {
+      await client.query(
+        'UPDATE order_line_item SET ordinal = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [index + 1, id]
+      );
+    }
+    
+    await recalculateOrder(order.id, order.company_id, client);
+    
+    const after = await client.query('SELECT * FROM order_line_item WHERE order_id = $1 ORDER BY ordinal', [order.id]);
+    return { before: before.rows, lineItems: after.rows };
+  });
   
-  res.status(201).json(result.rows[0]);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  for (const lineItem of result.lineItems) {
+    const before = result.before.find(line => line.id === lineItem.id);
+    await recordAudit(req, { entity: 'order_line_item', action: 'update', before, after: lineItem });
+  }
+  
+  res.json(result.lineItems);
 }));
 
-app.put('/api/inspections/:id', asyncHandler(async (req, res) => {
-  const { name, note, completed, completed_by_id } = req.body;
+// Move or copy line items to another order of the same location, e.g. to bill
+// part of the work separately. Lines grouped under a selected line go with it; a
+// line taken without its parent leaves the group. Moved lines keep their status
+// and hold stock as the new order's stage requires; copies are new pending lines.
+// Both orders are repriced.
+const transferLineItems = (copy) => asyncHandler(async (req, res) => {
+  const { line_item_ids, to_order_id } = req.body;
   
-  const result = await pool.query(
-    'UPDATE inspection SET name = COALESCE($1, name), note = COALESCE($2, note), completed = COALESCE($3, completed), completed_by_id = COALESCE($4, completed_by_id), completed_date = CASE WHEN $3 = true THEN CURRENT_TIMESTAMP ELSE completed_date END, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
-    [name, note, completed, completed_by_id, req.params.id]
+  if (!Array.isArray(line_item_ids) || line_item_ids.length === 0) {
+    return res.status(400).json({ error: 'line_item_ids must be a non-empty array' });
+  }
+  
+  if (!to_order_id || to_order_id === req.params.id) {
+    return res.status(400).json({ error: 'to_order_id must be another order' });
+  }
+  
+  if (await rejectForeignReferences(req, res, { order_id: to_order_id })) return;
+  
+  const result = await withTransaction(async (client) => {
+    // Orders are locked in id order so two transfers never wait on each other
+    const orders = {};
+    for (const id of [req.params.id, to_order_id].sort()) {
+      orders[id] = await findOrder(client, req, id, true);
+    }
+    
+    const from = orders[req.params.id];
+    const to = orders[to_order_id];
+    
+    if (!from || !to) return { status: 404, error: 'Order not found' };
+    
+    if (from.location_id !== to.location_id) {
+      return { status: 400, error: 'Line items can only go to an order of the same location' };
+    }
+    
+    const all = await client.query(
+      'SELECT * FROM order_line_item WHERE order_id = $1 ORDER BY ordinal, created_at',
+      [from.id]
+    );
+    const selected = all.rows.filter(line => line_item_ids.includes(line.id));
+    
+    if (selected.length !== new Set(line_item_ids).size) {
+      return { status: 400, error: 'Every line item must belong to the order' };
+    }
+    
+    const lines = withGroupedLines(selected, all.rows);
+    const taken = new Set(lines.map(line => line.id));
+    
+    const last = await client.query(
+      'SELECT COALESCE(MAX(ordinal), 0) AS ordinal FROM order_line_item WHERE order_id = $1',
+      [to.id]
+    );
+    const firstOrdinal = Number(last.rows[0].ordinal) + 1;
+    
+    // Parents go first so copies can point at their parent's copy
+    const parentsFirst = [
+      ...lines.filter(line => !taken.has(line.parent_id)),
+      ...lines.filter(line => taken.has(line.parent_id))
+    ];
+    const newIds = {};
+    
+    // Moved approved work needs the customer's approval on its new order
+    const approvedIds = copy ? [] : await withdrawApprovedLines(client, from, lines);
+    
+    for (const line of parentsFirst) {
+      const ordinal = firstOrdinal + lines.indexOf(line);
+      const parentId = taken.has(line.parent_id) ? newIds[line.parent_id] : null;
+      
+      if (copy) {
+        const created = await copyLineToOrder(client, to, line, {
+          ordinal,
+          parent_id: parentId,
+          hidden: line.hidden,
+          recommended: line.recommended
+        });
+        newIds[line.id] = created.id;
+      } else {
+        await client.query(
+          `UPDATE order_line_item SET order_id = $1, parent_id = $2, ordinal = $3, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $4`,
+          [to.id, parentId, ordinal, line.id]
+        );
+        newIds[line.id] = line.id;
+      }
+    }
+    
+    if (approvedIds.length > 0) await resetAuthorization(client, to.id, approvedIds);
+    
+    await syncOrderStock(client, to.id);
+    await refreshDeferredWork(client, {
+      orderIds: [from.id, to.id],
+      vehicleIds: [from.vehicle_id, to.vehicle_id]
+    });
+    await recalculateOrder(from.id, from.company_id, client);
+    await recalculateOrder(to.id, to.company_id, client);
+    
+    const transferred = await client.query(
+      'SELECT * FROM order_line_item WHERE id = ANY($1) ORDER BY ordinal',
+      [Object.values(newIds)]
+    );
+    
+    return {
+      lines,
+      from: (await client.query('SELECT * FROM "order" WHERE id = $1', [from.id])).rows[0],
+      to: (await client.query('SELECT * FROM "order" WHERE id = $1', [to.id])).rows[0],
+      lineItems: transferred.rows
+    };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  for (const lineItem of result.lineItems) {
+    const before = copy ? null : result.lines.find(line => line.id === lineItem.id);
+    await recordAudit(req, { entity: 'order_line_item', action: copy ? 'create' : 'update', before, after: lineItem });
+  }
+  
+  res.status(copy ? 201 : 200).json({ from_order: result.from, to_order: result.to, line_items: result.lineItems });
+});
+
+app.post('/api/orders/:id/line-items/move', authorize('line_items', 'update'), transferLineItems(false));
+app.post('/api/orders/:id/line-items/copy', authorize('line_items', 'create'), transferLineItems(true));
+
+// Add a canned service to the order: a line for the service with its labor,
+// part and fee lines grouped under it (see services.js)
+app.post('/api/orders/:id/apply-service/:serviceId', authorize('line_items', 'create'), asyncHandler(async (req, res) => {
+  const service = await pool.query(
+    'SELECT * FROM service WHERE id = $1 AND company_id = $2 AND active = true',
+    [req.params.serviceId, req.user.company_id]
   );
   
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Inspection not found' });
-  res.json(result.rows[0]);
+  if (service.rows.length === 0) return res.status(404).json({ error: 'Service not found' });
+  
+  const items = await loadServiceItems(req.params.serviceId);
+  
+  if (items.length === 0) {
+    return res.status(400).json({ error: 'This service has no items; add labor, parts or fees to it first' });
+  }
+  
+  const result = await withTransaction(async (client) => {
+    const order = await findOrder(client, req, req.params.id, true);
+    if (!order) return { status: 404, error: 'Order not found' };
+    
+    const applied = await applyService(client, order, service.rows[0], items);
+    if (applied.error) return { status: 400, error: applied.error };
+    
+    return {
+      order: (await client.query('SELECT * FROM "order" WHERE id = $1', [order.id])).rows[0],
+      lineItems: applied.lineItems
+    };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  for (const lineItem of result.lineItems) {
+    await recordAudit(req, { entity: 'order_line_item', action: 'create', after: lineItem });
+  }
+  
+  res.status(201).json({ ...result.order, line_items: result.lineItems });
 }));
 
 // ============================================
-// INSPECTION_ITEM ENDPOINTS
+// AUTHORIZATION ENDPOINTS
 // ============================================
 
-app.post('/api/inspection-items', asyncHandler(async (req, res) => {
-  const { company_id, location_id, inspection_id, name, message, status } = req.body;
+// Order of the caller's company and locations, or undefined
+// `lock` takes a row lock (inside a transaction)
+const findOrder = async (db, req, id, lock = false) => {
+  const params = [id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const result = await db.query(
+    `SELECT * FROM "order" WHERE id = $1 AND company_id = $2 AND deleted = false${scope}${lock ? ' FOR UPDATE' : ''}`,
+    params
+  );
+  return result.rows[0];
+};
+
+// Authorization history of an order, with the authorized amount against the current total
+app.get('/api/orders/:id/authorizations', authorize('authorizations', 'read'), asyncHandler(async (req, res) => {
+  const order = await findOrder(pool, req, req.params.id);
   
-  if (!inspection_id || !name || !message || !location_id) {
-    return res.status(400).json({ error: 'inspection_id, name, message, and location_id are required' });
-  }
+  if (!order) return res.status(404).json({ error: 'Order not found' });
   
-  const result = await pool.query(
-    'INSERT INTO inspection_item (company_id, location_id, inspection_id, name, message, status) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-    [company_id || uuidv4(), location_id, inspection_id, name, message, status || 'pending']
+  const pending = await pool.query(
+    `SELECT COUNT(*) as count FROM order_line_item WHERE order_id = $1 AND status = 'pending'`,
+    [order.id]
   );
   
-  res.status(201).json(result.rows[0]);
+  res.json({
+    ...authorizationState(order),
+    pending_line_items: parseInt(pending.rows[0].count),
+    authorizations: await loadAuthorizations(order.id)
+  });
 }));
 
-app.get('/api/inspections/:id/items', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM inspection_item WHERE inspection_id = $1 ORDER BY ordinal', [req.params.id]);
-  res.json(result.rows);
+// Record the customer's decision on line items:
+// { method, line_items: [{ id, status: approved|declined|deferred, reason }], authorized_cost_cents,
+//   service_writer_id, note, date }
+// authorized_cost_cents defaults to the order total once the decisions are applied
+app.post('/api/orders/:id/authorizations', authorize('authorizations', 'create'), asyncHandler(async (req, res) => {
+  const { method, line_items, authorized_cost_cents, service_writer_id, note, date } = req.body;
+  
+  if (!AUTHORIZATION_METHODS.includes(method)) {
+    return res.status(400).json({ error: `method must be one of: ${AUTHORIZATION_METHODS.join(', ')}` });
+  }
+  
+  const decisionError = checkDecisions(line_items);
+  if (decisionError) return res.status(400).json({ error: decisionError });
+  
+  if (authorized_cost_cents !== undefined && authorized_cost_cents !== null &&
+      !(Number.isInteger(Number(authorized_cost_cents)) && Number(authorized_cost_cents) >= 0)) {
+    return res.status(400).json({ error: 'authorized_cost_cents must be a non-negative whole number of cents' });
+  }
+  
+  if (date && Number.isNaN(Date.parse(date))) {
+    return res.status(400).json({ error: 'date must be a date and time' });
+  }
+  
+  if (await rejectForeignReferences(req, res, { service_writer_id })) return;
+  
+  const result = await withTransaction(async (client) => {
+    const order = await findOrder(client, req, req.params.id, true);
+    
+    if (!order) return { status: 404, error: 'Order not found' };
+    
+    const authorization = await recordAuthorization(client, req, order, {
+      method,
+      decisions: line_items,
+      authorizedCostCents: authorized_cost_cents,
+      serviceWriterId: service_writer_id,
+      note,
+      date
+    });
+    if (authorization.error) return { status: 400, error: authorization.error };
+    
+    const updated = await client.query('SELECT * FROM "order" WHERE id = $1', [order.id]);
+    return { authorization, order: updated.rows[0] };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  const { services, ...authorization } = result.authorization;
+  await recordAudit(req, { entity: 'authorization', action: 'create', after: authorization });
+  
+  res.status(201).json({ ...result.authorization, ...authorizationState(result.order) });
+}));
+
+// Withdraw the current approval: approved lines go back to pending and the latest
+// authorization is marked reset
+app.post('/api/orders/:id/authorizations/reset', authorize('authorizations', 'update'), asyncHandler(async (req, res) => {
+  const result = await withTransaction(async (client) => {
+    const order = await findOrder(client, req, req.params.id, true);
+    
+    if (!order) return { status: 404, error: 'Order not found' };
+    
+    const resetCount = await resetAuthorization(client, order.id);
+    await recalculateOrder(order.id, order.company_id, client);
+    
+    const updated = await client.query('SELECT * FROM "order" WHERE id = $1', [order.id]);
+    return { resetCount, order: updated.rows[0] };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  res.json({ reset_line_items: result.resetCount, ...authorizationState(result.order) });
 }));
 
 // ============================================
-// TRANSACTION ENDPOINTS
+// ESTIMATE ENDPOINTS
 // ============================================
 
-app.get('/api/transactions', asyncHandler(async (req, res) => {
-  const result = await pool.query(`
-    SELECT t.*, c.first_name, c.last_name, o.order_number
-    FROM "transaction" t
-    LEFT JOIN customer c ON t.customer_id = c.id
-    LEFT JOIN "order" o ON t.order_id = o.id
-    ORDER BY t.created_at DESC
-  `);
-  res.json(result.rows);
-}));
+const ESTIMATE_SORT_COLUMNS = ['created_at', 'updated_at', 'estimate_number', 'expires_on', 'status'];
+
+// Estimate of the caller's company and locations, or undefined
+// `lock` takes a row lock (inside a transaction)
+const findEstimate = async (db, req, id, lock = false) => {
+  const params = [id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  const result = await db.query(
+    `SELECT * FROM estimate WHERE id = $1 AND company_id = $2 AND deleted = false${scope}${lock ? ' FOR UPDATE' : ''}`,
+    params
+  );
+  return result.rows[0];
+};
 
-app.post('/api/transactions', asyncHandler(async (req, res) => {
-  const { company_id, location_id, order_id, customer_id, transaction_type, amount_cents, payment_method, note } = req.body;
+// Line item of the latest revision of an editable estimate, with the estimate locked
+// Returns { line, estimate } or { status, error } to respond with
+const findEditableEstimateLine = async (db, req, lineId) => {
+  const line = await db.query(
+    `SELECT eli.*, er.estimate_id FROM estimate_line_item eli
+     JOIN estimate_revision er ON er.id = eli.revision_id
+     WHERE eli.id = $1 AND eli.company_id = $2`,
+    [lineId, req.user.company_id]
+  );
+  const estimate = line.rows[0] && await findEstimate(db, req, line.rows[0].estimate_id, true);
   
-  if (!order_id || !customer_id || !amount_cents || !location_id) {
-    return res.status(400).json({ error: 'order_id, customer_id, amount_cents, and location_id are required' });
+  if (!estimate) return { status: 404, error: 'Line item not found' };
+  
+  if (!EDITABLE_STATUSES.includes(estimate.status) || estimate.current_revision_id !== line.rows[0].revision_id) {
+    return { status: 409, error: 'Only the latest revision of a draft or sent estimate can be changed' };
+  }
+  
+  const { estimate_id, ...lineItem } = line.rows[0];
+  return { line: lineItem, estimate };
+};
+
+// Validate estimate fields being saved; returns an error message or null
+const checkEstimate = (body) => {
+  if (body.expires_on !== undefined && body.expires_on !== null && !DATE_PATTERN.test(body.expires_on)) {
+    return 'expires_on must be a date (YYYY-MM-DD)';
   }
   
-  const result = await pool.query(
-    'INSERT INTO "transaction" (company_id, location_id, order_id, customer_id, transaction_type, amount_cents, payment_method, status, note) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-    [company_id || uuidv4(), location_id, order_id, customer_id, transaction_type || 'payment', amount_cents, payment_method, 'pending', note || '']
-  );
+  return checkPercent('discount_percent', body.discount_percent);
+};
+
+// ?status= (or ?status=expired), ?customer_id=, ?location_id=, ?search= on number, title and customer
+app.get('/api/estimates', authorize('estimates', 'read'), asyncHandler(async (req, res) => {
+  const { page, limit, offset, sort, order, search } = parseQueryParams(req);
+  const { status, customer_id, location_id } = req.query;
+  const sortColumn = ESTIMATE_SORT_COLUMNS.includes(sort) ? sort : 'created_at';
+  
+  let whereClause = 'WHERE e.company_id = $1 AND e.deleted = false';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND e.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
+  
+  // Expired: still waiting on the customer after expires_on
+  if (status === 'expired') {
+    whereClause += ` AND e.status = ANY($${paramIndex}) AND e.expires_on < CURRENT_DATE`;
+    params.push(EDITABLE_STATUSES);
+    paramIndex++;
+  } else if (status) {
+    whereClause += ` AND e.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+  
+  if (customer_id) {
+    whereClause += ` AND e.customer_id = $${paramIndex}`;
+    params.push(customer_id);
+    paramIndex++;
+  }
+  
+  if (location_id) {
+    whereClause += ` AND e.location_id = $${paramIndex}`;
+    params.push(location_id);
+    paramIndex++;
+  }
+  
+  if (search) {
+    whereClause += ` AND (e.estimate_number ILIKE $${paramIndex} OR e.title ILIKE $${paramIndex} OR c.first_name ILIKE $${paramIndex} OR c.last_name ILIKE $${paramIndex})`;
+    params.push(`%${search}%`);
+    paramIndex++;
+  }
+  
+  const countResult = await pool.query(
+    `SELECT COUNT(*) as count FROM estimate e LEFT JOIN customer c ON e.customer_id = c.id ${whereClause}`,
+    params
+  );
+  const total = parseInt(countResult.rows[0].count);
+  
+  const result = await pool.query(
+    `SELECT e.*, c.first_name, c.last_name, c.company_name, v.name as vehicle_name,
+            er.revision_number, er.calculated_total_cents
+     FROM estimate e
+     LEFT JOIN customer c ON e.customer_id = c.id
+     LEFT JOIN vehicle v ON e.vehicle_id = v.id
+     LEFT JOIN estimate_revision er ON er.id = e.current_revision_id
+     ${whereClause}
+     ORDER BY e.${sortColumn} ${order} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, limit, offset]
+  );
+  
+  res.json({
+    data: result.rows.map(presentEstimate),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// Creates the estimate with an empty revision 1; expires_on defaults to 30 days from today
+app.post('/api/estimates', authorize('estimates', 'create'), asyncHandler(async (req, res) => {
+  const {
+    location_id,
+    customer_id,
+    vehicle_id,
+    service_writer_id,
+    title,
+    note,
+    expires_on,
+    discount_percent
+  } = req.body;
+  
+  if (!customer_id || !location_id) {
+    return res.status(400).json({ error: 'customer_id and location_id are required' });
+  }
+  
+  const estimateError = checkEstimate(req.body);
+  if (estimateError) return res.status(400).json({ error: estimateError });
+  
+  if (rejectOutOfScopeLocation(req, res, location_id)) return;
+  if (await rejectForeignReferences(req, res, { location_id, customer_id, vehicle_id, service_writer_id })) return;
+  
+  const estimate = await withTransaction(async (client) => {
+    const estimateNumber = await nextNumber(client, {
+      companyId: req.user.company_id,
+      locationId: location_id,
+      documentType: 'estimate'
+    });
+    
+    const created = await client.query(
+      `INSERT INTO estimate (
+        company_id, location_id, estimate_number, customer_id, vehicle_id, service_writer_id,
+        title, note, expires_on, discount_percent
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+      [
+        req.user.company_id,
+        location_id,
+        estimateNumber,
+        customer_id,
+        vehicle_id,
+        service_writer_id,
+        title,
+        note || '',
+        expires_on || defaultExpiry(),
+        discount_percent || 0
+      ]
+    );
+    
+    await createRevision(client, req, created.rows[0]);
+    return findEstimate(client, req, created.rows[0].id);
+  });
+  
+  await recordAudit(req, { entity: 'estimate', action: 'create', after: estimate });
+  res.status(201).json(presentEstimate(estimate));
+}));
+
+// Estimate with its revisions and the line items of the latest one
+app.get('/api/estimates/:id', authorize('estimates', 'read'), asyncHandler(async (req, res) => {
+  const estimate = await findEstimate(pool, req, req.params.id);
+  
+  if (!estimate) return res.status(404).json({ error: 'Estimate not found' });
+  
+  const revisions = await pool.query(
+    'SELECT * FROM estimate_revision WHERE estimate_id = $1 ORDER BY revision_number',
+    [estimate.id]
+  );
+  
+  res.json({
+    ...presentEstimate(estimate),
+    revisions: revisions.rows,
+    line_items: await loadRevisionLines(estimate.current_revision_id)
+  });
+}));
+
+// status can be set to draft, sent or declined (accepting and converting have their own endpoints)
+app.put('/api/estimates/:id', authorize('estimates', 'update'), asyncHandler(async (req, res) => {
+  const { vehicle_id, service_writer_id, title, note, expires_on, discount_percent, status } = req.body;
+  
+  const estimateError = checkEstimate(req.body);
+  if (estimateError) return res.status(400).json({ error: estimateError });
+  
+  if (status && !['draft', 'sent', 'declined'].includes(status)) {
+    return res.status(400).json({ error: 'status must be one of: draft, sent, declined' });
+  }
+  
+  if (await rejectForeignReferences(req, res, { vehicle_id, service_writer_id })) return;
+  
+  const result = await withTransaction(async (client) => {
+    const before = await findEstimate(client, req, req.params.id, true);
+    
+    if (!before) return { status: 404, error: 'Estimate not found' };
+    
+    if (before.status === 'converted') {
+      return { status: 409, error: 'A converted estimate cannot be changed' };
+    }
+    
+    // An accepted estimate can only be declined; changing it takes a new revision
+    if (before.status === 'accepted' && status && status !== 'declined') {
+      return { status: 409, error: 'Create a new revision to change an accepted estimate' };
+    }
+    
+    if (discount_percent !== undefined && !EDITABLE_STATUSES.includes(before.status)) {
+      return { status: 409, error: 'Create a new revision to change the discount' };
+    }
+    
+    const updated = await client.query(
+      `UPDATE estimate SET
+        vehicle_id = COALESCE($1, vehicle_id), service_writer_id = COALESCE($2, service_writer_id),
+        title = COALESCE($3, title), note = COALESCE($4, note), expires_on = COALESCE($5, expires_on),
+        discount_percent = COALESCE($6, discount_percent), status = COALESCE($7, status),
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8 RETURNING *`,
+      [vehicle_id, service_writer_id, title, note, expires_on, discount_percent, status, before.id]
+    );
+    
+    if (discount_percent !== undefined) {
+      await priceRevision(client, updated.rows[0], before.current_revision_id);
+    }
+    
+    if (status && status !== before.status) {
+      await refreshEstimateParts(client, before.id);
+    }
+    
+    return { before, after: updated.rows[0] };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  await recordAudit(req, { entity: 'estimate', action: 'update', before: result.before, after: result.after });
+  res.json(presentEstimate(result.after));
+}));
+
+// New revision copying the lines of the latest one. Reopens an accepted or
+// declined estimate as a draft.
+app.post('/api/estimates/:id/revisions', authorize('estimates', 'update'), asyncHandler(async (req, res) => {
+  const result = await withTransaction(async (client) => {
+    const before = await findEstimate(client, req, req.params.id, true);
+    
+    if (!before) return { status: 404, error: 'Estimate not found' };
+    
+    if (before.status === 'converted') {
+      return { status: 409, error: 'A converted estimate cannot be revised' };
+    }
+    
+    const revision = await createRevision(client, req, before, {
+      note: req.body.note,
+      fromRevisionId: before.current_revision_id
+    });
+    
+    const updated = await client.query(
+      `UPDATE estimate SET status = 'draft', accepted_revision_id = NULL, accepted_at = NULL,
+       updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+      [before.id]
+    );
+    
+    await refreshEstimateParts(client, before.id);
+    
+    return { before, after: updated.rows[0], revision, lines: await loadRevisionLines(revision.id, client) };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  await recordAudit(req, { entity: 'estimate', action: 'update', before: result.before, after: result.after });
+  res.status(201).json({ ...result.revision, line_items: result.lines });
+}));
+
+app.get('/api/estimates/:id/revisions/:number', authorize('estimates', 'read'), asyncHandler(async (req, res) => {
+  const estimate = await findEstimate(pool, req, req.params.id);
+  
+  if (!estimate) return res.status(404).json({ error: 'Estimate not found' });
+  
+  const revision = await pool.query(
+    'SELECT * FROM estimate_revision WHERE estimate_id = $1 AND revision_number = $2',
+    [estimate.id, parseInt(req.params.number) || 0]
+  );
+  
+  if (revision.rows.length === 0) return res.status(404).json({ error: 'Revision not found' });
+  
+  res.json({ ...revision.rows[0], line_items: await loadRevisionLines(revision.rows[0].id) });
+}));
+
+// What changed between two revisions: ?from=&to= (revision numbers), by default
+// the latest revision against the one before it
+app.get('/api/estimates/:id/compare', authorize('estimates', 'read'), asyncHandler(async (req, res) => {
+  const estimate = await findEstimate(pool, req, req.params.id);
+  
+  if (!estimate) return res.status(404).json({ error: 'Estimate not found' });
+  
+  const revisions = await pool.query(
+    'SELECT * FROM estimate_revision WHERE estimate_id = $1 ORDER BY revision_number',
+    [estimate.id]
+  );
+  
+  const latest = revisions.rows[revisions.rows.length - 1].revision_number;
+  const to = parseInt(req.query.to) || latest;
+  const from = parseInt(req.query.from) || to - 1;
+  
+  const fromRevision = revisions.rows.find(r => r.revision_number === from);
+  const toRevision = revisions.rows.find(r => r.revision_number === to);
+  
+  if (!fromRevision || !toRevision) {
+    return res.status(404).json({ error: `Revision not found (this estimate has revisions 1 to ${latest})` });
+  }
+  
+  res.json(compareRevisions(
+    { revision: fromRevision, lines: await loadRevisionLines(fromRevision.id) },
+    { revision: toRevision, lines: await loadRevisionLines(toRevision.id) }
+  ));
+}));
+
+// Add a line to the latest revision. inventory_part_id fills in the name,
+// price and taxable flag from the part unless they are given.
+app.post('/api/estimates/:id/line-items', authorize('estimates', 'update'), asyncHandler(async (req, res) => {
+  const { inventory_part_id, source_service_id } = req.body;
+  
+  const pricingError = checkLineItemPricing(req.body);
+  if (pricingError) return res.status(400).json({ error: pricingError });
+  
+  if (await rejectForeignReferences(req, res, { inventory_part_id, source_service_id })) return;
+  
+  let fields = { ...req.body };
+  let part = null;
+  
+  if (inventory_part_id) {
+    part = (await pool.query('SELECT * FROM inventory_part WHERE id = $1', [inventory_part_id])).rows[0];
+    fields = { ...partLineDefaults(part), ...req.body };
+  } else if (source_service_id && (req.body.taxable === undefined || req.body.taxable === null)) {
+    const service = await pool.query('SELECT taxable FROM service WHERE id = $1', [source_service_id]);
+    fields.taxable = service.rows[0].taxable;
+  }
+  
+  if (!fields.name) return res.status(400).json({ error: 'name is required' });
+  
+  const result = await withTransaction(async (client) => {
+    const estimate = await findEstimate(client, req, req.params.id, true);
+    
+    if (!estimate) return { status: 404, error: 'Estimate not found' };
+    
+    if (!EDITABLE_STATUSES.includes(estimate.status)) {
+      return { status: 409, error: 'Only a draft or sent estimate can be changed; create a new revision' };
+    }
+    
+    if (part && part.location_id !== estimate.location_id) {
+      return { status: 400, error: 'inventory_part_id must be a part stocked at the estimate\'s location' };
+    }
+    
+    const created = await client.query(
+      `INSERT INTO estimate_line_item (
+        company_id, location_id, revision_id, inventory_part_id, source_service_id, name, description,
+        category, pricing, ordinal, quantity, fixed_price_cents, labor_hours, labor_rate_cents,
+        parts_cost_cents, lump_sum, discount_cents, discount_percent, discount_value_type,
+        tax_percent, taxable, note
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22) RETURNING *`,
+      [
+        req.user.company_id,
+        estimate.location_id,
+        estimate.current_revision_id,
+        inventory_part_id,
+        source_service_id,
+        fields.name,
+        fields.description,
+        fields.category,
+        fields.pricing || 'fixed',
+        fields.ordinal || 0,
+        fields.quantity,
+        fields.fixed_price_cents || 0,
+        fields.labor_hours,
+        fields.labor_rate_cents,
+        fields.parts_cost_cents,
+        fields.lump_sum || false,
+        fields.discount_cents || 0,
+        fields.discount_percent || 0,
+        fields.discount_value_type || (fields.discount_percent ? 'percent' : null),
+        fields.tax_percent || 0,
+        fields.taxable !== false,
+        fields.note || ''
+      ]
+    );
+    
+    await priceRevision(client, estimate, estimate.current_revision_id);
+    await refreshOnEstimateQuantity(client, [inventory_part_id]);
+    
+    const line = await client.query('SELECT * FROM estimate_line_item WHERE id = $1', [created.rows[0].id]);
+    return { line: line.rows[0] };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  await recordAudit(req, { entity: 'estimate_line_item', action: 'create', after: result.line });
+  res.status(201).json(result.line);
+}));
+
+// The part of a line cannot change: remove the line and add another
+app.put('/api/estimate-line-items/:id', authorize('estimates', 'update'), asyncHandler(async (req, res) => {
+  const {
+    name,
+    description,
+    category,
+    pricing,
+    ordinal,
+    quantity,
+    fixed_price_cents,
+    labor_hours,
+    labor_rate_cents,
+    parts_cost_cents,
+    lump_sum,
+    discount_cents,
+    discount_percent,
+    discount_value_type,
+    tax_percent,
+    taxable,
+    note
+  } = req.body;
+  
+  const pricingError = checkLineItemPricing(req.body);
+  if (pricingError) return res.status(400).json({ error: pricingError });
+  
+  const result = await withTransaction(async (client) => {
+    const found = await findEditableEstimateLine(client, req, req.params.id);
+    if (found.error) return found;
+    
+    await client.query(
+      `UPDATE estimate_line_item SET
+        name = COALESCE($1, name), description = COALESCE($2, description), category = COALESCE($3, category),
+        pricing = COALESCE($4, pricing), ordinal = COALESCE($5, ordinal), quantity = COALESCE($6, quantity),
+        fixed_price_cents = COALESCE($7, fixed_price_cents), labor_hours = COALESCE($8, labor_hours),
+        labor_rate_cents = COALESCE($9, labor_rate_cents), parts_cost_cents = COALESCE($10, parts_cost_cents),
+        lump_sum = COALESCE($11, lump_sum), discount_cents = COALESCE($12, discount_cents),
+        discount_percent = COALESCE($13, discount_percent), discount_value_type = COALESCE($14, discount_value_type),
+        tax_percent = COALESCE($15, tax_percent), taxable = COALESCE($16, taxable), note = COALESCE($17, note),
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $18`,
+      [
+        name, description, category, pricing, ordinal, quantity, fixed_price_cents, labor_hours,
+        labor_rate_cents, parts_cost_cents, lump_sum, discount_cents, discount_percent, discount_value_type,
+        tax_percent, taxable, note, found.line.id
+      ]
+    );
+    
+    await priceRevision(client, found.estimate, found.line.revision_id);
+    await refreshOnEstimateQuantity(client, [found.line.inventory_part_id]);
+    
+    const line = await client.query('SELECT * FROM estimate_line_item WHERE id = $1', [found.line.id]);
+    return { before: found.line, after: line.rows[0] };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  await recordAudit(req, { entity: 'estimate_line_item', action: 'update', before: result.before, after: result.after });
+  res.json(result.after);
+}));
+
+app.delete('/api/estimate-line-items/:id', authorize('estimates', 'update'), asyncHandler(async (req, res) => {
+  const result = await withTransaction(async (client) => {
+    const found = await findEditableEstimateLine(client, req, req.params.id);
+    if (found.error) return found;
+    
+    await client.query('DELETE FROM estimate_line_item WHERE id = $1', [found.line.id]);
+    await priceRevision(client, found.estimate, found.line.revision_id);
+    await refreshOnEstimateQuantity(client, [found.line.inventory_part_id]);
+    
+    return { before: found.line };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  await recordAudit(req, { entity: 'estimate_line_item', action: 'delete', before: result.before });
+  res.json(result.before);
+}));
+
+// The customer accepts a revision (the latest by default): { revision_number }
+app.post('/api/estimates/:id/accept', authorize('estimates', 'update'), asyncHandler(async (req, res) => {
+  const result = await withTransaction(async (client) => {
+    const before = await findEstimate(client, req, req.params.id, true);
+    
+    if (!before) return { status: 404, error: 'Estimate not found' };
+    
+    if (!EDITABLE_STATUSES.includes(before.status)) {
+      return { status: 409, error: `An estimate that is ${before.status} cannot be accepted` };
+    }
+    
+    if (isExpired(before)) {
+      return { status: 409, error: 'This estimate has expired; extend expires_on or create a new revision' };
+    }
+    
+    const revision = req.body.revision_number
+      ? await client.query(
+        'SELECT * FROM estimate_revision WHERE estimate_id = $1 AND revision_number = $2',
+        [before.id, parseInt(req.body.revision_number) || 0]
+      )
+      : await client.query('SELECT * FROM estimate_revision WHERE id = $1', [before.current_revision_id]);
+    
+    if (revision.rows.length === 0) return { status: 404, error: 'Revision not found' };
+    
+    const updated = await client.query(
+      `UPDATE estimate SET status = 'accepted', accepted_revision_id = $1, accepted_at = CURRENT_TIMESTAMP,
+       updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
+      [revision.rows[0].id, before.id]
+    );
+    
+    await refreshEstimateParts(client, before.id);
+    
+    return { before, after: updated.rows[0] };
+  });
+  
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  await recordAudit(req, { entity: 'estimate', action: 'update', before: result.before, after: result.after });
+  res.json(presentEstimate(result.after));
+}));
+
+// Turn the accepted revision into an order: { status } picks the order's
+// starting stage (default: approved, when the workflow has it)
+app.post('/api/estimates/:id/convert', authorize('estimates', 'convert'), asyncHandler(async (req, res) => {
+  const workflow = await loadWorkflow(req.user.company_id);
+  const startStages = initialStages(workflow);
+  const status = req.body.status || (startStages.includes('approved') ? 'approved' : startStages[0]);
+  
+  if (!startStages.includes(status)) {
+    return res.status(400).json({ error: `A new order's status must be one of: ${startStages.join(', ')}` });
+  }
+  
+  const result = await withTransaction(async (client) => {
+    const before = await findEstimate(client, req, req.params.id, true);
+    
+    if (!before) return { status: 404, error: 'Estimate not found' };
+    
+    if (before.status === 'converted') {
+      return { status: 409, error: 'This estimate has already been converted', order_id: before.order_id };
+    }
+    
+    if (before.status !== 'accepted') {
+      return { status: 409, error: 'Only an accepted estimate can be converted' };
+    }
+    
+    const order = await convertEstimate(client, req, before, status);
+    
+    return { before, after: await findEstimate(client, req, before.id), order };
+  });
+  
+  if (result.error) {
+    const { status: code, ...body } = result;
+    return res.status(code).json(body);
+  }
+  
+  await recordAudit(req, { entity: 'order', action: 'create', after: result.order });
+  await recordAudit(req, { entity: 'estimate', action: 'update', before: result.before, after: result.after });
+  res.status(201).json({ estimate: presentEstimate(result.after), order: result.order });
+}));
+
+// ============================================
+// INSPECTION ENDPOINTS
+// ============================================
+
+app.get('/api/inspections', authorize('inspections', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT i.*, o.order_number FROM inspection i LEFT JOIN "order" o ON i.order_id = o.id WHERE i.company_id = $1 ORDER BY i.created_at DESC', [req.user.company_id]);
+  res.json(result.rows);
+}));
+
+app.post('/api/inspections', authorize('inspections', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, order_id, name, note } = req.body;
+  
+  if (!order_id || !name || !location_id) {
+    return res.status(400).json({ error: 'order_id, name, and location_id are required' });
+  }
+  
+  if (await rejectForeignReferences(req, res, { location_id, order_id })) return;
+  
+  const result = await pool.query(
+    'INSERT INTO inspection (company_id, location_id, order_id, name, note) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [req.user.company_id, location_id, order_id, name, note || '']
+  );
+  
+  await recordAudit(req, { entity: 'inspection', action: 'create', after: result.rows[0] });
+  res.status(201).json(result.rows[0]);
+}));
+
+app.put('/api/inspections/:id', authorize('inspections', 'update'), asyncHandler(async (req, res) => {
+  const { name, note, completed, completed_by_id } = req.body;
+  
+  if (await rejectForeignReferences(req, res, { completed_by_id })) return;
+  
+  const before = await loadForAudit('inspection', req.params.id, req.user.company_id);
+  const result = await pool.query(
+    'UPDATE inspection SET name = COALESCE($1, name), note = COALESCE($2, note), completed = COALESCE($3, completed), completed_by_id = COALESCE($4, completed_by_id), completed_date = CASE WHEN $3 = true THEN CURRENT_TIMESTAMP ELSE completed_date END, updated_at = CURRENT_TIMESTAMP WHERE id = $5 AND company_id = $6 RETURNING *',
+    [name, note, completed, completed_by_id, req.params.id, req.user.company_id]
+  );
+  
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Inspection not found' });
+  
+  await recordAudit(req, { entity: 'inspection', action: 'update', before, after: result.rows[0] });
+  res.json(result.rows[0]);
+}));
+
+// ============================================
+// INSPECTION_ITEM ENDPOINTS
+// ============================================
+
+// recommended_canned_service_ids: canned services that fix what the item found
+app.post('/api/inspection-items', authorize('inspections', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, inspection_id, name, message, status, recommended_canned_service_ids = [] } = req.body;
+  
+  if (!inspection_id || !name || !message || !location_id) {
+    return res.status(400).json({ error: 'inspection_id, name, message, and location_id are required' });
+  }
+  
+  if (!Array.isArray(recommended_canned_service_ids)) {
+    return res.status(400).json({ error: 'recommended_canned_service_ids must be an array' });
+  }
+  
+  if (await rejectForeignReferences(req, res, { location_id, inspection_id, recommended_canned_service_ids })) return;
+  
+  const result = await pool.query(
+    'INSERT INTO inspection_item (company_id, location_id, inspection_id, name, message, status, recommended_canned_service_ids) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+    [req.user.company_id, location_id, inspection_id, name, message, status || 'pending', JSON.stringify(recommended_canned_service_ids)]
+  );
+  
+  await recordAudit(req, { entity: 'inspection_item', action: 'create', after: result.rows[0] });
+  res.status(201).json(result.rows[0]);
+}));
+
+app.get('/api/inspections/:id/items', authorize('inspections', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM inspection_item WHERE inspection_id = $1 AND company_id = $2 ORDER BY ordinal', [req.params.id, req.user.company_id]);
+  res.json(result.rows);
+}));
+
+// ============================================
+// TRANSACTION ENDPOINTS
+// ============================================
+
+app.get('/api/transactions', authorize('transactions', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.user.company_id];
+  const scope = locationScopeClause(req, params, 't.location_id');
+  const result = await pool.query(`
+    SELECT t.*, c.first_name, c.last_name, o.order_number
+    FROM "transaction" t
+    LEFT JOIN customer c ON t.customer_id = c.id
+    LEFT JOIN "order" o ON t.order_id = o.id
+    WHERE t.company_id = $1${scope}
+    ORDER BY t.created_at DESC
+  `, params);
+  res.json(result.rows);
+}));
+
+// Payments and deposits are taken at the counter with a tender (see tenders.js),
+// from the order's customer. A payment may not be more than the order's balance
+// due unless allow_overpayment is set. Refunds are made with POST /api/payments/refund.
+app.post('/api/transactions', authorize('transactions', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, order_id, customer_id, transaction_type, amount_cents, note, allow_overpayment } = req.body;
+  
+  if (!order_id || !customer_id || !amount_cents || !location_id) {
+    return res.status(400).json({ error: 'order_id, customer_id, amount_cents, and location_id are required' });
+  }
+  
+  if (transaction_type === 'refund') {
+    return res.status(400).json({ error: 'Refunds are made from the payment they give back: POST /api/payments/refund' });
+  }
+  
+  if (!PAYMENT_TYPES.includes(transaction_type || 'payment')) {
+    return res.status(400).json({ error: `transaction_type must be one of: ${PAYMENT_TYPES.join(', ')}` });
+  }
+  
+  if (await rejectForeignReferences(req, res, { location_id, order_id, customer_id })) return;
+  
+  // The order stays locked from the balance check to the insert, so two
+  // payments taken at once cannot both fit in the same balance due
+  const outcome = await withTransaction(async (client) => {
+    const order = await findOrder(client, req, order_id, true);
+    if (!order) return { status: 404, error: 'Order not found' };
+    
+    if (order.location_id !== location_id) {
+      return { status: 400, error: "location_id must be the order's location" };
+    }
+    
+    if (order.customer_id !== customer_id) {
+      return { status: 400, error: "customer_id must be the order's customer" };
+    }
+    
+    const amountError = checkPaymentAmount(order, await orderBalance(client, order), Number(amount_cents), {
+      deposit: transaction_type === 'deposit',
+      allowOverpayment: Boolean(allow_overpayment)
+    });
+    if (amountError) return amountError;
+    
+    const tender = tenderFields(req.body, Number(amount_cents));
+    if (tender.error) return { status: 400, error: tender.error };
+    
+    const result = await client.query(
+      `INSERT INTO "transaction" (
+        company_id, location_id, order_id, customer_id, transaction_type, amount_cents, payment_method,
+        payment_reference, status, applied_date, tendered_cents, change_cents, metadata, note
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *`,
+      [
+        req.user.company_id,
+        location_id,
+        order_id,
+        customer_id,
+        transaction_type || 'payment',
+        Number(amount_cents),
+        tender.payment_method,
+        tender.payment_reference,
+        tender.status,
+        tender.status === 'paid' ? new Date() : null,
+        tender.tendered_cents,
+        tender.change_cents,
+        JSON.stringify(tender.metadata),
+        note || ''
+      ]
+    );
+    
+    return {
+      created: result.rows[0],
+      settled: tender.status === 'paid' ? await settleOrderLocked(client, req, order.id) : null
+    };
+  });
+  
+  if (outcome.error) {
+    const { status, ...body } = outcome;
+    return res.status(status).json(body);
+  }
+  
+  const { created, settled } = outcome;
+  await recordAudit(req, { entity: 'transaction', action: 'create', after: created });
+  if (settled) {
+    await recordAudit(req, { entity: 'order', action: 'update', before: settled.before, after: settled.after });
+  }
+  res.status(201).json(created);
+}));
+
+// The only status change is a pending check or ACH payment clearing (paid) or
+// bouncing (failed); marking it paid moves its order to the paid stage once
+// nothing is left to pay. Card payments and refunds are kept by the payment
+// provider and cannot be edited, nor can transactions counted by a drawer close.
+// Nothing but status can be changed.
+app.put('/api/transactions/:id', authorize('transactions', 'update'), asyncHandler(async (req, res) => {
+  const { status } = req.body;
+  
+  const other = Object.keys(req.body).filter(field => field !== 'status');
+  if (other.length > 0) {
+    return res.status(400).json({ error: `Only status can be changed; not ${other.join(', ')}` });
+  }
+  if (status === undefined) {
+    return res.status(400).json({ error: 'status is required' });
+  }
+  
+  const outcome = await withTransaction(async (client) => {
+    const params = [req.params.id, req.user.company_id];
+    const scope = locationScopeClause(req, params);
+    const found = await client.query(
+      `SELECT * FROM "transaction" WHERE id = $1 AND company_id = $2${scope} FOR UPDATE`,
+      params
+    );
+    const before = found.rows[0];
+    
+    if (!before) return { status: 404, error: 'Transaction not found' };
+    
+    if (before.payment_method === 'stripe' || before.transaction_type === 'refund') {
+      return { status: 400, error: 'Card payments and refunds cannot be edited' };
+    }
+    
+    if (before.drawer_close_id) {
+      return { status: 409, error: 'This transaction was counted in a drawer close and can no longer be changed' };
+    }
+    
+    if (status !== before.status &&
+        !(['ach', 'check'].includes(before.payment_method) && before.status === 'pending' && ['paid', 'failed'].includes(status))) {
+      return { status: 400, error: 'Only a pending check or ACH payment can change status, to paid or failed' };
+    }
+    
+    const result = await client.query(
+      'UPDATE "transaction" SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [status, before.id]
+    );
+    const row = result.rows[0];
+    
+    return {
+      before,
+      updated: row,
+      settled: row.status === 'paid' ? await settleOrderLocked(client, req, row.order_id) : null
+    };
+  });
+  
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  
+  const { before, updated, settled } = outcome;
+  await recordAudit(req, { entity: 'transaction', action: 'update', before, after: updated });
+  if (settled) {
+    await recordAudit(req, { entity: 'order', action: 'update', before: settled.before, after: settled.after });
+  }
+  res.json(updated);
+}));
+
+// Receipt of a transaction as JSON, or a printable page with ?format=html.
+// The receipt number is issued the first time the receipt is asked for.
+app.get('/api/transactions/:id/receipt', authorize('transactions', 'read'), asyncHandler(async (req, res) => {
+  const transaction = await withTransaction(async (client) => {
+    const params = [req.params.id, req.user.company_id];
+    const scope = locationScopeClause(req, params);
+    const result = await client.query(
+      `SELECT * FROM "transaction" WHERE id = $1 AND company_id = $2${scope} FOR UPDATE`,
+      params
+    );
+    const row = result.rows[0];
+    
+    if (!row || row.receipt_number) return row;
+    
+    const receiptNumber = await nextNumber(client, {
+      companyId: row.company_id,
+      locationId: row.location_id,
+      documentType: 'receipt'
+    });
+    const updated = await client.query(
+      'UPDATE "transaction" SET receipt_number = $1 WHERE id = $2 RETURNING *',
+      [receiptNumber, row.id]
+    );
+    return updated.rows[0];
+  });
+  
+  if (!transaction) return res.status(404).json({ error: 'Transaction not found' });
+  
+  const receipt = await loadReceipt(pool, transaction);
+  
+  if (req.query.format === 'html') {
+    return res.type('html').send(receiptHtml(receipt));
+  }
+  
+  res.json(receipt);
+}));
+
+// ============================================
+// CASH DRAWER ENDPOINTS
+// ============================================
+// End-of-day close of a location's drawer (see tenders.js)
+
+const findLocation = async (req, id) => {
+  const result = await pool.query('SELECT * FROM location WHERE id = $1 AND company_id = $2', [id, req.user.company_id]);
+  return result.rows[0];
+};
+
+// What closing the drawer for ?date= (default today) would count, and the
+// close when the day is closed already
+app.get('/api/locations/:id/drawer', authorize('cash_drawer', 'read'), asyncHandler(async (req, res) => {
+  const businessDate = req.query.date || today();
+  
+  const dateError = checkBusinessDate(businessDate);
+  if (dateError) return res.status(400).json({ error: dateError });
+  
+  const location = await findLocation(req, req.params.id);
+  if (!location) return res.status(404).json({ error: 'Location not found' });
+  if (rejectOutOfScopeLocation(req, res, location.id)) return;
+  
+  const close = await pool.query(
+    'SELECT * FROM drawer_close WHERE location_id = $1 AND business_date = $2',
+    [location.id, businessDate]
+  );
+  const { transaction_ids, ...summary } = await drawerSummary(pool, location.id, businessDate);
+  
+  res.json({ ...summary, transaction_count: transaction_ids.length, close: close.rows[0] || null });
+}));
+
+// Close the drawer for business_date (default today): counted_cash_cents is the
+// cash in the drawer, float_cents the cash it started the day with
+app.post('/api/locations/:id/drawer/close', authorize('cash_drawer', 'close'), asyncHandler(async (req, res) => {
+  const { counted_cash_cents, float_cents, note } = req.body;
+  const businessDate = req.body.business_date || today();
+  
+  const dateError = checkBusinessDate(businessDate);
+  if (dateError) return res.status(400).json({ error: dateError });
+  
+  const counted = Number(counted_cash_cents);
+  const float = float_cents === undefined ? 0 : Number(float_cents);
+  if (counted_cash_cents === undefined || !Number.isInteger(counted) || counted < 0) {
+    return res.status(400).json({ error: 'counted_cash_cents is required (a whole number of cents, 0 or more)' });
+  }
+  if (!Number.isInteger(float) || float < 0) {
+    return res.status(400).json({ error: 'float_cents must be a whole number of cents, 0 or more' });
+  }
+  
+  const location = await findLocation(req, req.params.id);
+  if (!location) return res.status(404).json({ error: 'Location not found' });
+  if (rejectOutOfScopeLocation(req, res, location.id)) return;
+  
+  const result = await withTransaction(client => closeDrawer(client, req, location, {
+    businessDate,
+    countedCashCents: counted,
+    floatCents: float,
+    note
+  }));
   
-  res.status(201).json(result.rows[0]);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  await recordAudit(req, { entity: 'drawer_close', action: 'create', after: result });
+  res.status(201).json(result);
 }));
 
-app.put('/api/transactions/:id', asyncHandler(async (req, res) => {
-  const { status, applied_date, note } = req.body;
+// Drawer closes, newest first; filter with location_id, start_date and end_date
+app.get('/api/drawer-closes', authorize('cash_drawer', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.user.company_id];
+  let where = 'WHERE company_id = $1';
   
+  for (const [field, clause] of [['location_id', 'location_id ='], ['start_date', 'business_date >='], ['end_date', 'business_date <=']]) {
+    if (req.query[field]) {
+      params.push(req.query[field]);
+      where += ` AND ${clause} $${params.length}`;
+    }
+  }
+  
+  const scope = locationScopeClause(req, params);
   const result = await pool.query(
-    'UPDATE "transaction" SET status = COALESCE($1, status), applied_date = COALESCE($2, applied_date), note = COALESCE($3, note), updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
-    [status, applied_date, note, req.params.id]
+    `SELECT * FROM drawer_close ${where}${scope} ORDER BY business_date DESC, created_at DESC`,
+    params
   );
   
-  if (result.rows.length === 0) return res.status(404).json({ error: 'Transaction not found' });
-  res.json(result.rows[0]);
+  res.json(result.rows);
 }));
 
 // ============================================
 // TIMESHEET ENDPOINTS
 // ============================================
 
-app.get('/api/timesheets', asyncHandler(async (req, res) => {
+app.get('/api/timesheets', authorize('timesheets', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.user.company_id];
+  const scope = locationScopeClause(req, params, 't.location_id');
   const result = await pool.query(`
     SELECT t.*, u.first_name, u.last_name, o.order_number, s.name as service_name
     FROM timesheet t
     LEFT JOIN "user" u ON t.technician_id = u.id
     LEFT JOIN "order" o ON t.order_id = o.id
     LEFT JOIN service s ON t.service_id = s.id
+    WHERE t.company_id = $1${scope}
     ORDER BY t.clock_in DESC
-  `);
+  `, params);
   res.json(result.rows);
 }));
 
-app.post('/api/timesheets', asyncHandler(async (req, res) => {
-  const { company_id, location_id, technician_id, order_id, service_id, activity, type, clock_in, note } = req.body;
+app.post('/api/timesheets', authorize('timesheets', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, technician_id, order_id, service_id, activity, type, clock_in, note } = req.body;
   
   if (!technician_id || !activity || !type || !clock_in || !location_id) {
     return res.status(400).json({ error: 'technician_id, activity, type, clock_in, and location_id are required' });
   }
   
-  const result = await pool.query(
-    'INSERT INTO timesheet (company_id, location_id, technician_id, order_id, service_id, activity, type, clock_in, note, number) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
-    [company_id || uuidv4(), location_id, technician_id, order_id, service_id, activity, type, clock_in, note || '', `TS-${Date.now()}`]
-  );
+  // Technicians can only clock themselves in
+  if (req.user.role === ROLES.TECHNICIAN && technician_id !== req.user.id) {
+    return res.status(403).json({ error: 'Technicians can only create their own timesheets' });
+  }
+  
+  if (rejectOutOfScopeLocation(req, res, location_id)) return;
+  if (await rejectForeignReferences(req, res, { location_id, technician_id, order_id, service_id })) return;
+  
+  const result = await withTransaction(async (client) => {
+    const number = await nextNumber(client, {
+      companyId: req.user.company_id,
+      locationId: location_id,
+      documentType: 'timesheet'
+    });
+    
+    return client.query(
+      'INSERT INTO timesheet (company_id, location_id, technician_id, order_id, service_id, activity, type, clock_in, note, number) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
+      [req.user.company_id, location_id, technician_id, order_id, service_id, activity, type, clock_in, note || '', number]
+    );
+  });
   
+  await recordAudit(req, { entity: 'timesheet', action: 'create', after: result.rows[0] });
   res.status(201).json(result.rows[0]);
 }));
 
-app.put('/api/timesheets/:id', asyncHandler(async (req, res) => {
+app.put('/api/timesheets/:id', authorize('timesheets', 'update'), asyncHandler(async (req, res) => {
   const { clock_out, in_progress, note } = req.body;
   
-  const result = await pool.query(
-    'UPDATE timesheet SET clock_out = COALESCE($1, clock_out), in_progress = COALESCE($2, in_progress), note = COALESCE($3, note), updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
-    [clock_out, in_progress, note, req.params.id]
-  );
+  const params = [clock_out, in_progress, note, req.params.id, req.user.company_id];
+  let query = 'UPDATE timesheet SET clock_out = COALESCE($1, clock_out), in_progress = COALESCE($2, in_progress), note = COALESCE($3, note), updated_at = CURRENT_TIMESTAMP WHERE id = $4 AND company_id = $5' + locationScopeClause(req, params);
+  
+  // Technicians can only edit their own timesheets
+  if (req.user.role === ROLES.TECHNICIAN) {
+    params.push(req.user.id);
+    query += ` AND technician_id = $${params.length}`;
+  }
+  
+  const before = await loadForAudit('timesheet', req.params.id, req.user.company_id);
+  const result = await pool.query(query + ' RETURNING *', params);
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'Timesheet not found' });
+  
+  await recordAudit(req, { entity: 'timesheet', action: 'update', before, after: result.rows[0] });
   res.json(result.rows[0]);
 }));
 
@@ -1090,34 +4109,38 @@ app.put('/api/timesheets/:id', asyncHandler(async (req, res) => {
 // MESSAGE ENDPOINTS
 // ============================================
 
-app.get('/api/messages', asyncHandler(async (req, res) => {
+app.get('/api/messages', authorize('messages', 'read'), asyncHandler(async (req, res) => {
   const result = await pool.query(`
     SELECT m.*, c.first_name, c.last_name, o.order_number
     FROM message m
     LEFT JOIN customer c ON m.customer_id = c.id
     LEFT JOIN "order" o ON m.order_id = o.id
+    WHERE m.company_id = $1
     ORDER BY m.created_at DESC
-  `);
+  `, [req.user.company_id]);
   res.json(result.rows);
 }));
 
-app.post('/api/messages', asyncHandler(async (req, res) => {
-  const { company_id, location_id, customer_id, order_id, message_type, channel, body, subject, direction } = req.body;
+app.post('/api/messages', authorize('messages', 'create'), asyncHandler(async (req, res) => {
+  const { location_id, customer_id, order_id, message_type, channel, body, subject, direction } = req.body;
   
   if (!customer_id || !body || !location_id) {
     return res.status(400).json({ error: 'customer_id, body, and location_id are required' });
   }
   
+  if (await rejectForeignReferences(req, res, { location_id, customer_id, order_id })) return;
+  
   const result = await pool.query(
     'INSERT INTO message (company_id, location_id, customer_id, order_id, message_type, channel, body, subject, direction) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-    [company_id || uuidv4(), location_id, customer_id, order_id, message_type, channel, body, subject, direction || 'outbound']
+    [req.user.company_id, location_id, customer_id, order_id, message_type, channel, body, subject, direction || 'outbound']
   );
   
+  await recordAudit(req, { entity: 'message', action: 'create', after: result.rows[0] });
   res.status(201).json(result.rows[0]);
 }));
 
-app.get('/api/messages/:id', asyncHandler(async (req, res) => {
-  const result = await pool.query('SELECT * FROM message WHERE id = $1', [req.params.id]);
+app.get('/api/messages/:id', authorize('messages', 'read'), asyncHandler(async (req, res) => {
+  const result = await pool.query('SELECT * FROM message WHERE id = $1 AND company_id = $2', [req.params.id, req.user.company_id]);
   
   if (result.rows.length === 0) return res.status(404).json({ error: 'Message not found' });
   res.json(result.rows[0]);
@@ -1127,7 +4150,7 @@ app.get('/api/messages/:id', asyncHandler(async (req, res) => {
 // SEARCH ENDPOINTS
 // ============================================
 
-app.get('/api/search', asyncHandler(async (req, res) => {
+app.get('/api/search', authorize('search', 'read'), asyncHandler(async (req, res) => {
   const { search } = parseQueryParams(req);
   
   if (!search || search.length < 2) {
@@ -1137,18 +4160,18 @@ app.get('/api/search', asyncHandler(async (req, res) => {
   const searchTerm = `%${search}%`;
   
   const customers = await pool.query(
-    'SELECT id, first_name, last_name, company_name, \'customer\' as type FROM customer WHERE (first_name ILIKE $1 OR last_name ILIKE $1 OR company_name ILIKE $1) AND deleted = false LIMIT 10',
-    [searchTerm]
+    'SELECT id, first_name, last_name, company_name, \'customer\' as type FROM customer WHERE (first_name ILIKE $1 OR last_name ILIKE $1 OR company_name ILIKE $1) AND company_id = $2 AND deleted = false LIMIT 10',
+    [searchTerm, req.user.company_id]
   );
   
   const vehicles = await pool.query(
-    'SELECT id, name, make, model, year, \'vehicle\' as type FROM vehicle WHERE (name ILIKE $1 OR make ILIKE $1 OR model ILIKE $1) AND deleted = false LIMIT 10',
-    [searchTerm]
+    'SELECT id, name, make, model, year, \'vehicle\' as type FROM vehicle WHERE (name ILIKE $1 OR make ILIKE $1 OR model ILIKE $1) AND company_id = $2 AND deleted = false LIMIT 10',
+    [searchTerm, req.user.company_id]
   );
   
   const orders = await pool.query(
-    'SELECT id, order_number, \'order\' as type FROM "order" WHERE order_number ILIKE $1 AND deleted = false LIMIT 10',
-    [searchTerm]
+    'SELECT id, order_number, \'order\' as type FROM "order" WHERE order_number ILIKE $1 AND company_id = $2 AND deleted = false LIMIT 10',
+    [searchTerm, req.user.company_id]
   );
   
   res.json({
@@ -1160,98 +4183,25 @@ app.get('/api/search', asyncHandler(async (req, res) => {
   });
 }));
 
-// ============================================
-// APPOINTMENTS - WITH FILTERING
-// ============================================
-
-app.get('/api/appointments/filter', asyncHandler(async (req, res) => {
-  const { page, limit, offset, sort, order } = parseQueryParams(req);
-  const status = req.query.status;
-  const location_id = req.query.location_id;
-  const customer_id = req.query.customer_id;
-  const start_date = req.query.start_date;
-  const end_date = req.query.end_date;
-  
-  let whereClause = '';
-  let params = [];
-  let paramIndex = 1;
-  
-  if (status) {
-    whereClause += ` AND a.status = $${paramIndex}`;
-    params.push(status);
-    paramIndex++;
-  }
-  
-  if (location_id) {
-    whereClause += ` AND a.location_id = $${paramIndex}`;
-    params.push(location_id);
-    paramIndex++;
-  }
-  
-  if (customer_id) {
-    whereClause += ` AND a.customer_id = $${paramIndex}`;
-    params.push(customer_id);
-    paramIndex++;
-  }
-  
-  if (start_date) {
-    whereClause += ` AND a.start_date >= $${paramIndex}`;
-    params.push(start_date);
-    paramIndex++;
-  }
-  
-  if (end_date) {
-    whereClause += ` AND a.end_date <= $${paramIndex}`;
-    params.push(end_date);
-    paramIndex++;
-  }
-  
-  const countQuery = `
-    SELECT COUNT(*) as count FROM appointment a
-    WHERE 1=1 ${whereClause}
-  `;
-  
-  const countResult = await pool.query(countQuery, params);
-  const total = parseInt(countResult.rows[0].count);
-  
-  const mainQuery = `
-    SELECT a.*, c.first_name, c.last_name, v.name as vehicle_name
-    FROM appointment a
-    LEFT JOIN customer c ON a.customer_id = c.id
-    LEFT JOIN vehicle v ON a.vehicle_id = v.id
-    WHERE 1=1 ${whereClause}
-    ORDER BY a.${sort} ${order}
-    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-  `;
-  
-  params.push(limit, offset);
-  
-  const result = await pool.query(mainQuery, params);
-  
-  res.json({
-    data: result.rows,
-    pagination: {
-      page,
-      limit,
-      total,
-      pages: Math.ceil(total / limit)
-    }
-  });
-}));
-
 // ============================================
 // REPORTS - BUSINESS INTELLIGENCE
 // ============================================
 
 // Revenue Report
-app.get('/api/reports/revenue', asyncHandler(async (req, res) => {
+app.get('/api/reports/revenue', authorize('reports', 'read'), asyncHandler(async (req, res) => {
   const start_date = req.query.start_date;
   const end_date = req.query.end_date;
   const location_id = req.query.location_id;
   
-  let whereClause = 'WHERE t.status = \'completed\' OR t.status = \'paid\'';
-  let params = [];
-  let paramIndex = 1;
+  let whereClause = 'WHERE t.company_id = $1 AND (t.status = \'completed\' OR t.status = \'paid\')';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND t.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
   
   if (start_date) {
     whereClause += ` AND t.created_at >= $${paramIndex}`;
@@ -1271,22 +4221,31 @@ app.get('/api/reports/revenue', asyncHandler(async (req, res) => {
     paramIndex++;
   }
   
+  // Refunds are netted out of the revenue; the other figures are of the money taken
   const result = await pool.query(`
     SELECT 
-      SUM(amount_cents) as total_revenue_cents,
-      COUNT(*) as transaction_count,
-      AVG(amount_cents) as avg_transaction_cents,
-      MAX(amount_cents) as max_transaction_cents,
-      MIN(amount_cents) as min_transaction_cents
+      SUM(CASE WHEN transaction_type = 'refund' THEN 0 ELSE amount_cents END) as gross_revenue_cents,
+      SUM(CASE WHEN transaction_type = 'refund' THEN amount_cents ELSE 0 END) as refunded_cents,
+      SUM(CASE WHEN transaction_type = 'refund' THEN 0 ELSE 1 END) as transaction_count,
+      SUM(CASE WHEN transaction_type = 'refund' THEN 1 ELSE 0 END) as refund_count,
+      AVG(CASE WHEN transaction_type = 'refund' THEN NULL ELSE amount_cents END) as avg_transaction_cents,
+      MAX(CASE WHEN transaction_type = 'refund' THEN NULL ELSE amount_cents END) as max_transaction_cents,
+      MIN(CASE WHEN transaction_type = 'refund' THEN NULL ELSE amount_cents END) as min_transaction_cents
     FROM "transaction" t
     ${whereClause}
   `, params);
   
   const data = result.rows[0];
+  const gross_revenue_cents = Number(data.gross_revenue_cents) || 0;
+  const refunded_cents = Number(data.refunded_cents) || 0;
+  const total_revenue_cents = gross_revenue_cents - refunded_cents;
   
   res.json({
-    total_revenue_cents: data.total_revenue_cents || 0,
-    total_revenue: ((data.total_revenue_cents || 0) / 100).toFixed(2),
+    total_revenue_cents,
+    total_revenue: (total_revenue_cents / 100).toFixed(2),
+    gross_revenue_cents,
+    refunded_cents,
+    refund_count: parseInt(data.refund_count) || 0,
     transaction_count: parseInt(data.transaction_count) || 0,
     avg_transaction: ((data.avg_transaction_cents || 0) / 100).toFixed(2),
     max_transaction: ((data.max_transaction_cents || 0) / 100).toFixed(2),
@@ -1295,12 +4254,18 @@ app.get('/api/reports/revenue', asyncHandler(async (req, res) => {
 }));
 
 // Orders by Status Report
-app.get('/api/reports/orders-by-status', asyncHandler(async (req, res) => {
+app.get('/api/reports/orders-by-status', authorize('reports', 'read'), asyncHandler(async (req, res) => {
   const location_id = req.query.location_id;
   
-  let whereClause = 'WHERE o.deleted = false';
-  let params = [];
-  let paramIndex = 1;
+  let whereClause = 'WHERE o.company_id = $1 AND o.deleted = false';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND o.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
   
   if (location_id) {
     whereClause += ` AND o.location_id = $${paramIndex}`;
@@ -1329,14 +4294,20 @@ app.get('/api/reports/orders-by-status', asyncHandler(async (req, res) => {
 }));
 
 // Technician Performance Report
-app.get('/api/reports/technician-performance', asyncHandler(async (req, res) => {
+app.get('/api/reports/technician-performance', authorize('reports', 'read'), asyncHandler(async (req, res) => {
   const location_id = req.query.location_id;
   const start_date = req.query.start_date;
   const end_date = req.query.end_date;
   
-  let whereClause = 'WHERE t.in_progress = false';
-  let params = [];
-  let paramIndex = 1;
+  let whereClause = 'WHERE t.company_id = $1 AND t.in_progress = false';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND t.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
   
   if (location_id) {
     whereClause += ` AND t.location_id = $${paramIndex}`;
@@ -1383,13 +4354,25 @@ app.get('/api/reports/technician-performance', asyncHandler(async (req, res) =>
 }));
 
 // Customer Activity Report
-app.get('/api/reports/customer-activity', asyncHandler(async (req, res) => {
+app.get('/api/reports/customer-activity', authorize('reports', 'read'), asyncHandler(async (req, res) => {
   const location_id = req.query.location_id;
   const min_orders = parseInt(req.query.min_orders) || 0;
   
-  let whereClause = 'WHERE c.deleted = false';
-  let params = [];
-  let paramIndex = 1;
+  let whereClause = 'WHERE c.company_id = $1 AND c.deleted = false';
+  let orderScope = '';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  // Customers carry a list of locations rather than a single location_id;
+  // only their orders at those locations are counted
+  if (req.locationScope) {
+    whereClause += ` AND c.location_ids ?| $${paramIndex}::text[]`;
+    params.push(req.locationScope);
+    paramIndex++;
+    orderScope = ` AND o.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
   
   if (location_id) {
     whereClause += ` AND c.location_ids::text LIKE $${paramIndex}`;
@@ -1408,7 +4391,7 @@ app.get('/api/reports/customer-activity', asyncHandler(async (req, res) => {
       MAX(o.created_at) as last_order_date,
       COUNT(DISTINCT v.id) as vehicle_count
     FROM customer c
-    LEFT JOIN "order" o ON c.id = o.customer_id
+    LEFT JOIN "order" o ON c.id = o.customer_id${orderScope}
     LEFT JOIN vehicle_owner vo ON c.id = vo.customer_id
     LEFT JOIN vehicle v ON vo.vehicle_id = v.id
     ${whereClause}
@@ -1433,13 +4416,19 @@ app.get('/api/reports/customer-activity', asyncHandler(async (req, res) => {
 }));
 
 // Inventory Status Report
-app.get('/api/reports/inventory-status', asyncHandler(async (req, res) => {
+app.get('/api/reports/inventory-status', authorize('reports', 'read'), asyncHandler(async (req, res) => {
   const location_id = req.query.location_id;
   const low_stock_threshold = parseInt(req.query.low_stock_threshold) || 5;
   
-  let whereClause = 'WHERE ip.deleted = false';
-  let params = [];
-  let paramIndex = 1;
+  let whereClause = 'WHERE ip.company_id = $1 AND ip.deleted = false';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND ip.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
   
   if (location_id) {
     whereClause += ` AND ip.location_id = $${paramIndex}`;
@@ -1454,7 +4443,7 @@ app.get('/api/reports/inventory-status', asyncHandler(async (req, res) => {
       COUNT(CASE WHEN available_quantity <= ${low_stock_threshold} THEN 1 END) as low_stock_items,
       COUNT(CASE WHEN available_quantity = 0 THEN 1 END) as out_of_stock_items,
       AVG(retail_cost_cents) as avg_part_cost_cents
-    FROM inventory_part
+    FROM inventory_part ip
     ${whereClause}
   `, params);
   
@@ -1469,20 +4458,146 @@ app.get('/api/reports/inventory-status', asyncHandler(async (req, res) => {
   });
 }));
 
+// Sales Tax Liability Report
+// Tax charged on completed orders, by location, tax rate and period (?period=day|month|quarter|year)
+const TAX_REPORT_PERIODS = ['day', 'month', 'quarter', 'year'];
+
+app.get('/api/reports/sales-tax', authorize('reports', 'read'), asyncHandler(async (req, res) => {
+  const start_date = req.query.start_date;
+  const end_date = req.query.end_date;
+  const location_id = req.query.location_id;
+  const period = req.query.period || 'month';
+  
+  if (!TAX_REPORT_PERIODS.includes(period)) {
+    return res.status(400).json({ error: `period must be one of: ${TAX_REPORT_PERIODS.join(', ')}` });
+  }
+  
+  let whereClause = 'WHERE ot.company_id = $1 AND o.completed_date IS NOT NULL AND o.deleted = false';
+  let params = [req.user.company_id];
+  let paramIndex = 2;
+  
+  if (req.locationScope) {
+    whereClause += ` AND ot.location_id = ANY($${paramIndex})`;
+    params.push(req.locationScope);
+    paramIndex++;
+  }
+  
+  if (start_date) {
+    whereClause += ` AND o.completed_date >= $${paramIndex}`;
+    params.push(start_date);
+    paramIndex++;
+  }
+  
+  if (end_date) {
+    whereClause += ` AND o.completed_date <= $${paramIndex}`;
+    params.push(end_date);
+    paramIndex++;
+  }
+  
+  if (location_id) {
+    whereClause += ` AND ot.location_id = $${paramIndex}`;
+    params.push(location_id);
+    paramIndex++;
+  }
+  
+  const result = await pool.query(`
+    SELECT 
+      DATE_TRUNC('${period}', o.completed_date) as period_start,
+      ot.location_id,
+      l.name as location_name,
+      ot.tax_rate_id,
+      ot.name as tax_name,
+      COUNT(DISTINCT ot.order_id) as order_count,
+      SUM(ot.taxable_cents) as taxable_cents,
+      SUM(ot.tax_cents) as tax_cents
+    FROM order_tax ot
+    JOIN "order" o ON ot.order_id = o.id
+    LEFT JOIN location l ON ot.location_id = l.id
+    ${whereClause}
+    GROUP BY DATE_TRUNC('${period}', o.completed_date), ot.location_id, l.name, ot.tax_rate_id, ot.name
+    ORDER BY period_start, location_name, tax_name
+  `, params);
+  
+  const data = result.rows.map(row => ({
+    period_start: row.period_start,
+    location_id: row.location_id,
+    location_name: row.location_name,
+    tax_rate_id: row.tax_rate_id,
+    tax_name: row.tax_name,
+    order_count: parseInt(row.order_count) || 0,
+    taxable_cents: parseInt(row.taxable_cents) || 0,
+    tax_cents: parseInt(row.tax_cents) || 0
+  }));
+  
+  const total_tax_cents = data.reduce((sum, row) => sum + row.tax_cents, 0);
+  
+  res.json({
+    period,
+    data,
+    total_tax_cents,
+    total_tax: (total_tax_cents / 100).toFixed(2)
+  });
+}));
+
 // ============================================
-// STRIPE PAYMENT ENDPOINTS
+// PAYMENT ENDPOINTS
 // ============================================
+// Card payments go through the configured payment provider (paymentProvider.js)
+
+// All companies share one provider account, so intents are tagged with the company that created them
+const intentBelongsToCompany = (paymentIntent, companyId) => {
+  return Boolean(paymentIntent.metadata && paymentIntent.metadata.company_id === companyId);
+};
+
+// The customer's id at the payment provider, created on first use
+const providerCustomerId = async (req, customer) => {
+  if (customer.stripe_customer_id) return customer.stripe_customer_id;
+  
+  const providerCustomer = await paymentProvider.createCustomer({
+    email: customer.email || undefined,
+    name: customer.company_name || `${customer.first_name} ${customer.last_name}`,
+    description: `Poseidon Marine Customer - ${customer.id}`
+  });
+  
+  const updated = await pool.query(
+    'UPDATE customer SET stripe_customer_id = $1 WHERE id = $2 RETURNING *',
+    [providerCustomer.id, customer.id]
+  );
+  await recordAudit(req, { entity: 'customer', action: 'update', before: customer, after: updated.rows[0] });
+  
+  return providerCustomer.id;
+};
+
+// Lock an order and move it to the paid stage when nothing is left to pay, or
+// back out of it when a refund leaves something owed (see balance.js); `client`
+// must be inside a transaction. Returns { before, after }
+// for the audit, or null when the order stays where it is.
+const settleOrderLocked = async (client, req, orderId) => {
+  const locked = await client.query('SELECT * FROM "order" WHERE id = $1 FOR UPDATE', [orderId]);
+  const before = locked.rows[0];
+  const after = before ? await settleOrder(client, req, before) : null;
+  
+  return after ? { before, after } : null;
+};
 
 // Create Payment Intent for an order
-app.post('/api/payments/create-intent', asyncHandler(async (req, res) => {
-  const { order_id, amount_cents, customer_id, description } = req.body;
+// amount_cents defaults to the balance due and may not be more than it unless
+// allow_overpayment is set. deposit takes the payment as a deposit, before the
+// work is done (and priced), for any amount. Payments recorded in the meantime are checked for again when
+// this one is recorded (see payments.js).
+app.post('/api/payments/create-intent', authorize('payments', 'create'), asyncHandler(async (req, res) => {
+  const { order_id, customer_id, description, deposit, allow_overpayment } = req.body;
+  
+  if (!order_id || !customer_id) {
+    return res.status(400).json({ error: 'order_id and customer_id are required' });
+  }
   
-  if (!order_id || !amount_cents || !customer_id) {
-    return res.status(400).json({ error: 'order_id, amount_cents, and customer_id are required' });
+  if (deposit && req.body.amount_cents === undefined) {
+    return res.status(400).json({ error: 'amount_cents is required for a deposit' });
   }
   
   // Get customer info from database
-  const customerResult = await pool.query('SELECT * FROM customer WHERE id = $1', [customer_id]);
+  const customerResult = await pool.query('SELECT * FROM customer WHERE id = $1 AND company_id = $2', [customer_id, req.user.company_id]);
   
   if (customerResult.rows.length === 0) {
     return res.status(404).json({ error: 'Customer not found' });
@@ -1490,35 +4605,37 @@ app.post('/api/payments/create-intent', asyncHandler(async (req, res) => {
   
   const customer = customerResult.rows[0];
   
+  const order = await findOrder(pool, req, order_id);
+  
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  
+  const balance = await orderBalance(pool, order);
+  const amount_cents = req.body.amount_cents === undefined ? balance.balance_due_cents : Number(req.body.amount_cents);
+  
+  const amountError = checkPaymentAmount(order, balance, amount_cents, {
+    deposit: Boolean(deposit),
+    allowOverpayment: Boolean(allow_overpayment)
+  });
+  if (amountError) {
+    const { status, ...body } = amountError;
+    return res.status(status).json(body);
+  }
+  
   try {
-    // Create Stripe Customer if they don't have one
-    let stripeCustomerId = customer.stripe_customer_id;
-    
-    if (!stripeCustomerId) {
-      const stripeCustomer = await stripe.customers.create({
-        email: customer.email || undefined,
-        name: customer.company_name || `${customer.first_name} ${customer.last_name}`,
-        description: `Poseidon Marine Customer - ${customer_id}`
-      });
-      
-      stripeCustomerId = stripeCustomer.id;
-      
-      // Save Stripe customer ID to database
-      await pool.query(
-        'UPDATE customer SET stripe_customer_id = $1 WHERE id = $2',
-        [stripeCustomerId, customer_id]
-      );
-    }
-    
-    // Create Payment Intent
-    const paymentIntent = await stripe.paymentIntents.create({
+    const paymentIntent = await paymentProvider.createPaymentIntent({
       amount: amount_cents,
       currency: 'usd',
-      customer: stripeCustomerId,
+      customer: await providerCustomerId(req, customer),
       metadata: {
         order_id,
         customer_id,
-        company: 'Poseidon Marine'
+        company_id: req.user.company_id,
+        location_id: order.location_id,
+        company: 'Poseidon Marine',
+        payment_type: deposit ? 'deposit' : 'payment',
+        allow_overpayment: allow_overpayment ? 'true' : 'false'
       },
       description: description || `Payment for Order ${order_id}`
     });
@@ -1527,26 +4644,35 @@ app.post('/api/payments/create-intent', asyncHandler(async (req, res) => {
       client_secret: paymentIntent.client_secret,
       payment_intent_id: paymentIntent.id,
       amount: amount_cents,
+      payment_type: deposit ? 'deposit' : 'payment',
+      balance_due_cents: balance.balance_due_cents,
       status: paymentIntent.status
     });
     
   } catch (error) {
-    console.error('Stripe error:', error);
+    console.error('Payment provider error:', error);
     res.status(500).json({ error: error.message });
   }
 }));
 
 // Confirm Payment and Create Transaction
-app.post('/api/payments/confirm', asyncHandler(async (req, res) => {
+// The webhook may have recorded the payment already; either way there is one
+// transaction per payment intent
+app.post('/api/payments/confirm', authorize('payments', 'create'), asyncHandler(async (req, res) => {
   const { payment_intent_id, order_id, customer_id, location_id } = req.body;
   
   if (!payment_intent_id || !order_id || !customer_id) {
     return res.status(400).json({ error: 'payment_intent_id, order_id, and customer_id are required' });
   }
   
+  if (await rejectForeignReferences(req, res, { location_id, order_id, customer_id })) return;
+  
   try {
-    // Get payment intent from Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id);
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(payment_intent_id);
+    
+    if (!intentBelongsToCompany(paymentIntent, req.user.company_id)) {
+      return res.status(404).json({ error: 'Payment intent not found' });
+    }
     
     if (paymentIntent.status !== 'succeeded') {
       return res.status(400).json({ 
@@ -1554,39 +4680,48 @@ app.post('/api/payments/confirm', asyncHandler(async (req, res) => {
       });
     }
     
-    // Create transaction record in database
-    const result = await pool.query(
-      'INSERT INTO "transaction" (company_id, location_id, order_id, customer_id, transaction_type, amount_cents, payment_method, status, payment_reference) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
-      [
-        paymentIntent.metadata.company_id || 'default',
-        location_id || paymentIntent.metadata.location_id,
-        order_id,
-        customer_id,
-        'payment',
-        paymentIntent.amount,
-        'stripe',
-        'paid',
-        paymentIntent.id
-      ]
-    );
+    const { before, after, settled } = await withTransaction(async (client) => {
+      const order = await findIntentOrder(client, paymentIntent);
+      
+      if (!order || order.id !== order_id) {
+        return { after: null };
+      }
+      
+      const recorded = await recordStripePayment(client, paymentIntent, order);
+      return { ...recorded, settled: await settleOrderLocked(client, req, order.id) };
+    });
+    
+    if (!after) {
+      return res.status(400).json({ error: 'The payment intent is not for this order' });
+    }
+    
+    await recordAudit(req, { entity: 'transaction', action: before ? 'update' : 'create', before, after });
+    if (settled) {
+      await recordAudit(req, { entity: 'order', action: 'update', before: settled.before, after: settled.after });
+    }
     
     res.json({
       success: true,
-      transaction: result.rows[0],
+      transaction: after,
+      order_paid: Boolean(settled),
       payment_status: paymentIntent.status,
       amount: paymentIntent.amount
     });
     
   } catch (error) {
-    console.error('Stripe error:', error);
+    console.error('Payment provider error:', error);
     res.status(500).json({ error: error.message });
   }
 }));
 
 // Get Payment Intent Status
-app.get('/api/payments/:payment_intent_id', asyncHandler(async (req, res) => {
+app.get('/api/payments/:payment_intent_id', authorize('payments', 'read'), asyncHandler(async (req, res) => {
   try {
-    const paymentIntent = await stripe.paymentIntents.retrieve(req.params.payment_intent_id);
+    const paymentIntent = await paymentProvider.retrievePaymentIntent(req.params.payment_intent_id);
+    
+    if (!intentBelongsToCompany(paymentIntent, req.user.company_id)) {
+      return res.status(404).json({ error: 'Payment intent not found' });
+    }
     
     res.json({
       payment_intent_id: paymentIntent.id,
@@ -1597,47 +4732,190 @@ app.get('/api/payments/:payment_intent_id', asyncHandler(async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Stripe error:', error);
+    console.error('Payment provider error:', error);
     res.status(500).json({ error: error.message });
   }
 }));
 
 // Get all transactions for an order
-app.get('/api/orders/:id/payments', asyncHandler(async (req, res) => {
+app.get('/api/orders/:id/payments', authorize('payments', 'read'), asyncHandler(async (req, res) => {
+  const params = [req.params.id, req.user.company_id];
+  const scope = locationScopeClause(req, params);
+  
   const result = await pool.query(
-    'SELECT * FROM "transaction" WHERE order_id = $1 ORDER BY created_at DESC',
-    [req.params.id]
+    `SELECT * FROM "transaction" WHERE order_id = $1 AND company_id = $2${scope} ORDER BY created_at DESC`,
+    params
   );
   
   res.json(result.rows);
 }));
 
-// Refund a payment
-app.post('/api/payments/refund', asyncHandler(async (req, res) => {
-  const { payment_intent_id, reason } = req.body;
+// What has been paid on an order and what is still owed
+app.get('/api/orders/:id/balance', authorize('payments', 'read'), asyncHandler(async (req, res) => {
+  const order = await findOrder(pool, req, req.params.id);
   
-  if (!payment_intent_id) {
-    return res.status(400).json({ error: 'payment_intent_id is required' });
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+  
+  res.json({ ...await orderBalance(pool, order), order_status: order.status });
+}));
+
+// Reasons the payment provider accepts; any other reason is kept in the
+// refund's note and sent as requested_by_customer
+const PROVIDER_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// Refund a payment or deposit, in full or in part, as a refund transaction
+// linked to it. The payment is named by transaction_id, or payment_intent_id
+// for card payments; amount_cents defaults to all that is left to refund.
+// Card payments are refunded through the payment provider, others (cash,
+// check) record money given back. A card refund is recorded as pending before
+// the provider is asked (see payments.js) and keyed by that row, so a retry
+// never refunds twice. A paid order that owes money again goes back to the
+// stage it was paid from.
+app.post('/api/payments/refund', authorize('payments', 'refund'), asyncHandler(async (req, res) => {
+  const { transaction_id, payment_intent_id, reason } = req.body;
+  
+  if (!transaction_id && !payment_intent_id) {
+    return res.status(400).json({ error: 'transaction_id or payment_intent_id is required' });
   }
   
   try {
-    const refund = await stripe.refunds.create({
-      payment_intent: payment_intent_id,
-      reason: reason || 'requested_by_customer'
+    const prepared = await withTransaction(async (client) => {
+      const params = [req.user.company_id, PAYMENT_TYPES];
+      let where = 'company_id = $1 AND transaction_type = ANY($2)';
+      
+      if (transaction_id) {
+        params.push(transaction_id);
+        where += ` AND id = $${params.length}`;
+      } else {
+        params.push(payment_intent_id);
+        where += ` AND payment_method = 'stripe' AND payment_reference = $${params.length}`;
+      }
+      const scope = locationScopeClause(req, params);
+      
+      const found = await client.query(`SELECT * FROM "transaction" WHERE ${where}${scope} FOR UPDATE`, params);
+      const payment = found.rows[0];
+      
+      if (!payment) return { status: 404, error: 'Payment not found' };
+      if (payment.status !== 'paid') {
+        return { status: 409, error: `Only paid payments can be refunded; this one is ${payment.status}` };
+      }
+      
+      const refundable = await refundableCents(client, payment);
+      const amount = req.body.amount_cents === undefined ? refundable : Number(req.body.amount_cents);
+      
+      if (refundable <= 0) return { status: 409, error: 'This payment has been refunded in full' };
+      if (!Number.isInteger(amount) || amount <= 0) {
+        return { status: 400, error: 'amount_cents must be a whole number of cents greater than 0' };
+      }
+      if (amount > refundable) {
+        return { status: 409, error: `Only ${refundable} cents of this payment are left to refund`, refundable_cents: refundable };
+      }
+      
+      if (payment.payment_method === 'stripe') {
+        return { payment, pending: await startStripeRefund(client, payment, amount, reason || null) };
+      }
+      
+      const inserted = await client.query(
+        `INSERT INTO "transaction" (
+          company_id, location_id, order_id, customer_id, transaction_type, amount_cents, payment_method,
+          status, applied_date, note, original_transaction_id
+        ) VALUES ($1, $2, $3, $4, 'refund', $5, $6, 'paid', CURRENT_TIMESTAMP, $7, $8) RETURNING *`,
+        [payment.company_id, payment.location_id, payment.order_id, payment.customer_id, amount, payment.payment_method, reason || null, payment.id]
+      );
+      
+      return { before: null, after: inserted.rows[0], settled: await settleOrderLocked(client, req, payment.order_id) };
     });
     
+    if (prepared.error) {
+      const { status, ...body } = prepared;
+      return res.status(status).json(body);
+    }
+    
+    let result = prepared;
+    
+    if (prepared.pending) {
+      const { payment, pending } = prepared;
+      await recordAudit(req, { entity: 'transaction', action: 'create', before: null, after: pending });
+      
+      let refund;
+      try {
+        refund = await paymentProvider.refund({
+          payment_intent: payment.payment_reference,
+          amount: pending.amount_cents,
+          reason: PROVIDER_REFUND_REASONS.includes(reason) ? reason : 'requested_by_customer',
+          metadata: { transaction_id: pending.id }
+        }, { idempotencyKey: pending.id });
+      } catch (error) {
+        // Without an answer the refund may have been made: it stays pending
+        // until the provider's webhook reports it
+        if (error.type === 'StripeConnectionError') throw error;
+        
+        console.error('Payment provider error:', error);
+        const failed = await withTransaction(client => failStripeRefund(client, pending, error));
+        await recordAudit(req, { entity: 'transaction', action: 'update', before: failed.before, after: failed.after });
+        return res.status(500).json({ error: error.message, transaction: failed.after });
+      }
+      
+      result = await withTransaction(async (client) => ({
+        refund,
+        ...await recordStripeRefund(client, payment, refund, reason || null),
+        settled: await settleOrderLocked(client, req, payment.order_id)
+      }));
+    }
+    
+    await recordAudit(req, { entity: 'transaction', action: result.before ? 'update' : 'create', before: result.before, after: result.after });
+    if (result.settled) {
+      await recordAudit(req, { entity: 'order', action: 'update', before: result.settled.before, after: result.settled.after });
+    }
+    
     res.json({
-      refund_id: refund.id,
-      status: refund.status,
-      amount: refund.amount
+      refund_id: result.refund ? result.refund.id : result.after.id,
+      status: result.refund ? result.refund.status : 'succeeded',
+      amount: result.after.amount_cents,
+      transaction: result.after
     });
     
   } catch (error) {
-    console.error('Stripe error:', error);
+    console.error('Payment provider error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}));
+
+// Save a card (a payment method collected by the provider's card form) to a
+// customer, as their default for later payments
+app.post('/api/payments/save-card', authorize('payments', 'create'), asyncHandler(async (req, res) => {
+  const { customer_id, payment_method_id } = req.body;
+  
+  if (!customer_id || !payment_method_id) {
+    return res.status(400).json({ error: 'customer_id and payment_method_id are required' });
+  }
+  
+  const customerResult = await pool.query('SELECT * FROM customer WHERE id = $1 AND company_id = $2', [customer_id, req.user.company_id]);
+  
+  if (customerResult.rows.length === 0) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  
+  try {
+    const providerCustomer = await providerCustomerId(req, customerResult.rows[0]);
+    const card = await paymentProvider.saveCard(providerCustomer, payment_method_id);
+    
+    res.json({ customer_id, card });
+    
+  } catch (error) {
+    console.error('Payment provider error:', error);
     res.status(500).json({ error: error.message });
   }
 }));
 
+// Standard error handler; registered after the routes so it receives their errors
+app.use((err, req, res, next) => {
+  console.error(err);
+  res.status(err.status || 500).json({ 
+    error: err.message || 'Internal server error' 
+  });
+});
+
 // ============================================
 // SERVER STARTUP
 // ============================================
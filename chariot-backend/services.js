@@ -0,0 +1,230 @@
+const pool = require('./database');
+const { recalculateOrder } = require('./pricing');
+const { partLineDefaults, syncOrderStock } = require('./inventory');
+const { copyLineToOrder } = require('./lineItems');
+
+// Canned services: packages of labor, parts and fees (service_item rows) that
+// writers add to an order in one go instead of building the lines by hand.
+//
+// Applying a service adds a line for the service itself (no price of its own)
+// with one line per item grouped under it, all with source_service_id set:
+//   labor - hourly line: labor_hours at the labor rate (labor_id) or labor_rate_cents
+//   part  - part line for quantity of the part, priced and reserved like any
+//           other part line (see inventory.js)
+//   fee   - fixed line for fixed_price_cents
+// Parts are per location: on an order at another location the part with the
+// same SKU is used.
+
+const SERVICE_ITEM_KINDS = ['labor', 'part', 'fee'];
+
+// Columns of service_item set from the API
+const SERVICE_ITEM_COLUMNS = [
+  'kind', 'name', 'description', 'labor_id', 'labor_hours', 'labor_rate_cents',
+  'inventory_part_id', 'quantity', 'fixed_price_cents', 'taxable', 'hidden'
+];
+
+const isPositive = (value) => Number.isFinite(Number(value)) && Number(value) > 0;
+
+// Validate the items of a service; returns an error message or null
+const checkServiceItems = (items) => {
+  if (!Array.isArray(items)) return 'items must be an array';
+
+  for (const item of items) {
+    if (!item || !SERVICE_ITEM_KINDS.includes(item.kind)) {
+      return `Each item needs a kind: ${SERVICE_ITEM_KINDS.join(', ')}`;
+    }
+
+    if (item.kind === 'labor') {
+      if (!isPositive(item.labor_hours)) return 'Labor items need labor_hours greater than 0';
+      if (!item.labor_id && !isPositive(item.labor_rate_cents)) {
+        return 'Labor items need a labor_id or labor_rate_cents';
+      }
+    }
+
+    if (item.kind === 'part') {
+      if (!item.inventory_part_id) return 'Part items need an inventory_part_id';
+      if (!isPositive(item.quantity)) return 'Part items need a quantity greater than 0';
+    }
+
+    if (item.kind === 'fee') {
+      if (!item.name) return 'Fee items need a name';
+      if (!Number.isInteger(Number(item.fixed_price_cents)) || Number(item.fixed_price_cents) < 0) {
+        return 'Fee items need fixed_price_cents (a whole number of cents, 0 or more)';
+      }
+    }
+  }
+
+  return null;
+};
+
+// Items of a service in the order they are applied
+const loadServiceItems = async (serviceId, db = pool) => {
+  const result = await db.query(
+    'SELECT * FROM service_item WHERE service_id = $1 ORDER BY ordinal, created_at',
+    [serviceId]
+  );
+  return result.rows;
+};
+
+// Replace the items of a service (checked with checkServiceItems); returns them
+const saveServiceItems = async (db, service, items) => {
+  await db.query('DELETE FROM service_item WHERE service_id = $1', [service.id]);
+
+  for (const [index, item] of items.entries()) {
+    const values = SERVICE_ITEM_COLUMNS.map(column => {
+      if (column === 'hidden') return item.hidden === true;
+      return item[column] === undefined ? null : item[column];
+    });
+
+    await db.query(
+      `INSERT INTO service_item (company_id, service_id, ordinal, ${SERVICE_ITEM_COLUMNS.join(', ')})
+       VALUES ($1, $2, $3, ${SERVICE_ITEM_COLUMNS.map((column, i) => `$${i + 4}`).join(', ')})`,
+      [service.company_id, service.id, index + 1, ...values]
+    );
+  }
+
+  return loadServiceItems(service.id, db);
+};
+
+// ============================================
+// APPLYING
+// ============================================
+
+// A line with every copied column set; `fields` fills in the work
+const packageLine = (service, fields) => ({
+  source_service_id: service.id,
+  inventory_part_id: null,
+  description: null,
+  category: null,
+  pricing: 'fixed',
+  labor_rate_cents: null,
+  labor_hours: null,
+  parts_cost_cents: null,
+  quantity: null,
+  fixed_price_cents: 0,
+  lump_sum: false,
+  discount_cents: 0,
+  discount_percent: 0,
+  discount_value_type: null,
+  tax_percent: 0,
+  taxable: service.taxable !== false,
+  note: '',
+  ...fields
+});
+
+// The part to use for an item on an order at `locationId`: the item's part, or
+// the part with its SKU at that location (null when not stocked there)
+const findLocationPart = async (db, item, locationId) => {
+  const result = await db.query('SELECT * FROM inventory_part WHERE id = $1', [item.inventory_part_id]);
+  const part = result.rows[0];
+
+  if (!part || part.location_id === locationId) return part || null;
+  if (!part.sku) return null;
+
+  const local = await db.query(
+    'SELECT * FROM inventory_part WHERE company_id = $1 AND location_id = $2 AND sku = $3 ORDER BY created_at LIMIT 1',
+    [part.company_id, locationId, part.sku]
+  );
+  return local.rows[0] || null;
+};
+
+// Line fields for one item
+const itemLine = async (db, service, item, order) => {
+  const taxable = item.taxable === null || item.taxable === undefined ? undefined : item.taxable;
+
+  if (item.kind === 'labor') {
+    let rate = item.labor_rate_cents;
+    let name = item.name;
+
+    if (item.labor_id) {
+      const labor = (await db.query('SELECT name, rate_cents FROM labor WHERE id = $1', [item.labor_id])).rows[0];
+      rate = rate || (labor && labor.rate_cents);
+      name = name || (labor && labor.name);
+    }
+
+    return packageLine(service, {
+      name: name || 'Labor',
+      description: item.description,
+      category: 'labor',
+      pricing: 'hourly',
+      labor_hours: item.labor_hours,
+      labor_rate_cents: rate,
+      ...(taxable === undefined ? {} : { taxable })
+    });
+  }
+
+  if (item.kind === 'part') {
+    const part = await findLocationPart(db, item, order.location_id);
+    if (!part) return null;
+
+    return packageLine(service, {
+      ...partLineDefaults(part),
+      inventory_part_id: part.id,
+      name: item.name || part.name,
+      description: item.description,
+      quantity: item.quantity,
+      ...(taxable === undefined ? {} : { taxable })
+    });
+  }
+
+  return packageLine(service, {
+    name: item.name,
+    description: item.description,
+    category: 'fee',
+    fixed_price_cents: item.fixed_price_cents,
+    ...(taxable === undefined ? {} : { taxable })
+  });
+};
+
+// Add a service and its items to an order (a row locked by the caller); `db`
+// must be a client inside a transaction. Returns { lineItems } with the service's
+// own line first, or { error } when a part is not stocked at the order's location.
+const applyService = async (db, order, service, items) => {
+  const last = await db.query(
+    'SELECT COALESCE(MAX(ordinal), 0) AS ordinal FROM order_line_item WHERE order_id = $1',
+    [order.id]
+  );
+  let ordinal = Number(last.rows[0].ordinal);
+
+  const lines = [];
+  for (const item of items) {
+    const line = await itemLine(db, service, item, order);
+
+    if (!line) {
+      return { error: `A part of ${service.name} is not stocked at this order's location` };
+    }
+
+    lines.push({ line, hidden: item.hidden });
+  }
+
+  ordinal += 1;
+  const parent = await copyLineToOrder(db, order, packageLine(service, {
+    name: service.name,
+    description: service.description,
+    category: service.category,
+    ordinal
+  }));
+
+  const created = [parent];
+  for (const { line, hidden } of lines) {
+    ordinal += 1;
+    created.push(await copyLineToOrder(db, order, { ...line, ordinal }, { parent_id: parent.id, hidden }));
+  }
+
+  await recalculateOrder(order.id, order.company_id, db);
+  await syncOrderStock(db, order.id);
+
+  const result = await db.query(
+    'SELECT * FROM order_line_item WHERE id = ANY($1) ORDER BY ordinal',
+    [created.map(line => line.id)]
+  );
+  return { lineItems: result.rows };
+};
+
+module.exports = {
+  SERVICE_ITEM_KINDS,
+  checkServiceItems,
+  loadServiceItems,
+  saveServiceItems,
+  applyService
+};
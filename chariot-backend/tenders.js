@@ -0,0 +1,192 @@
+const { PAYMENT_TYPES } = require('./balance');
+const { localDate } = require('./dates');
+
+// Payments taken at the counter, and the end-of-day close of each location's
+// cash drawer.
+//
+// Tenders (the payment_method of payments and deposits entered by hand):
+//   cash         - amount_tendered_cents handed over (default: the amount);
+//                  the change given back is recorded as change_cents
+//   check        - check_number
+//   ach          - ach_reference; pending until the transfer clears (mark it paid)
+//   card_present - card_reference from the terminal, optionally card_last4
+// The number or reference is kept as payment_reference. Card payments taken
+// online are recorded by the payment provider as 'stripe' (see payments.js).
+//
+// A drawer close counts every paid transaction of its location not closed yet,
+// up to the end of its business day: money taken after a close is counted by
+// the next one. The cash expected is the float plus cash taken less cash
+// refunded. Closed transactions cannot be edited, though the payment provider
+// still reports on card payments (disputes).
+
+const TENDERS = {
+  cash: { status: 'paid', reference: null },
+  check: { status: 'paid', reference: 'check_number' },
+  ach: { status: 'pending', reference: 'ach_reference' },
+  card_present: { status: 'paid', reference: 'card_reference' }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Transaction fields for a payment of amountCents taken with the tender in
+// `body`: { payment_method, payment_reference, status, tendered_cents,
+// change_cents, metadata }, or { error } to respond 400 with
+const tenderFields = (body, amountCents) => {
+  const method = body.payment_method;
+  const tender = TENDERS[method];
+
+  if (!tender) {
+    return { error: `payment_method must be one of: ${Object.keys(TENDERS).join(', ')}` };
+  }
+
+  const reference = tender.reference ? body[tender.reference] : null;
+  if (tender.reference && !reference) {
+    return { error: `${tender.reference} is required for ${method} payments` };
+  }
+
+  const fields = {
+    payment_method: method,
+    payment_reference: reference ? String(reference) : null,
+    status: tender.status,
+    tendered_cents: null,
+    change_cents: null,
+    metadata: {}
+  };
+
+  if (method === 'cash') {
+    const tendered = body.amount_tendered_cents === undefined ? amountCents : Number(body.amount_tendered_cents);
+
+    if (!Number.isInteger(tendered) || tendered < amountCents) {
+      return { error: 'amount_tendered_cents must be a whole number of cents, at least the amount paid' };
+    }
+
+    fields.tendered_cents = tendered;
+    fields.change_cents = tendered - amountCents;
+  }
+
+  if (method === 'card_present' && body.card_last4 !== undefined) {
+    if (!/^\d{4}$/.test(String(body.card_last4))) return { error: 'card_last4 must be 4 digits' };
+    fields.metadata.card_last4 = String(body.card_last4);
+  }
+
+  return fields;
+};
+
+// ============================================
+// DRAWER CLOSE
+// ============================================
+
+// Today's business date (YYYY-MM-DD, server time)
+const today = () => localDate();
+
+// Validate a business date; returns an error message or null
+const checkBusinessDate = (businessDate) => {
+  if (!DATE_PATTERN.test(businessDate) || Number.isNaN(new Date(`${businessDate}T00:00:00`).getTime())) {
+    return 'business_date must be a date (YYYY-MM-DD)';
+  }
+  if (businessDate > today()) return 'business_date cannot be in the future';
+
+  return null;
+};
+
+// Start of the day after a business date
+const dayEnd = (businessDate) => {
+  const end = new Date(`${businessDate}T00:00:00`);
+  end.setDate(end.getDate() + 1);
+  return end;
+};
+
+// What a close of the location's drawer for businessDate would count:
+// { business_date, totals, cash_cents, transaction_ids }, where totals has one
+// { count, received_cents, refunded_cents, net_cents } per tender
+const drawerSummary = async (db, locationId, businessDate) => {
+  const result = await db.query(
+    `SELECT id, transaction_type, payment_method, amount_cents FROM "transaction"
+     WHERE location_id = $1 AND drawer_close_id IS NULL AND status = 'paid'
+       AND transaction_type = ANY($2) AND created_at < $3
+     ORDER BY created_at`,
+    [locationId, [...PAYMENT_TYPES, 'refund'], dayEnd(businessDate)]
+  );
+
+  const totals = {};
+  for (const row of result.rows) {
+    const method = row.payment_method || 'other';
+    const amount = Number(row.amount_cents) || 0;
+    const total = totals[method] || (totals[method] = { count: 0, received_cents: 0, refunded_cents: 0, net_cents: 0 });
+
+    total.count += 1;
+    if (row.transaction_type === 'refund') {
+      total.refunded_cents += amount;
+      total.net_cents -= amount;
+    } else {
+      total.received_cents += amount;
+      total.net_cents += amount;
+    }
+  }
+
+  return {
+    business_date: businessDate,
+    totals,
+    cash_cents: totals.cash ? totals.cash.net_cents : 0,
+    transaction_ids: result.rows.map(row => row.id)
+  };
+};
+
+// Close a location's drawer (a location row) for a business day and lock the
+// transactions it counts; `db` must be a client inside a transaction.
+// Returns the drawer_close row, or { status, error } when the day is closed already.
+const closeDrawer = async (db, req, location, { businessDate, countedCashCents, floatCents, note }) => {
+  // One close of a location at a time, so the same transactions are not counted twice
+  await db.query('SELECT id FROM location WHERE id = $1 FOR UPDATE', [location.id]);
+
+  const closed = await db.query(
+    'SELECT id FROM drawer_close WHERE location_id = $1 AND business_date = $2',
+    [location.id, businessDate]
+  );
+  if (closed.rows.length > 0) {
+    return { status: 409, error: `The drawer of ${location.name} is already closed for ${businessDate}` };
+  }
+
+  const summary = await drawerSummary(db, location.id, businessDate);
+  const expectedCashCents = floatCents + summary.cash_cents;
+
+  const inserted = await db.query(
+    `INSERT INTO drawer_close (
+      company_id, location_id, business_date, float_cents, expected_cash_cents, counted_cash_cents,
+      over_short_cents, totals, transaction_count, note, closed_by_user_id, closed_by_name
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+    [
+      location.company_id,
+      location.id,
+      businessDate,
+      floatCents,
+      expectedCashCents,
+      countedCashCents,
+      countedCashCents - expectedCashCents,
+      JSON.stringify(summary.totals),
+      summary.transaction_ids.length,
+      note || null,
+      req.user.id,
+      `${req.user.first_name} ${req.user.last_name}`
+    ]
+  );
+  const close = inserted.rows[0];
+
+  if (summary.transaction_ids.length > 0) {
+    await db.query(
+      'UPDATE "transaction" SET drawer_close_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2)',
+      [close.id, summary.transaction_ids]
+    );
+  }
+
+  return close;
+};
+
+module.exports = {
+  TENDERS,
+  tenderFields,
+  today,
+  checkBusinessDate,
+  drawerSummary,
+  closeDrawer
+};
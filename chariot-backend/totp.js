@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30s steps)
+// compatible with Google Authenticator, 1Password, Authy, etc.
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================
+// BASE32 (RFC 4648, no padding)
+// ============================================
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return Buffer.from(bytes);
+};
+
+// ============================================
+// HOTP / TOTP
+// ============================================
+
+// One-time password for an 8-byte big-endian counter (RFC 4226)
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  message.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+const counterAt = (time) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+// New random secret (160 bits), base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Code for a base32 secret at a time (ms)
+const generateCode = (secret, time = Date.now()) => {
+  return hotp(base32Decode(secret), counterAt(time));
+};
+
+// Check a code, allowing `window` steps of clock drift either way.
+// Returns the matching time-step counter (so callers can refuse replays) or null.
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = counterAt(time);
+
+  for (let step = -window; step <= window; step++) {
+    const expected = hotp(key, current + step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI to render as a QR code during enrollment
+const otpauthUrl = (secret, accountName, issuer = 'Chariot') => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD_SECONDS}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+  base32Encode,
+  base32Decode
+};
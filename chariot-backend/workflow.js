@@ -0,0 +1,227 @@
+const pool = require('./database');
+const { nextNumber } = require('./numbering');
+
+// Order workflow: the stages an order moves through and which moves between
+// them are allowed. An order's status is the key of its stage (workflow_status
+// mirrors it). A company can define its own stages and transitions; until it
+// does, DEFAULT_STAGES and DEFAULT_TRANSITIONS apply.
+//
+// Stage flags:
+//   completed - the work is done: entering the stage stamps completed_date,
+//               moving back to a stage without the flag clears it
+//   invoices  - entering the stage issues the order's invoice number
+
+const DEFAULT_STAGES = [
+  { key: 'estimate', name: 'Estimate', completed: false, invoices: false },
+  { key: 'approved', name: 'Approved', completed: false, invoices: false },
+  { key: 'in_progress', name: 'In Progress', completed: false, invoices: false },
+  { key: 'waiting_on_parts', name: 'Waiting on Parts', completed: false, invoices: false },
+  { key: 'qc', name: 'Quality Control', completed: false, invoices: false },
+  { key: 'ready_for_pickup', name: 'Ready for Pickup', completed: true, invoices: false },
+  { key: 'invoiced', name: 'Invoiced', completed: true, invoices: true },
+  { key: 'paid', name: 'Paid', completed: true, invoices: false }
+];
+
+// from -> stages it may move to
+const DEFAULT_TRANSITIONS = {
+  estimate: ['approved'],
+  approved: ['estimate', 'in_progress'],
+  in_progress: ['waiting_on_parts', 'qc'],
+  waiting_on_parts: ['in_progress'],
+  qc: ['in_progress', 'ready_for_pickup'],
+  ready_for_pickup: ['in_progress', 'invoiced'],
+  invoiced: ['paid'],
+  paid: []
+};
+
+const STAGE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// ============================================
+// DEFINITION
+// ============================================
+
+// The company's workflow: { custom, stages, transitions }
+const loadWorkflow = async (companyId, db = pool) => {
+  const stages = await db.query(
+    'SELECT key, name, completed, invoices FROM workflow_stage WHERE company_id = $1 ORDER BY position',
+    [companyId]
+  );
+
+  if (stages.rows.length === 0) {
+    return { custom: false, stages: DEFAULT_STAGES, transitions: DEFAULT_TRANSITIONS };
+  }
+
+  const transitions = {};
+  stages.rows.forEach(stage => { transitions[stage.key] = []; });
+
+  const rows = await db.query(
+    'SELECT from_stage, to_stage FROM workflow_transition WHERE company_id = $1',
+    [companyId]
+  );
+  rows.rows.forEach(row => transitions[row.from_stage].push(row.to_stage));
+
+  return { custom: true, stages: stages.rows, transitions };
+};
+
+// Validate a workflow being saved; returns an error message or null
+const checkWorkflow = ({ stages, transitions }) => {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return 'stages must be a non-empty array';
+  }
+
+  const keys = [];
+
+  for (const stage of stages) {
+    if (!stage || !STAGE_KEY_PATTERN.test(stage.key)) {
+      return 'Each stage needs a key of lowercase letters, digits and underscores';
+    }
+    if (keys.includes(stage.key)) {
+      return `Duplicate stage key: ${stage.key}`;
+    }
+    if (!stage.name || typeof stage.name !== 'string') {
+      return `Stage ${stage.key} needs a name`;
+    }
+    keys.push(stage.key);
+  }
+
+  if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+    return 'transitions must be an object of { from: [to, ...] }';
+  }
+
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!keys.includes(from)) return `Unknown stage in transitions: ${from}`;
+    if (!Array.isArray(targets)) return `transitions.${from} must be an array`;
+
+    const unknown = targets.find(to => !keys.includes(to));
+    if (unknown) return `Unknown stage in transitions: ${unknown}`;
+  }
+
+  return null;
+};
+
+// Replace the company's workflow; `db` must be a client inside a transaction
+const saveWorkflow = async (db, companyId, { stages, transitions }) => {
+  await db.query('DELETE FROM workflow_transition WHERE company_id = $1', [companyId]);
+  await db.query('DELETE FROM workflow_stage WHERE company_id = $1', [companyId]);
+
+  for (const [position, stage] of stages.entries()) {
+    await db.query(
+      'INSERT INTO workflow_stage (company_id, key, name, position, completed, invoices) VALUES ($1, $2, $3, $4, $5, $6)',
+      [companyId, stage.key, stage.name, position, Boolean(stage.completed), Boolean(stage.invoices)]
+    );
+  }
+
+  for (const [from, targets] of Object.entries(transitions)) {
+    for (const to of new Set(targets)) {
+      await db.query(
+        'INSERT INTO workflow_transition (company_id, from_stage, to_stage) VALUES ($1, $2, $3)',
+        [companyId, from, to]
+      );
+    }
+  }
+};
+
+// ============================================
+// TRANSITIONS
+// ============================================
+
+const findStage = (workflow, key) => workflow.stages.find(stage => stage.key === key);
+
+// Stages a new order may start in: those before the first completed stage
+const initialStages = (workflow) => {
+  const firstCompleted = workflow.stages.findIndex(stage => stage.completed);
+  return (firstCompleted === -1 ? workflow.stages : workflow.stages.slice(0, firstCompleted)).map(stage => stage.key);
+};
+
+// Check a move from one status to another.
+// Returns null when allowed, or { status, error } to respond with.
+// Orders in a status that is not a stage (older data) may move to any stage.
+const checkTransition = (workflow, from, to) => {
+  if (!findStage(workflow, to)) {
+    return {
+      status: 400,
+      error: `Invalid status. Must be one of: ${workflow.stages.map(stage => stage.key).join(', ')}`
+    };
+  }
+
+  if (from === to || !findStage(workflow, from)) return null;
+
+  const allowed = workflow.transitions[from] || [];
+
+  if (!allowed.includes(to)) {
+    return {
+      status: 409,
+      error: `An order cannot move from ${from} to ${to}`,
+      allowed
+    };
+  }
+
+  return null;
+};
+
+// Record a status change in order_status_history. Changes made without a
+// signed-in user (payment webhooks) have no actor.
+const recordStatusHistory = async (db, req, order, fromStatus, note) => {
+  const actor = req.user;
+
+  await db.query(
+    `INSERT INTO order_status_history (
+      company_id, location_id, order_id, from_status, to_status,
+      actor_user_id, actor_api_key_id, actor_name, note
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      order.company_id,
+      order.location_id,
+      order.id,
+      fromStatus,
+      order.status,
+      actor ? actor.id : null,
+      req.apiKey ? req.apiKey.id : null,
+      actor ? `${actor.first_name} ${actor.last_name}` : null,
+      note || null
+    ]
+  );
+};
+
+// Move an order (a row locked by the caller) to another stage and record it.
+// Call checkTransition first; `db` must be a client inside a transaction.
+// Returns the updated order row.
+const changeOrderStatus = async (db, req, order, toStatus, workflow, note) => {
+  const stage = findStage(workflow, toStatus);
+  const wasCompleted = Boolean(order.completed_date);
+
+  let completedDate = order.completed_date;
+  if (stage.completed && !wasCompleted) completedDate = new Date();
+  if (!stage.completed) completedDate = null;
+
+  let invoiceNumber = order.invoice_number;
+  if (stage.invoices && !invoiceNumber) {
+    invoiceNumber = await nextNumber(db, {
+      companyId: order.company_id,
+      locationId: order.location_id,
+      documentType: 'invoice'
+    });
+  }
+
+  const result = await db.query(
+    `UPDATE "order" SET status = $1, workflow_status = $1, completed_date = $2, invoice_number = $3,
+     updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *`,
+    [toStatus, completedDate, invoiceNumber, order.id]
+  );
+
+  await recordStatusHistory(db, req, result.rows[0], order.status, note);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  DEFAULT_STAGES,
+  DEFAULT_TRANSITIONS,
+  loadWorkflow,
+  checkWorkflow,
+  saveWorkflow,
+  initialStages,
+  checkTransition,
+  recordStatusHistory,
+  changeOrderStatus
+};